@@ -15,6 +15,13 @@
  *   - Reading input from a file with a prompt provided via the `-m` option:
  *     $ pipe-ai /path/to/input.txt -m "Your prompt here."
  *
+ *   - Reading input from several files, directories (honoring .gitignore) and globs:
+ *     $ pipe-ai src/cli.js 'src/lib/*.js' test --ext js -m "Review this code."
+ *     $ git diff | pipe-ai - src/cli.js -m "Review this change."
+ *
+ *   - Listing the inputs that would be sent and their estimated tokens:
+ *     $ pipe-ai src --list-inputs
+ *
  *   - Outputting to a file:
  *     $ git log | pipe-ai -m "Summarize the git log." -o output.txt
  *
@@ -27,30 +34,108 @@
  *   - Combining pre-defined prompt with a custom message:
  *     $ git log | pipe-ai -p summarize -m "Include author names."
  *
+ *   - Setting the variables of a pre-defined prompt template:
+ *     $ git log v2.1.0..v2.3.0 | pipe-ai -p git-summary --var from=v2.1.0 --var to=v2.3.0
+ *
+ *   - Getting a JSON reply, validated against a JSON Schema:
+ *     $ git log | pipe-ai -m "List the authors." --schema authors.schema.json
+ *
+ *   - Reusing the cached reply when running the same request again:
+ *     $ git log | pipe-ai -p summarize --cache
+ *     $ pipe-ai cache stats
+ *
+ *   - Masking secrets and personal data before they leave the machine:
+ *     $ cat .env server.log | pipe-ai -m "Why does the server fail?" --redact
+ *     $ cat server.log | pipe-ai --show-redactions
+ *
  *   - Using the default editor for prompt composition:
  *     $ git log | pipe-ai --editor
  *
+ *   - Asking several prompts about the input in an interactive session:
+ *     $ git log | pipe-ai -i
+ *     $ pipe-ai repl /path/to/input.txt
+ *
+ *   - Streaming the AI's response as it is generated (default in a terminal):
+ *     $ git log | pipe-ai -m "Summarize the git log." --stream
+ *
+ *   - Outputting only the code blocks of the reply, or writing them to their files:
+ *     $ pipe-ai src/parse.js -m "Write tests for this module." --extract code:js
+ *     $ pipe-ai -m "Scaffold an Express app." --extract-to app
+ *
+ *   - Applying the changes to the input files, once previewed and confirmed:
+ *     $ pipe-ai src/parse.js -m "Fix the off-by-one error." --apply
+ *
+ *   - Running a pipeline of prompts, each step getting the output of earlier ones:
+ *     $ git log | pipe-ai run release-notes
+ *     $ pipe-ai run release-notes --from-step announcement
+ *
+ *   - Saving the reply as HTML, or as plain text without the Markdown syntax:
+ *     $ git log | pipe-ai -p git-summary --format html -o CHANGELOG.html
+ *     $ git log | pipe-ai -p summarize --format text
+ *
+ *   - Processing an input too large for the model in chunks:
+ *     $ cat server.log | pipe-ai -p summarize --chunk
+ *
  *   - Reading the AI's response aloud:
  *     $ git log | pipe-ai -m "Summarize the git log." --speak
  *
  *     Optionally specify a voice:
  *     $ git log | pipe-ai -m "Summarize the git log." --speak "Alex"
  *
- *   - Using a custom configuration file:
+ *   - Using a custom configuration file, or a profile of the configuration:
  *     $ git log | pipe-ai -c /path/to/config.yaml -m "Your prompt here."
+ *     $ git log | pipe-ai --profile work -m "Your prompt here."
+ *
+ *   - Overriding the model and request options for a single call:
+ *     $ git diff | pipe-ai --model gpt-4o-mini --temperature 0.2 -m "Review this diff."
+ *     $ cat notes.txt | pipe-ai --system "Answer in French." --set top_p=0.9 -m "Summarize."
+ *
+ *   - Reporting the token usage and cost, and capping the cost of a call:
+ *     $ pipe-ai usage --by model --since 2024-06-01
+ *     $ cat report.txt | pipe-ai -m "Summarize." --max-cost 0.05
+ *
+ *   - Printing the effective configuration (secrets masked):
+ *     $ pipe-ai config show
  *
  *   - Enabling verbose logging:
  *     $ git log | pipe-ai -v -m "Summarize the git log."
  *
+ *   - Continuing the last conversation (or a given one):
+ *     $ pipe-ai --continue -m "Could you tell me some more?"
+ *     $ pipe-ai --continue <conversation_id> -m "Could you tell me some more?"
+ *
+ *   - Selecting the conversation to continue from a list:
+ *     $ pipe-ai --select -m "Could you tell me some more?"
+ *
+ *   - Listing, showing and deleting past conversations:
+ *     $ pipe-ai history
+ *     $ pipe-ai show <conversation_id>
+ *     $ pipe-ai rm <conversation_id>
+ *     $ pipe-ai rm --before 2024-01-01
+ *
+ *   - Listing, showing, creating and editing pre-defined prompts:
+ *     $ pipe-ai prompts list
+ *     $ pipe-ai prompts show summarize
+ *     $ pipe-ai prompts new my-prompt
+ *     $ pipe-ai prompts edit summarize
+ *
+ *   - Listing the models available with a provider (e.g. a local Ollama server):
+ *     $ pipe-ai models -c ollama
+ *
  * Description:
  *   This script reads input from stdin or a file, takes a prompt from the user, and sends the data to AI
- *   using a configuration file (default to `config.yaml`). The response is then output to stdout or saved
+ *   using the configuration (`~/.config/pipe-ai/config.yaml`, `.pipe-ai.yaml` and `-c`). The response is then output to stdout or saved
  *   to a file.
  */
 
 // Import necessary modules
-import { Command } from 'commander'
-import { withSpinner, loadFile } from './source/lib/utils.js'
+import { Command, Option } from 'commander'
+import {
+  parsePositiveInteger,
+  withSpinner,
+  withStreamSpinner
+} from './source/lib/utils.js'
+import { getInputFromEditor } from './source/lib/editorPrompt.js'
 import { log } from './source/lib/output.js'
 import process from 'process'
 import say from 'say'
@@ -58,7 +143,40 @@ import say from 'say'
 import * as api from './source/pipe-ai-api.js'
 import * as input from './source/lib/input.js'
 import * as output from './source/lib/output.js'
-import { Brain } from './source/brain.js'
+import { createPipeAI } from './source/client.js'
+import { collectVariable, renderTemplate } from './source/lib/template.js'
+import * as conversations from './source/commands/conversations.js'
+import * as models from './source/commands/models.js'
+import * as prompts from './source/commands/prompts.js'
+import * as cacheCommands from './source/commands/cache.js'
+import * as configCommands from './source/commands/config.js'
+import { startRepl } from './source/commands/repl.js'
+import { runBatch } from './source/commands/batch.js'
+import { runPipeline } from './source/commands/pipeline.js'
+import { BATCH_FORMATS } from './source/lib/batch.js'
+import { listInputs } from './source/commands/inputs.js'
+import { applyReply, getApplicableFiles } from './source/commands/apply.js'
+import {
+  extractCode,
+  extractToDirectory,
+  parseExtractOption
+} from './source/lib/extract.js'
+import { getDiffInstructions } from './source/lib/diff.js'
+import { OUTPUT_FORMATS, getOutputFormat } from './source/lib/render.js'
+import { parseExtensions, parseSize } from './source/lib/inputFiles.js'
+import { getJsonSettings } from './source/lib/structured.js'
+import {
+  collectRequestOption,
+  getCommandLineOverrides,
+  parseOptionValue
+} from './source/lib/config.js'
+import {
+  createRedactor,
+  formatRedactions,
+  getRedactionSettings
+} from './source/lib/redact.js'
+import { parseCost } from './source/lib/usage.js'
+import * as usageCommands from './source/commands/usage.js'
 
 // Initialize the command-line interface
 const program = new Command()
@@ -66,7 +184,10 @@ const program = new Command()
   .description(
     'A CLI tool to interface with AI APIs using piped input or files.'
   )
-  .argument('[file]', 'File path to read input from')
+  .argument(
+    '[files...]',
+    'Files, directories or globs to read input from (- for stdin, default: stdin)'
+  )
   .option('-m, --message <prompt>', 'Prompt message for the AI (default: ask)')
   .option(
     '-p, --pre-prompt <name|path>',
@@ -78,99 +199,546 @@ const program = new Command()
   )
   .option(
     '-c, --config <name|path>',
-    'Path of the configuration file (default: ./config/config.yaml)'
+    'Path of the configuration file, layered over the user and project ones'
+  )
+  .option('--profile <name>', 'Apply a profile of the configuration')
+  .option('--model <name>', 'Model to use, overriding the configuration')
+  .option(
+    '--temperature <number>',
+    'Sampling temperature, overriding the configuration',
+    parseOptionValue
+  )
+  .option(
+    '--max-tokens <number>',
+    'Maximum number of tokens of the reply, overriding the configuration',
+    parseOptionValue
+  )
+  .option('--system <text>', 'Instructions sent as a system message')
+  .option(
+    '--max-cost <amount>',
+    'Refuse to send the request if it may cost more (needs model rates)',
+    parseCost
+  )
+  .option(
+    '--set <key=value>',
+    'Set a request option of the provider, e.g. top_p=0.9 (repeatable)',
+    collectRequestOption,
+    {}
+  )
+  .option(
+    '--var <name=value>',
+    'Set a variable of the pre-prompt template (repeatable)',
+    collectVariable,
+    {}
+  )
+  .option(
+    '--max-file-size <size>',
+    'Skip the files of directories and globs larger than this (default: 100k)',
+    parseSize
+  )
+  .option(
+    '--ext <extensions>',
+    'Only read the files of directories and globs with these extensions (e.g. js,ts)',
+    parseExtensions
+  )
+  .option(
+    '--list-inputs',
+    'List the inputs that would be sent and their estimated tokens, then exit'
+  )
+  .option('--json', 'Ask for a JSON reply, validated before it is output')
+  .option(
+    '--schema <file>',
+    'JSON Schema the reply must match (implies --json)'
+  )
+  .option(
+    '--extract <code[:lang]>',
+    'Output only the fenced code blocks of the reply, e.g. code or code:js',
+    parseExtractOption
+  )
+  .option(
+    '--extract-to <dir>',
+    'Write the code blocks of the reply which name their file to a directory'
+  )
+  .option(
+    '--apply',
+    'Ask for a diff of the changes to the input files, and apply it once confirmed'
+  )
+  .option('-y, --yes', 'Apply the changes without asking for confirmation')
+  .option(
+    '--cache',
+    'Reuse the cached reply to the same request, or cache this one (default: cache.enabled in the config)'
+  )
+  .option('--no-cache', "Don't use the cache")
+  .option('--refresh', 'Ignore the cached reply and cache the new one')
+  .option(
+    '--redact',
+    'Mask secrets and personal data in the input and prompt before sending them (default: redaction.enabled in the config)'
+  )
+  .option('--no-redact', "Don't mask secrets and personal data")
+  .option(
+    '--show-redactions',
+    'List what would be redacted from the input and prompt, then exit'
   )
   .option('-e, --editor', 'Open the default editor to compose the prompt')
+  .option(
+    '-i, --interactive',
+    'Start an interactive session to ask several prompts about the input'
+  )
   .option(
     '-s, --speak [voice]',
     "Use the system's text-to-speech to read the response aloud"
   )
+  .option(
+    '--stream',
+    'Stream the AI response as it is generated (default: when stdout is a terminal)'
+  )
+  .option('--no-stream', 'Wait for the full AI response before outputting it')
+  .addOption(
+    new Option(
+      '--format <format>',
+      'Format of the reply: raw, markdown (rendered), html or text (default: markdown in a terminal, raw otherwise)'
+    ).choices(OUTPUT_FORMATS)
+  )
+  .option('--no-pager', "Don't page long replies rendered in the terminal")
+  .addOption(
+    new Option(
+      '--chunk [strategy]',
+      'Process an input over the token budget in chunks, then combine the answers'
+    )
+      .choices(['paragraphs', 'lines'])
+      .preset('paragraphs')
+  )
+  .addOption(
+    new Option(
+      '--batch <format>',
+      'Run the prompt over each record of the input, output as JSON lines'
+    ).choices(BATCH_FORMATS)
+  )
+  .option(
+    '--resume <batch_id>',
+    'Run the prompt again over the records of a batch which are not done'
+  )
+  .option(
+    '--concurrency <number>',
+    'Maximum number of requests sent in parallel (default: 3)',
+    parsePositiveInteger
+  )
+  .option(
+    '--rate-limit <number>',
+    'Maximum number of requests per minute in batch mode'
+  )
   .option('-v, --verbose', 'Enable verbose logging')
   .option('--no-logs', "Don't save the AI interaction to the database")
   .option(
     '-d, --db <path>',
     'Specify a custom database path to save the AI interaction (default: ./config/pipe-ai/db/default.sqlite)'
   )
-  .parse(process.argv)
-
-// Extract options and arguments
-const options = program.opts()
-const filePath = program.args[0]
-const promptMessage = options.message
-const prePromptOption = options.prePrompt
-const outputFile = options.output
-const configPath = options.config
-const useEditor = options.editor
-const useSpeak = options.speak
-const verbose = options.verbose
-const logs = options.logs
-const dbPath = options.db
+  .option(
+    '--continue [conversation_id]',
+    'Continue a previous conversation (default: the last one)'
+  )
+  .option(
+    '--select [conversation_id]',
+    'Select a previous conversation to continue (default: pick from a list)'
+  )
+  .action(main)
+
+// Commands to browse and manage past conversations
+program
+  .command('history')
+  .alias('list')
+  .description('List past conversations, newest first')
+  .option('-n, --limit <number>', 'Number of conversations to list', '20')
+  .action(runCommand(conversations.listHistory))
+
+program
+  .command('show')
+  .description('Print the transcript of a conversation')
+  .argument('<conversation_id>', 'ID (or ID prefix) of the conversation')
+  .option('--json', 'Print the conversation as JSON')
+  .option('--no-input', "Don't include the input data in the transcript")
+  .action(runCommand(conversations.showConversation))
+
+program
+  .command('rm')
+  .description('Delete a conversation, or all conversations older than a date')
+  .argument('[conversation_id]', 'ID (or ID prefix) of the conversation')
+  .option(
+    '--before <date>',
+    'Delete all conversations last updated before this date'
+  )
+  .action(runCommand(conversations.removeConversations))
+
+// Command to search the past interactions
+program
+  .command('search')
+  .description('Search the past interactions, best matches first')
+  .argument('<words...>', 'Words to search for ("phrases" and prefix* too)')
+  .option('--since <date>', 'Only the interactions since this date')
+  .option('--until <date>', 'Only the interactions before this date')
+  .option(
+    '--provider <provider[/model]>',
+    'Only the interactions of a provider'
+  )
+  .option('--prompt <name>', 'Only the interactions with a pre-prompt')
+  .option('-n, --limit <number>', 'Number of interactions to list', '20')
+  .option('--json', 'Print the results as JSON')
+  .action(runCommand(conversations.searchConversations))
+
+// Command to run a pipeline of prompts
+program
+  .command('run')
+  .description(
+    'Run the steps of a pipeline, each prompt getting the output of earlier ones'
+  )
+  .argument('<pipeline>', 'Name or path of the pipeline')
+  .argument(
+    '[files...]',
+    'Files, directories or globs to read input from (- for stdin)'
+  )
+  .option(
+    '--from-step <name>',
+    'Start from this step, with the outputs of the last run for earlier steps'
+  )
+  .option('--until-step <name>', 'Stop after this step')
+  .action(runCommand(runPipeline))
+
+// Command to start an interactive session
+program
+  .command('repl')
+  .description(
+    'Start an interactive session to ask several prompts about the input'
+  )
+  .argument(
+    '[files...]',
+    'Files, directories or globs to read input from (- for stdin)'
+  )
+  .action(runCommand(startRepl))
+
+// Commands to manage the response cache
+const cacheCommand = program
+  .command('cache')
+  .description('Show statistics about the response cache or clear it')
+
+cacheCommand
+  .command('stats', { isDefault: true })
+  .description('Show the number, size and hits of the cached replies')
+  .action(runCommand(cacheCommands.showStats))
+
+cacheCommand
+  .command('clear')
+  .description('Delete the cached replies')
+  .option('--expired', 'Only delete the replies older than the TTL')
+  .action(runCommand(cacheCommands.clearCache))
+
+// Commands to inspect the configuration
+const configCommand = program
+  .command('config')
+  .description('Inspect the configuration')
+
+configCommand
+  .command('show', { isDefault: true })
+  .description(
+    'Print the effective configuration and its layers, secrets masked'
+  )
+  .action(runCommand(configCommands.showConfig))
+
+// Command to report the token usage and cost
+program
+  .command('usage')
+  .description('Report the token usage and cost of the AI calls')
+  .option('--by <grouping>', "Group by 'day', 'model' or 'prompt'", 'day')
+  .option('--since <date>', 'Only count the usage since this date')
+  .option('--json', 'Print the report as JSON')
+  .action(runCommand(usageCommands.showUsage))
+
+// Command to discover the models of the configured provider
+program
+  .command('models')
+  .description('List the models available with the configured provider')
+  .action(runCommand(models.listModels))
+
+// Commands to manage the pre-defined prompts
+const promptsCommand = program
+  .command('prompts')
+  .description('List, show, create and edit pre-defined prompts')
+
+promptsCommand
+  .command('list', { isDefault: true })
+  .description('List the pre-defined prompts and where they come from')
+  .action(runCommand(prompts.listPrompts))
+
+promptsCommand
+  .command('show')
+  .description('Print a pre-defined prompt')
+  .argument('<name>', 'Name of the prompt')
+  .action(runCommand(prompts.showPrompt))
+
+promptsCommand
+  .command('new')
+  .description('Create a prompt in the user directory with the default editor')
+  .argument('<name>', 'Name of the prompt')
+  .action(runCommand(prompts.newPrompt))
+
+promptsCommand
+  .command('edit')
+  .description(
+    'Edit a prompt with the default editor (built-in prompts are copied to the user directory first)'
+  )
+  .argument('<name>', 'Name of the prompt')
+  .action(runCommand(prompts.editPrompt))
 
 /**
- * Main function to run the script.
+ * Wraps a command handler so it gets the global options and exits on errors.
+ *
+ * @param {Function} handler - The command handler.
+ * @returns {Function} - The commander action.
  */
-async function main() {
+function runCommand(handler) {
+  return async (...args) => {
+    const command = args.pop()
+    const options = command.optsWithGlobals()
+    args.pop() // The command's own options are part of the global ones
+    try {
+      log.level = options.verbose ? 'debug' : 'error'
+      await handler(...args, options)
+    } catch (err) {
+      api.cleanup(err, err.exitCode || 1)
+    }
+  }
+}
+
+/**
+ * Main function to run the script: gathers the input and the prompt, sends
+ * them with the pipe-ai client and outputs the reply.
+ *
+ * @param {string[]} filePaths - Files, directories or globs to read input from.
+ * @param {Object} options - The command-line options.
+ */
+async function main(filePaths, options) {
+  // Extract options
+  const promptMessage = options.message
+  const outputFile = options.output
+  const useSpeak = options.speak
+  const inputOptions = {
+    maxFileSize: options.maxFileSize,
+    extensions: options.ext
+  }
+
   try {
     log.debug('# Adjust logger level based on verbosity')
-    log.level = verbose ? 'debug' : 'error'
+    log.level = options.verbose ? 'debug' : 'error'
+
+    if (options.interactive) {
+      log.debug('# Start an interactive session')
+      return await startRepl(filePaths, options)
+    }
 
     log.debug('# Attach signal handlers')
-    api.attachSignalHandlers(process)
+    const interruption = api.attachSignalHandlers(process)
+    const { signal, cancellable } = interruption
+
+    if (options.batch || options.resume) {
+      log.debug('# Run the prompt over each record of the input')
+      return await runBatch(filePaths, options, interruption)
+    }
 
-    log.debug('# Load configuration')
-    const configData = api.loadConfiguration(configPath)
+    log.debug('# Create the client, with the overrides of the command line')
+    const pipeAI = createPipeAI({
+      config: options.config,
+      profile: options.profile,
+      db: options.db,
+      logs: options.logs !== false,
+      overrides: getCommandLineOverrides(options)
+    })
 
-    log.debug('# Dynamically import the provider module')
-    const providerModule = await api.getProviderModule(configData)
+    log.debug('# Load the configuration, with the pre-prompt options')
+    const prePromptFile = api.loadPrePrompt(options.prePrompt)
+    const configData = await pipeAI.getConfiguration({
+      prePrompt: options.prePrompt
+    })
+    const { enabled: useJson } = getJsonSettings(
+      configData,
+      prePromptFile,
+      options
+    )
+
+    const processReply = Boolean(
+      options.extract || options.extractTo || options.apply
+    )
+    if (useJson && processReply) {
+      throw new Error(
+        "--extract, --extract-to and --apply can't be used with JSON replies."
+      )
+    }
+
+    // JSON replies are output as they are
+    const format = useJson ? 'raw' : getOutputFormat(options.format, outputFile)
+
+    // JSON replies are validated before being output, they can't be streamed
+    // (nor the replies whose code is extracted or applied, and those
+    // converted, but for Markdown rendered once streamed to the terminal)
+    const streamable =
+      format === 'raw' ||
+      (format === 'markdown' && !outputFile && process.stdout.isTTY)
+    const useStream =
+      !useJson &&
+      !processReply &&
+      streamable &&
+      (options.stream ?? Boolean(process.stdout.isTTY))
+
+    if (options.listInputs) {
+      log.debug('# List the inputs instead of sending them')
+      return await listInputs(filePaths, configData, inputOptions)
+    }
+
+    const applyFiles = options.apply
+      ? await getApplicableFiles(filePaths, inputOptions)
+      : undefined
+
+    log.debug('# Resolve the conversation to continue, if any')
+    const conversationId =
+      options.continue || options.select
+        ? await api.getConversationId(pipeAI, options)
+        : undefined
+    if (conversationId)
+      log.verbose(`Continuing conversation: ${conversationId}`)
 
     log.debug('# Load the input data (from file or stdin)')
-    const inputData = await input.getInputData(filePath)
+    const inputData = await input.getInputData(
+      filePaths,
+      !conversationId,
+      inputOptions
+    )
 
-    log.debug('# Load pre-prompt if specified')
-    const prePrompt = prePromptOption ? loadFile(prePromptOption, 'prompt') : ''
-    if (prePrompt) log.verbose(`Pre Prompt: ${prePrompt}`)
+    if (options.showRedactions) {
+      log.debug('# List what would be redacted instead of sending it')
+      const redactor = createRedactor(
+        configData,
+        getRedactionSettings(configData, options)
+      )
+      redactor.redact(inputData)
+      redactor.redact(promptMessage)
+      if (prePromptFile) {
+        redactor.redact(
+          renderTemplate(
+            prePromptFile.body,
+            {
+              ...options.var,
+              input: inputData,
+              message: promptMessage || undefined,
+              env: process.env
+            },
+            prePromptFile.attributes.variables
+          )
+        )
+      }
+      console.log(formatRedactions(redactor.redactions))
+      return
+    }
 
     log.debug('# Get prompt from --editor, -m or interactively')
     let prompt = ''
-    if (useEditor) {
-      prompt = await input.getInputFromEditor()
-    } else if (!prePrompt && !promptMessage) {
+    if (options.editor) {
+      prompt = await getInputFromEditor()
+    } else if (!prePromptFile && !promptMessage) {
       prompt = await input.getInteractiveUserPrompt()
     } else {
       prompt = promptMessage ? promptMessage : ''
     }
-    if (prompt) log.verbose(`User Prompt: ${prompt}`)
-
-    log.debug('# Combine pre-prompt and prompt')
-    const fullPrompt = [prePrompt, prompt].join('\n')
 
-    log.debug('# Generate AI response')
-    const aiReply = await withSpinner(
-      providerModule.getAIResponse(configData, inputData, fullPrompt),
-      {
-        text: 'Retrieving AI response...',
-        spinner: 'dots'
+    const request = (spinner, startSpinner) => ({
+      input: inputData,
+      prompt,
+      prePrompt: options.prePrompt,
+      options: {
+        conversationId,
+        variables: options.var,
+        json: options.json,
+        schema: options.schema,
+        chunk: options.chunk,
+        concurrency: options.concurrency,
+        cache: options.cache,
+        refresh: options.refresh,
+        redact: options.redact,
+        maxCost: options.maxCost,
+        // Ask for a diff of the changes to the input files
+        ...(options.apply
+          ? {
+              instructions: getDiffInstructions(
+                applyFiles.map(({ label }) => label)
+              ),
+              meta: { apply: true }
+            }
+          : {}),
+        signal,
+        // The spinner is not shown for a cached reply
+        onRequest: startSpinner,
+        onAttempt: (attempt) => api.reportAttempt(spinner, attempt),
+        onRepair: (attempt) => {
+          spinner.text = `Repairing the JSON reply (attempt ${attempt})...`
+        },
+        onProgress: (done, count, round) => {
+          const step = round > 1 ? `Combining (round ${round})` : 'Processing'
+          spinner.text =
+            done < count
+              ? `${step}: ${done}/${count} chunks done...`
+              : 'Retrieving AI response...'
+        }
       }
-    )
-
-    log.debug("# Output the AI's reply")
-    await output.outputResult(aiReply, outputFile)
-
-    if (logs != false) {
-      log.debug('# Init Brain instance to save interaction')
-      const brain = new Brain(dbPath)
-      await brain.init()
+    })
+    const spinnerOptions = {
+      text: 'Retrieving AI response...',
+      spinner: 'dots',
+      lazy: true
+    }
 
-      log.debug('# Saving AI interaction')
-      await brain.saveAIInteraction(
-        aiReply,
-        configData,
-        inputData,
-        prePrompt,
-        prompt
+    let result
+    if (useStream) {
+      log.debug("# Stream the AI's reply as it is generated")
+      let reply
+      await cancellable(() =>
+        output.outputResult(
+          withStreamSpinner(
+            (spinner, start) =>
+              (reply = pipeAI.stream(request(spinner, start))),
+            spinnerOptions
+          ),
+          outputFile,
+          { format, pager: options.pager }
+        )
       )
+      result = await reply.result
     } else {
-      log.debug('# Skipping saving AI interaction due to --no-logs option')
+      log.debug('# Generate AI response')
+      result = await cancellable(() =>
+        withSpinner(
+          (spinner, start) => pipeAI.ask(request(spinner, start)),
+          spinnerOptions
+        )
+      )
+
+      log.debug("# Output the AI's reply")
+      if (options.apply) {
+        log.debug('# Apply the diff of the reply to the input files')
+        await applyReply(result.text, applyFiles, options)
+      } else {
+        if (options.extractTo) {
+          log.debug('# Write the code blocks naming their file')
+          extractToDirectory(
+            result.text,
+            options.extractTo,
+            options.extract?.lang
+          )
+        }
+        await output.outputResult(
+          options.extract
+            ? extractCode(result.text, options.extract.lang)
+            : result.text,
+          outputFile,
+          options.extract ? {} : { format, pager: options.pager }
+        )
+      }
     }
 
     if (useSpeak) {
@@ -178,14 +746,14 @@ async function main() {
       log.debug(
         `# Initiating text-to-speech ${voice ? `with voice: ${voice}` : ''}`
       )
-      say.speak(aiReply, voice, 1.0)
+      say.speak(result.text, voice, 1.0)
     }
   } catch (err) {
-    api.cleanup(err, 1)
+    api.cleanup(err, err.exitCode || 1)
   } finally {
     api.cleanup()
   }
 }
 
-// Execute the main function
-main()
+// Parse the arguments and execute the main function (or a command)
+program.parseAsync(process.argv)
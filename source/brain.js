@@ -1,11 +1,40 @@
 // brain.js
 
 import Database from 'better-sqlite3'
-import { Entity } from 'entity-db'
 import { v4 as uuidv4 } from 'uuid'
 import process from 'process'
 import path from 'path'
 import fs from 'fs'
+import { maskSecrets } from './lib/utils.js'
+
+// Text of a message indexed for the search, from its JSON content
+const SEARCH_COLUMNS = `
+  COALESCE(json_extract(new.content, '$.prePrompt') || char(10), '') ||
+    COALESCE(json_extract(new.content, '$.prompt'), ''),
+  json_extract(new.content, '$.prePromptName'),
+  json_extract(new.content, '$.inputData'),
+  json_extract(new.content, '$.aiReply')`
+
+// Schema changes of existing databases, in order (see `_migrate`)
+const MIGRATIONS = [
+  // 1. Full-text search index of the messages, kept up to date by triggers
+  // and filled with the messages saved before
+  `CREATE VIRTUAL TABLE IF NOT EXISTS MessageSearch USING fts5 (
+     prompt, promptName, input, reply,
+     tokenize = 'porter unicode61'
+   );
+   CREATE TRIGGER IF NOT EXISTS Message_insertSearch AFTER INSERT ON Message
+   BEGIN
+     INSERT INTO MessageSearch (rowid, prompt, promptName, input, reply)
+     VALUES (new.id, ${SEARCH_COLUMNS});
+   END;
+   CREATE TRIGGER IF NOT EXISTS Message_deleteSearch AFTER DELETE ON Message
+   BEGIN
+     DELETE FROM MessageSearch WHERE rowid = old.id;
+   END;
+   INSERT INTO MessageSearch (rowid, prompt, promptName, input, reply)
+     SELECT new.id, ${SEARCH_COLUMNS} FROM Message AS new;`
+]
 
 /**
  * Brain class
@@ -18,11 +47,72 @@ export class Brain {
   }
 
   /**
-   * Initializes entities.
+   * Initializes the database tables.
    */
   async init() {
-    // Initialize the Message entity with better-sqlite3
-    this.message = new Entity(this.db, 'Message', ['conversationId'])
+    // Messages are stored as JSON content grouped by conversation
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS Message (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversationId TEXT NOT NULL,
+        content TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+      CREATE INDEX IF NOT EXISTS Message_conversationId
+        ON Message (conversationId);
+    `)
+
+    // Replies cached by the hash of their request
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS CachedResponse (
+        key TEXT PRIMARY KEY,
+        reply TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        lastHitAt TEXT
+      );
+    `)
+
+    // Token usage and cost of the calls made for each interaction, kept when
+    // conversations are deleted to account for the spending
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS Usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversationId TEXT,
+        provider TEXT NOT NULL,
+        model TEXT,
+        promptName TEXT,
+        calls INTEGER NOT NULL DEFAULT 1,
+        inputTokens INTEGER NOT NULL DEFAULT 0,
+        outputTokens INTEGER NOT NULL DEFAULT 0,
+        latencyMs INTEGER NOT NULL DEFAULT 0,
+        cost REAL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+      CREATE INDEX IF NOT EXISTS Usage_createdAt ON Usage (createdAt);
+    `)
+
+    // Batches of records (--batch) and the state of each record, to resume them
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS Batch (
+        id TEXT PRIMARY KEY,
+        settings TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+      CREATE TABLE IF NOT EXISTS BatchRecord (
+        batchId TEXT NOT NULL,
+        recordIndex INTEGER NOT NULL,
+        record TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reply TEXT,
+        error TEXT,
+        updatedAt TEXT,
+        PRIMARY KEY (batchId, recordIndex)
+      );
+    `)
+
+    this._migrate()
+    this.initialized = true
   }
 
   /**
@@ -33,34 +123,38 @@ export class Brain {
    * @param {string} inputData - The data fed into Pipe-AI for processing.
    * @param {string} [prePrompt] - Optional pre-prompt text.
    * @param {string} [prompt] - Optional prompt text.
-   * @returns {Promise<void>} - Resolves when the message is saved to the database.
+   * @param {string} [conversationId] - Conversation to append to (default: a new one).
+   * @param {Object} [meta] - Additional details to save (e.g. the pre-prompt name).
+   * @returns {Promise<string>} - The ID of the conversation the message was saved under.
    */
   async saveAIInteraction(
     aiReply,
     configData,
     inputData,
     prePrompt = '',
-    prompt = ''
+    prompt = '',
+    conversationId = uuidv4(),
+    meta = {}
   ) {
     // Ensure Brain is initialized
-    if (!this.message) {
+    if (!this.initialized) {
       await this.init()
     }
 
-    // Generate a unique conversation ID
-    const conversationId = uuidv4()
-
     // Prepare the content object with all relevant details
+    // The secrets of the configuration (API keys...) are never saved
     const content = {
       aiReply,
-      configData,
-      inputData
+      configData: maskSecrets(configData),
+      inputData,
+      ...meta
     }
     if (prePrompt) content.prePrompt = prePrompt
     if (prompt) content.prompt = prompt
 
     // Save the message to the database
     await this.addMessage(conversationId, content)
+    return conversationId
   }
 
   /**
@@ -71,12 +165,526 @@ export class Brain {
    */
   async addMessage(conversationId, content) {
     // Ensure Brain is initialized
-    if (!this.message) {
-      throw new Error('Entity not initialized. Call init() first.')
-    }
+    this._assertInitialized()
 
     // Insert the message into the database
-    return this.message.insert(content, { conversationId })
+    return this.db
+      .prepare('INSERT INTO Message (conversationId, content) VALUES (?, ?)')
+      .run(conversationId, JSON.stringify(content))
+  }
+
+  /**
+   * Gets all the messages of a conversation, oldest first.
+   * @param {string} conversationId - The ID of the conversation.
+   * @returns {Promise<Object[]>} - The messages with their content spread in.
+   */
+  async getConversation(conversationId) {
+    this._assertInitialized()
+
+    const rows = this.db
+      .prepare('SELECT * FROM Message WHERE conversationId = ? ORDER BY id')
+      .all(conversationId)
+    return rows.map(toMessage)
+  }
+
+  /**
+   * Gets the ID of the conversation with the most recent message.
+   * @returns {Promise<string|undefined>} - The conversation ID, if any.
+   */
+  async getLastConversationId() {
+    this._assertInitialized()
+
+    const row = this.db
+      .prepare('SELECT conversationId FROM Message ORDER BY id DESC LIMIT 1')
+      .get()
+    return row?.conversationId
+  }
+
+  /**
+   * Gets the ID of the conversation of the last run of a pipeline.
+   * @param {string} pipelineName - The name (or path) the pipeline was run with.
+   * @returns {Promise<string|undefined>} - The conversation ID, if any.
+   */
+  async getLastPipelineRunId(pipelineName) {
+    this._assertInitialized()
+
+    const row = this.db
+      .prepare(
+        `SELECT conversationId FROM Message
+         WHERE json_extract(content, '$.pipeline') = ?
+         ORDER BY id DESC LIMIT 1`
+      )
+      .get(pipelineName)
+    return row?.conversationId
+  }
+
+  /**
+   * Lists conversations, most recently updated first.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of conversations to return.
+   * @returns {Promise<Object[]>} - Conversations with their last message.
+   */
+  async listConversations({ limit = -1 } = {}) {
+    this._assertInitialized()
+
+    const rows = this.db
+      .prepare(
+        `SELECT m.*, c.messageCount FROM Message m
+         JOIN (
+           SELECT conversationId, MAX(id) AS lastId, COUNT(*) AS messageCount
+           FROM Message GROUP BY conversationId
+         ) c ON m.id = c.lastId
+         ORDER BY m.id DESC
+         LIMIT ?`
+      )
+      .all(limit)
+    return rows.map((row) => ({
+      conversationId: row.conversationId,
+      messageCount: row.messageCount,
+      updatedAt: row.createdAt,
+      lastMessage: toMessage(row)
+    }))
+  }
+
+  /**
+   * Resolves a conversation ID from a full ID or a unique prefix of one.
+   * @param {string} idOrPrefix - The conversation ID or its prefix.
+   * @returns {Promise<string>} - The full conversation ID.
+   * @throws {Error} - If no conversation or several conversations match.
+   */
+  async resolveConversationId(idOrPrefix) {
+    this._assertInitialized()
+
+    const rows = this.db
+      .prepare(
+        `SELECT DISTINCT conversationId FROM Message
+         WHERE substr(conversationId, 1, ?) = ? LIMIT 2`
+      )
+      .all(idOrPrefix.length, idOrPrefix)
+    if (!rows.length) {
+      throw new Error(`Conversation '${idOrPrefix}' not found.`)
+    }
+    if (rows.length > 1) {
+      throw new Error(
+        `Conversation ID '${idOrPrefix}' is ambiguous, please use more characters.`
+      )
+    }
+    return rows[0].conversationId
+  }
+
+  /**
+   * Deletes all the messages of a conversation.
+   * @param {string} conversationId - The ID of the conversation.
+   * @returns {Promise<number>} - The number of deleted messages.
+   */
+  async deleteConversation(conversationId) {
+    this._assertInitialized()
+
+    return this.db
+      .prepare('DELETE FROM Message WHERE conversationId = ?')
+      .run(conversationId).changes
+  }
+
+  /**
+   * Deletes the conversations whose last message is older than a date.
+   * @param {Date} date - The cut-off date.
+   * @returns {Promise<Object>} - The number of deleted conversations and messages.
+   */
+  async deleteConversationsBefore(date) {
+    this._assertInitialized()
+
+    const prune = this.db.transaction((cutoff) => {
+      const { conversations } = this.db
+        .prepare(
+          `SELECT COUNT(*) AS conversations FROM (
+             SELECT conversationId FROM Message GROUP BY conversationId
+             HAVING MAX(createdAt) < ?
+           )`
+        )
+        .get(cutoff)
+      const { changes } = this.db
+        .prepare(
+          `DELETE FROM Message WHERE conversationId IN (
+             SELECT conversationId FROM Message GROUP BY conversationId
+             HAVING MAX(createdAt) < ?
+           )`
+        )
+        .run(cutoff)
+      return { conversations, messages: changes }
+    })
+    return prune(date.toISOString())
+  }
+
+  /**
+   * Searches the messages for words, best matches first.
+   * @param {string} query - The words to find (all of them), `"exact phrases"`
+   *   and `prefix*` words.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Only the messages since this ISO date.
+   * @param {string} [options.until] - Only the messages before this ISO date.
+   * @param {string} [options.provider] - Only the messages of this provider.
+   * @param {string} [options.model] - Only the messages of this model.
+   * @param {string} [options.promptName] - Only the messages of this pre-prompt.
+   * @param {number} [options.limit] - Maximum number of messages to return.
+   * @param {string[]} [options.highlight] - The marks around the matches in
+   *   the snippets (default: `**`).
+   * @returns {Promise<Object[]>} - The messages with the `snippet` of their
+   *   best matching part.
+   */
+  async searchMessages(
+    query,
+    {
+      since,
+      until,
+      provider,
+      model,
+      promptName,
+      limit = -1,
+      highlight = ['**', '**']
+    } = {}
+  ) {
+    this._assertInitialized()
+
+    const match = toMatchQuery(query)
+    if (!match) {
+      throw new Error('Please provide words to search for.')
+    }
+
+    const filters = []
+    const params = { match, limit, open: highlight[0], close: highlight[1] }
+    if (since) {
+      filters.push('m.createdAt >= @since')
+      params.since = since
+    }
+    if (until) {
+      filters.push('m.createdAt < @until')
+      params.until = until
+    }
+    if (provider) {
+      filters.push(
+        "json_extract(m.content, '$.configData.provider') = @provider"
+      )
+      params.provider = provider
+    }
+    if (model) {
+      filters.push(
+        "json_extract(m.content, '$.configData.defaultRequestOptions.model') = @model"
+      )
+      params.model = model
+    }
+    if (promptName) {
+      filters.push("json_extract(m.content, '$.prePromptName') = @promptName")
+      params.promptName = promptName
+    }
+
+    const rows = this.db
+      .prepare(
+        `SELECT m.*,
+           snippet(MessageSearch, -1, @open, @close, '…', 16) AS snippet
+         FROM MessageSearch JOIN Message m ON m.id = MessageSearch.rowid
+         WHERE MessageSearch MATCH @match
+           ${filters.map((filter) => `AND ${filter}`).join(' ')}
+         ORDER BY rank
+         LIMIT @limit`
+      )
+      .all(params)
+    return rows.map((row) => ({ ...toMessage(row), snippet: row.snippet }))
+  }
+
+  /**
+   * Gets a cached reply, counting the hit.
+   * @param {string} key - The hash of the request.
+   * @param {number} [maxAge] - Maximum age of the reply, in seconds (default: no limit).
+   * @returns {Promise<string|undefined>} - The reply, unless missing or expired.
+   */
+  async getCachedResponse(key, maxAge) {
+    this._assertInitialized()
+
+    const row = this.db
+      .prepare('SELECT * FROM CachedResponse WHERE key = ?')
+      .get(key)
+    if (
+      !row ||
+      (maxAge && Date.parse(row.createdAt) + maxAge * 1000 < Date.now())
+    ) {
+      return undefined
+    }
+
+    this.db
+      .prepare(
+        `UPDATE CachedResponse SET hits = hits + 1,
+         lastHitAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE key = ?`
+      )
+      .run(key)
+    return row.reply
+  }
+
+  /**
+   * Caches a reply, replacing any previous reply to the same request.
+   * @param {string} key - The hash of the request.
+   * @param {string} reply - The reply.
+   */
+  async setCachedResponse(key, reply) {
+    this._assertInitialized()
+
+    this.db
+      .prepare(
+        'INSERT OR REPLACE INTO CachedResponse (key, reply) VALUES (?, ?)'
+      )
+      .run(key, reply)
+  }
+
+  /**
+   * Gets statistics about the cached replies.
+   * @param {number} [maxAge] - Maximum age of the replies in seconds, to count the expired ones.
+   * @returns {Promise<Object>} - The `entries`, `expired`, `hits`, `size` (in bytes), `oldest` and `newest` dates.
+   */
+  async getCacheStats(maxAge) {
+    this._assertInitialized()
+
+    const cutoff = new Date(Date.now() - (maxAge || 0) * 1000).toISOString()
+    return this.db
+      .prepare(
+        `SELECT COUNT(*) AS entries,
+           COALESCE(SUM(CASE WHEN ? AND createdAt < ? THEN 1 ELSE 0 END), 0) AS expired,
+           COALESCE(SUM(hits), 0) AS hits,
+           COALESCE(SUM(length(CAST(reply AS BLOB))), 0) AS size,
+           MIN(createdAt) AS oldest,
+           MAX(createdAt) AS newest
+         FROM CachedResponse`
+      )
+      .get(maxAge ? 1 : 0, cutoff)
+  }
+
+  /**
+   * Deletes the cached replies, or only the ones older than a maximum age.
+   * @param {number} [maxAge] - Maximum age of the replies to keep, in seconds.
+   * @returns {Promise<number>} - The number of deleted replies.
+   */
+  async clearCache(maxAge) {
+    this._assertInitialized()
+
+    if (maxAge) {
+      const cutoff = new Date(Date.now() - maxAge * 1000).toISOString()
+      return this.db
+        .prepare('DELETE FROM CachedResponse WHERE createdAt < ?')
+        .run(cutoff).changes
+    }
+    return this.db.prepare('DELETE FROM CachedResponse').run().changes
+  }
+
+  /**
+   * Creates a batch with its records, all pending.
+   * @param {Object} settings - The settings of the batch (prompt, configuration...).
+   * @param {Object[]} records - The records, as `{ value, text }` objects.
+   * @returns {Promise<string>} - The ID of the batch.
+   */
+  async createBatch(settings, records) {
+    this._assertInitialized()
+
+    const batchId = uuidv4()
+    const insertBatch = this.db.prepare(
+      'INSERT INTO Batch (id, settings) VALUES (?, ?)'
+    )
+    const insertRecord = this.db.prepare(
+      'INSERT INTO BatchRecord (batchId, recordIndex, record) VALUES (?, ?, ?)'
+    )
+    this.db.transaction(() => {
+      insertBatch.run(batchId, JSON.stringify(settings))
+      records.forEach((record, index) => {
+        insertRecord.run(batchId, index, JSON.stringify(record))
+      })
+    })()
+    return batchId
+  }
+
+  /**
+   * Gets a batch from its ID or a unique prefix of it.
+   * @param {string} idOrPrefix - The batch ID or its prefix.
+   * @returns {Promise<Object>} - The batch `id`, `settings` and `createdAt`.
+   * @throws {Error} - If no batch or several batches match.
+   */
+  async getBatch(idOrPrefix) {
+    this._assertInitialized()
+
+    const rows = this.db
+      .prepare('SELECT * FROM Batch WHERE substr(id, 1, ?) = ? LIMIT 2')
+      .all(idOrPrefix.length, idOrPrefix)
+    if (!rows.length) {
+      throw new Error(`Batch '${idOrPrefix}' not found.`)
+    }
+    if (rows.length > 1) {
+      throw new Error(
+        `Batch ID '${idOrPrefix}' is ambiguous, please use more characters.`
+      )
+    }
+    return { ...rows[0], settings: JSON.parse(rows[0].settings) }
+  }
+
+  /**
+   * Gets the records of a batch, in order.
+   * @param {string} batchId - The ID of the batch.
+   * @returns {Promise<Object[]>} - The records with their `index`, `value`,
+   *   `text`, `status` ('pending', 'done' or 'failed'), `reply` and `error`.
+   */
+  async getBatchRecords(batchId) {
+    this._assertInitialized()
+
+    return this.db
+      .prepare(
+        'SELECT * FROM BatchRecord WHERE batchId = ? ORDER BY recordIndex'
+      )
+      .all(batchId)
+      .map((row) => ({
+        index: row.recordIndex,
+        ...JSON.parse(row.record),
+        status: row.status,
+        reply: row.reply === null ? null : JSON.parse(row.reply),
+        error: row.error
+      }))
+  }
+
+  /**
+   * Updates the state of a record of a batch.
+   * @param {string} batchId - The ID of the batch.
+   * @param {number} index - The index of the record.
+   * @param {Object} state
+   * @param {string} state.status - 'done' or 'failed'.
+   * @param {*} [state.reply] - The reply, when done.
+   * @param {string} [state.error] - The error message, when failed.
+   */
+  async updateBatchRecord(batchId, index, { status, reply, error }) {
+    this._assertInitialized()
+
+    this.db
+      .prepare(
+        `UPDATE BatchRecord SET status = ?, reply = ?, error = ?,
+         updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+         WHERE batchId = ? AND recordIndex = ?`
+      )
+      .run(
+        status,
+        reply === undefined ? null : JSON.stringify(reply),
+        error ?? null,
+        batchId,
+        index
+      )
+  }
+
+  /**
+   * Saves the token usage and cost of an interaction.
+   * @param {Object} usage
+   * @param {string} [usage.conversationId] - The conversation of the interaction.
+   * @param {string} usage.provider - The provider.
+   * @param {string} [usage.model] - The model.
+   * @param {string} [usage.promptName] - The name of the pre-prompt.
+   * @param {number} usage.calls - The number of calls made.
+   * @param {number} usage.inputTokens - The prompt tokens of the calls.
+   * @param {number} usage.outputTokens - The completion tokens of the calls.
+   * @param {number} usage.latencyMs - The total duration of the calls.
+   * @param {number} [usage.cost] - The cost of the calls, if the model has rates.
+   */
+  async saveUsage(usage) {
+    this._assertInitialized()
+
+    this.db
+      .prepare(
+        `INSERT INTO Usage (conversationId, provider, model, promptName, calls,
+           inputTokens, outputTokens, latencyMs, cost)
+         VALUES (@conversationId, @provider, @model, @promptName, @calls,
+           @inputTokens, @outputTokens, @latencyMs, @cost)`
+      )
+      .run({
+        conversationId: null,
+        model: null,
+        promptName: null,
+        cost: null,
+        ...usage
+      })
+  }
+
+  /**
+   * Gets the usage totals grouped by day (local time), model or prompt name.
+   * @param {Object} [options]
+   * @param {string} [options.by='day'] - 'day', 'model' or 'prompt'.
+   * @param {string} [options.since] - Only count the usage since this ISO date.
+   * @returns {Promise<Object[]>} - The rows with their `key`, `calls`,
+   *   `inputTokens`, `outputTokens`, `latencyMs` (average), `cost` and
+   *   `unpriced` (number of interactions without cost).
+   */
+  async getUsageReport({ by = 'day', since } = {}) {
+    this._assertInitialized()
+
+    const keys = {
+      day: "date(createdAt, 'localtime')",
+      model: "provider || '/' || COALESCE(model, '?')",
+      prompt: "COALESCE(promptName, '-')"
+    }
+    if (!keys[by]) {
+      throw new Error(
+        `Invalid grouping '${by}'. Supported groupings are 'day', 'model' and 'prompt'.`
+      )
+    }
+    return this.db
+      .prepare(
+        `SELECT ${keys[by]} AS key,
+           SUM(calls) AS calls,
+           SUM(inputTokens) AS inputTokens,
+           SUM(outputTokens) AS outputTokens,
+           CAST(ROUND(SUM(latencyMs) * 1.0 / SUM(calls)) AS INTEGER) AS latencyMs,
+           SUM(cost) AS cost,
+           SUM(cost IS NULL) AS unpriced
+         FROM Usage WHERE createdAt >= ?
+         GROUP BY key ORDER BY ${by === 'day' ? 'key' : 'cost DESC, key'}`
+      )
+      .all(since || '')
+  }
+
+  /**
+   * Gets the total cost of the calls made since a date.
+   * @param {string} since - The ISO date.
+   * @returns {Promise<number>} - The total cost.
+   */
+  async getSpending(since) {
+    this._assertInitialized()
+
+    return this.db
+      .prepare(
+        'SELECT COALESCE(SUM(cost), 0) AS cost FROM Usage WHERE createdAt >= ?'
+      )
+      .get(since).cost
+  }
+
+  /**
+   * Closes the database connection.
+   */
+  close() {
+    this.db.close()
+    this.initialized = false
+  }
+
+  /**
+   * Throws if the database tables have not been initialized.
+   */
+  _assertInitialized() {
+    if (!this.initialized) {
+      throw new Error('Brain not initialized. Call init() first.')
+    }
+  }
+
+  /**
+   * Applies the migrations the database has not been through yet, tracked
+   * with its `user_version`.
+   */
+  _migrate() {
+    const version = this.db.pragma('user_version', { simple: true })
+    const migrations = MIGRATIONS.slice(version)
+    if (!migrations.length) return
+
+    this.db.transaction(() => {
+      migrations.forEach((migration) => this.db.exec(migration))
+      this.db.pragma(`user_version = ${MIGRATIONS.length}`)
+    })()
   }
 
   /**
@@ -97,3 +705,35 @@ export class Brain {
     return dbPath
   }
 }
+
+/**
+ * Converts a Message row into a message object with its content spread in.
+ * @param {Object} row - The database row.
+ * @returns {Object} - The message.
+ */
+function toMessage(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversationId,
+    createdAt: row.createdAt,
+    ...JSON.parse(row.content)
+  }
+}
+
+/**
+ * Turns the words of a search into an FTS5 query, so that punctuation is not
+ * taken for its syntax: each word is quoted, as are `"phrases"`, and a
+ * trailing `*` searches for a prefix.
+ * @param {string} query - The search.
+ * @returns {string} - The FTS5 query (empty without words).
+ */
+function toMatchQuery(query) {
+  const terms = []
+  for (const [, phrase, word] of String(query).matchAll(/"([^"]*)"|(\S+)/g)) {
+    const text = phrase ?? word.replace(/"/g, '')
+    const prefix = phrase === undefined && text.endsWith('*')
+    const term = prefix ? text.slice(0, -1) : text
+    if (term.trim()) terms.push(`"${term}"${prefix ? '*' : ''}`)
+  }
+  return terms.join(' ')
+}
@@ -0,0 +1,694 @@
+// client.js
+/**
+ * The pipe-ai library: the requests of the command line (configuration,
+ * pre-prompts, conversations, cache, budgets, redaction, chunking and JSON
+ * replies) for Node scripts, returning structured results and throwing
+ * typed errors.
+ *
+ *   import { createPipeAI } from 'pipe-ai'
+ *
+ *   const pipeAI = createPipeAI({ profile: 'work' })
+ *   const { text, usage } = await pipeAI.ask({
+ *     input: log,
+ *     prePrompt: 'summarize',
+ *     options: { cache: true }
+ *   })
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+import * as api from './pipe-ai-api.js'
+import { log } from './lib/output.js'
+import { Brain } from './brain.js'
+import { CancelledError } from './lib/cancel.js'
+import { TimeoutError } from './lib/retry.js'
+import { ConfigurationError } from './lib/config.js'
+import {
+  getPlaceholders,
+  getRequestOptions,
+  renderTemplate
+} from './lib/template.js'
+import {
+  JsonValidationError,
+  getJsonInstructions,
+  getJsonSettings
+} from './lib/structured.js'
+import { getCacheKey, getCacheSettings } from './lib/cache.js'
+import { createRedactor, getRedactionSettings } from './lib/redact.js'
+import { estimateTokens, getInputBudget } from './lib/tokens.js'
+import {
+  BudgetExceededError,
+  checkBudget,
+  createUsageMeter,
+  formatCost,
+  getCost,
+  saveUsage
+} from './lib/usage.js'
+
+export {
+  BudgetExceededError,
+  CancelledError,
+  ConfigurationError,
+  JsonValidationError,
+  TimeoutError
+}
+
+/**
+ * Error thrown when the provider fails to reply, after the retries and
+ * fallbacks.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [options] - The `cause` of the error.
+   */
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'ProviderError'
+    // The HTTP status of the last failure, if any
+    this.status = options?.cause?.status
+  }
+}
+
+/**
+ * Error thrown when the input is over the token budget of the model and
+ * isn't processed in chunks.
+ */
+export class InputTooLargeError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {number} inputTokens - The estimated tokens of the input.
+   * @param {number} budget - The token budget of the input.
+   */
+  constructor(message, inputTokens, budget) {
+    super(message)
+    this.name = 'InputTooLargeError'
+    this.inputTokens = inputTokens
+    this.budget = budget
+  }
+}
+
+/**
+ * Function to create a pipe-ai client. The interactions are saved in the
+ * database, as with the command line, unless `logs` is false.
+ *
+ * @param {Object} [params]
+ * @param {string|Object} [params.config] - The configuration file path or
+ *   name, or the configuration data, layered over the user and project ones.
+ * @param {string} [params.profile] - The name of the profile to apply.
+ * @param {string} [params.db] - The database path (default: `~/.config/pipe-ai/db/default.sqlite`).
+ * @param {boolean} [params.logs=true] - Whether to save the interactions.
+ * @param {Object} [params.overrides] - Settings taking precedence over the
+ *   configuration and the pre-prompts (e.g. `{ defaultRequestOptions: { model } }`).
+ * @returns {Object} - The client, with `ask`, `stream`, `conversation`, the
+ *   conversation helpers, `getConfiguration` and `close`.
+ */
+export function createPipeAI({
+  config,
+  profile,
+  db,
+  logs = true,
+  overrides = {}
+} = {}) {
+  let brain = null
+
+  const getBrain = async () => {
+    if (!brain) {
+      brain = new Brain(db)
+      await brain.init()
+    }
+    return brain
+  }
+
+  const loadConfiguration = async (configOption) => {
+    try {
+      return await api.loadConfiguration(configOption, { profile, overrides })
+    } catch (err) {
+      throw new ConfigurationError(err.message, { cause: err })
+    }
+  }
+
+  /**
+   * Gets the configuration of a request: the provider and request options
+   * of its pre-prompt apply, unless a configuration was given.
+   *
+   * @param {Object|null} prePromptFile - The pre-prompt, from `loadPrePrompt`.
+   * @param {Object} options - The `requestOptions` and `system` of the request.
+   * @returns {Promise<Object>} - The configuration data.
+   */
+  const configure = async (prePromptFile, options) => {
+    const promptAttributes = prePromptFile?.attributes || {}
+
+    let configData = await loadConfiguration(config)
+    const promptProvider = promptAttributes.provider
+    if (promptProvider && promptProvider !== configData.provider) {
+      if (config) {
+        log.warn(
+          `Pre-prompt asks for provider '${promptProvider}', using '${configData.provider}' from --config and ignoring its request options.`
+        )
+      } else {
+        configData = await loadConfiguration(promptProvider)
+      }
+    }
+    if (!promptProvider || promptProvider === configData.provider) {
+      // The overrides take precedence over the pre-prompt options
+      configData = api.applyRequestOptions(configData, {
+        ...getRequestOptions(promptAttributes),
+        ...overrides.defaultRequestOptions
+      })
+    }
+    if (options.requestOptions) {
+      configData = api.applyRequestOptions(configData, options.requestOptions)
+    }
+    if (options.system !== undefined) {
+      configData = { ...configData, system: options.system }
+    }
+    return configData
+  }
+
+  /**
+   * Prepares a request: everything but the call answering it.
+   *
+   * @param {Object} params - The parameters of `ask`.
+   * @returns {Promise<Object>} - The request.
+   */
+  const prepare = async ({
+    input = '',
+    prompt = '',
+    prePrompt,
+    options = {}
+  }) => {
+    const prePromptFile = api.loadPrePrompt(prePrompt)
+    const configData = await configure(prePromptFile, options)
+    const json = getJsonSettings(configData, prePromptFile, options)
+    const cache = getCacheSettings(configData, options)
+    const redactor = createRedactor(
+      configData,
+      getRedactionSettings(configData, options)
+    )
+
+    log.debug('# Load the conversation history if continuing one')
+    const loadHistory = options.conversationId && !options.history
+    const useBrain = logs || loadHistory || cache.enabled || configData.budget
+    const brain = useBrain ? await getBrain() : null
+    const history =
+      options.history ??
+      (loadHistory ? await brain.getConversation(options.conversationId) : [])
+    const conversationId = options.conversationId || uuidv4()
+
+    log.debug('# Redact secrets and personal data from the input and prompt')
+    let inputData = redactor.redact(input)
+    prompt = redactor.redact(prompt)
+    if (prompt) log.verbose(`User Prompt: ${prompt}`)
+
+    log.debug('# Render the pre-prompt template variables, then redact it')
+    let prePromptText = ''
+    if (prePromptFile) {
+      const { attributes, body } = prePromptFile
+      // Variables and environment values may hold secrets too
+      prePromptText = renderTemplate(
+        body,
+        {
+          ...options.variables,
+          input: inputData,
+          message: prompt || undefined,
+          env: process.env
+        },
+        attributes.variables
+      )
+      prePromptText = redactor.redact(prePromptText)
+      log.verbose(`Pre Prompt: ${prePromptText}`)
+
+      log.debug('# Input and prompt used in the template are not sent again')
+      const placeholders = getPlaceholders(body)
+      if (placeholders.includes('message')) prompt = ''
+      if (placeholders.includes('input')) inputData = ''
+    }
+    const fullPrompt = [prePromptText, prompt].join('\n')
+
+    log.debug('# Look for a cached reply to the same request')
+    const cacheKey = cache.enabled
+      ? getCacheKey(
+          configData,
+          api.buildMessages(history, inputData, fullPrompt, configData.system),
+          {
+            json: json.enabled ? json.schema || true : undefined,
+            instructions: options.instructions || undefined
+          }
+        )
+      : null
+    const cachedReply =
+      cache.enabled && !cache.refresh
+        ? await brain.getCachedResponse(cacheKey, cache.ttl)
+        : undefined
+    if (cachedReply !== undefined) log.verbose('Using the cached reply')
+
+    if (cachedReply === undefined) {
+      options.onRequest?.()
+
+      log.debug('# Check the request fits in the budgets')
+      const requestText = api
+        .buildMessages(history, inputData, fullPrompt, configData.system)
+        .map(({ content }) => content)
+        .join('\n')
+      await checkBudget({
+        configData,
+        inputTokens: estimateTokens(
+          requestText,
+          configData.defaultRequestOptions?.model
+        ),
+        maxCost: options.maxCost,
+        brain
+      })
+    }
+
+    log.debug('# Import the provider module, with retries and fallbacks')
+    const chain = api.createProviderChain(
+      await api.getProviderModule(configData)
+    )
+    const meter = createUsageMeter(chain.providerModule)
+
+    log.debug('# Check the input fits in the token budget of the model')
+    const model = configData.defaultRequestOptions?.model
+    const inputBudget = getInputBudget(configData)
+    const inputTokens = estimateTokens(inputData, model)
+    log.verbose(`Input data: ~${inputTokens} tokens (budget: ${inputBudget})`)
+
+    const meta = {
+      ...options.meta,
+      ...(prePromptFile ? { prePromptName: prePromptFile.name } : {})
+    }
+    let turnPrompt = fullPrompt
+    if (cachedReply === undefined && inputTokens > inputBudget) {
+      if (!options.chunk) {
+        throw new InputTooLargeError(
+          `The input data is about ${inputTokens} tokens, over the budget of ${inputBudget} tokens for model '${model}'. Use --chunk to process it in parts.`,
+          inputTokens,
+          inputBudget
+        )
+      }
+
+      log.debug('# Run the prompt over each chunk, then reduce the answers')
+      const reduced = await api
+        .mapChunks({
+          providerModule: meter.providerModule,
+          configData,
+          inputData,
+          prompt: fullPrompt,
+          strategy: options.chunk === true ? undefined : options.chunk,
+          concurrency: options.concurrency || configData.chunking?.concurrency,
+          onProgress: options.onProgress,
+          onReply: async (reply, chunk, chunkPrompt, chunkInfo) => {
+            if (!logs) return
+            await brain.saveAIInteraction(
+              reply,
+              chain.getFallbackConfiguration() ?? configData,
+              chunk,
+              '',
+              chunkPrompt,
+              conversationId,
+              { chunk: chunkInfo }
+            )
+          },
+          signal: options.signal
+        })
+        .catch((err) => {
+          throw toProviderError(err)
+        })
+      log.debug('# The partial answers become the input of the reduce step')
+      inputData = reduced.inputData
+      turnPrompt = reduced.prompt
+      meta.chunked = true
+    }
+
+    if (options.instructions) {
+      turnPrompt = [turnPrompt, options.instructions].join('\n\n')
+    }
+    if (json.enabled) {
+      log.debug('# Ask for a JSON reply')
+      turnPrompt = [turnPrompt, getJsonInstructions(json.schema)].join('\n\n')
+      meta.json = true
+    }
+
+    return {
+      options,
+      configData,
+      json,
+      cache,
+      cacheKey,
+      cachedReply,
+      redactor,
+      brain,
+      chain,
+      meter,
+      prePromptFile,
+      conversationId,
+      inputData,
+      prePrompt: prePromptText,
+      prompt,
+      meta,
+      messages: api.buildMessages(
+        history,
+        inputData,
+        turnPrompt,
+        configData.system
+      )
+    }
+  }
+
+  /**
+   * Saves the reply to a request, with its usage, and makes the result.
+   *
+   * @param {Object} request - The request, from `prepare`.
+   * @param {string} reply - The reply (restored if redacted).
+   * @param {*} [value] - The parsed value of a JSON reply.
+   * @returns {Promise<Object>} - The result.
+   */
+  const finish = async (request, reply, value) => {
+    const { configData, brain, chain, cache, meta } = request
+    const cached = request.cachedReply !== undefined
+    if (cached) meta.cached = true
+
+    log.debug('# Only the redacted reply is kept')
+    // The strings of a JSON value are redacted one by one, to keep it valid
+    const savedReply = request.json.enabled
+      ? JSON.stringify(request.redactor.redactValue(value), null, 2)
+      : request.redactor.redact(reply)
+    if (cache.enabled && !cached) {
+      await brain.setCachedResponse(request.cacheKey, savedReply)
+    }
+
+    const usedConfigData = chain.getFallbackConfiguration() ?? configData
+    if (usedConfigData !== configData) {
+      log.verbose(`Answered by fallback provider '${usedConfigData.provider}'`)
+    }
+
+    if (logs) {
+      await brain.saveAIInteraction(
+        savedReply,
+        usedConfigData,
+        request.inputData,
+        request.prePrompt,
+        request.prompt,
+        request.conversationId,
+        meta
+      )
+      log.verbose(`Conversation ID: ${request.conversationId}`)
+    }
+
+    const usage = request.meter.takeUsage()
+    let cost
+    if (usage) {
+      cost = brain
+        ? await saveUsage(brain, usage, {
+            configData: usedConfigData,
+            conversationId: logs ? request.conversationId : undefined,
+            promptName: request.prePromptFile?.name
+          })
+        : getCost(usedConfigData, usage)
+      log.verbose(
+        `Usage: ${usage.inputTokens} input + ${usage.outputTokens} output tokens in ${usage.latencyMs} ms (${formatCost(cost)})`
+      )
+    }
+
+    return {
+      text: reply,
+      ...(request.json.enabled ? { value } : {}),
+      conversationId: logs ? request.conversationId : undefined,
+      cached,
+      provider: usedConfigData.provider,
+      model: usedConfigData.defaultRequestOptions?.model,
+      usage: usage ? { ...usage, cost } : null,
+      // The interaction as saved, to follow up with the `history` option
+      message: {
+        aiReply: savedReply,
+        configData: usedConfigData,
+        inputData: request.inputData,
+        prePrompt: request.prePrompt,
+        prompt: request.prompt,
+        createdAt: new Date().toISOString(),
+        ...meta
+      }
+    }
+  }
+
+  /**
+   * Saves the JSON reply to a request and makes the result. The strings of
+   * the value are restored one by one, as they are escaped in the reply.
+   *
+   * @param {Object} request - The request, from `prepare`.
+   * @param {*} value - The parsed value of the reply (redacted).
+   * @returns {Promise<Object>} - The result.
+   */
+  const finishJson = (request, value) => {
+    const restored = request.redactor.restoreValue(value)
+    return finish(request, JSON.stringify(restored, null, 2), restored)
+  }
+
+  /**
+   * Saves a cancelled request with the part of the reply received, and gets
+   * the error to throw.
+   *
+   * @param {Object} request - The request, from `prepare`.
+   * @param {Error} err - The error of the call.
+   * @returns {Promise<Error>} - The error.
+   */
+  const fail = async (request, err) => {
+    if (!(err instanceof CancelledError)) return toProviderError(err)
+    if (logs) {
+      await request.brain.saveAIInteraction(
+        request.redactor.redact(err.partialReply),
+        request.chain.getFallbackConfiguration() ?? request.configData,
+        request.inputData,
+        request.prePrompt,
+        request.prompt,
+        request.conversationId,
+        { ...request.meta, cancelled: true }
+      )
+    }
+    return err
+  }
+
+  /**
+   * Sends a prompt and gets the reply.
+   *
+   * @param {Object} params
+   * @param {string} [params.input] - The input data.
+   * @param {string} [params.prompt] - The prompt.
+   * @param {string} [params.prePrompt] - The name or path of a pre-defined prompt.
+   * @param {Object} [params.options] - Options of the request:
+   *   `conversationId` (to continue), `history` (the messages of the
+   *   conversation sent, instead of the saved ones), `variables` (of the
+   *   pre-prompt template), `requestOptions` and `system` (overriding the
+   *   configuration), `json` and `schema` (a JSON reply), `chunk` (true, 'paragraphs' or 'lines')
+   *   and `concurrency` (for an input over the token budget), `cache` and
+   *   `refresh`, `redact`, `maxCost`, `instructions` (appended to the prompt
+   *   sent, not saved), `meta` (saved with the interaction), `signal` (to
+   *   cancel) and the `onRequest` (called before the provider is, unless
+   *   the reply is cached), `onAttempt`, `onRepair` and `onProgress` callbacks.
+   * @returns {Promise<Object>} - The result: the `text` of the reply, its
+   *   parsed `value` for JSON replies, the `conversationId` (unless the
+   *   interactions are not saved), whether it was `cached`, the `provider`
+   *   and `model` which answered, the `usage` of the calls (with their
+   *   `cost`) and the `message` of the interaction, as saved.
+   * @throws {ConfigurationError|InputTooLargeError|BudgetExceededError|ProviderError|TimeoutError|JsonValidationError|CancelledError}
+   */
+  const ask = async (params) => {
+    const request = await prepare(params)
+    const { configData, json, options } = request
+    if (request.cachedReply !== undefined) {
+      return json.enabled
+        ? finishJson(request, JSON.parse(request.cachedReply))
+        : finish(request, request.redactor.restore(request.cachedReply))
+    }
+
+    let reply
+    let value
+    try {
+      if (json.enabled) {
+        log.debug('# Generate a JSON response, repairing it until it is valid')
+        const jsonReply = await api.getJsonResponse({
+          providerModule: request.meter.providerModule,
+          configData,
+          messages: request.messages,
+          schema: json.schema,
+          onRepair: options.onRepair,
+          onAttempt: options.onAttempt,
+          signal: options.signal
+        })
+        value = jsonReply.value
+      } else {
+        log.debug('# Generate AI response')
+        reply = await request.meter.providerModule.getAIResponse(
+          configData,
+          request.messages,
+          { onAttempt: options.onAttempt, signal: options.signal }
+        )
+      }
+    } catch (err) {
+      throw await fail(request, err)
+    }
+    return json.enabled
+      ? finishJson(request, value)
+      : finish(request, request.redactor.restore(reply))
+  }
+
+  /**
+   * Sends a prompt and streams the reply as it is generated. JSON replies
+   * can't be streamed; a cached reply, or the reply of a provider without
+   * streaming, comes as a single chunk.
+   *
+   * @param {Object} params - The parameters of `ask`.
+   * @returns {AsyncGenerator<string>} - The chunks of the reply, with a
+   *   `result` promise of the result of `ask`, settled once they are read.
+   *   The errors of `ask` are thrown while reading them; when cancelled, the
+   *   part of the reply received is the `partialReply` of the error.
+   */
+  const stream = (params) => {
+    let settle
+    const result = new Promise(
+      (resolve, reject) => (settle = { resolve, reject })
+    )
+    // Rejections are thrown to the reader of the chunks too
+    result.catch(() => {})
+
+    async function* generate() {
+      try {
+        const request = await prepare(params)
+        const { configData, options } = request
+        if (request.json.enabled) {
+          throw new Error("JSON replies can't be streamed, use ask().")
+        }
+
+        let reply = ''
+        if (request.cachedReply !== undefined) {
+          reply = request.redactor.restore(request.cachedReply)
+          yield reply
+        } else {
+          const { providerModule } = request.meter
+          const callOptions = {
+            onAttempt: options.onAttempt,
+            signal: options.signal
+          }
+          if (!providerModule.streamAIResponse) {
+            log.warn(
+              `Provider '${configData.provider}' does not support streaming.`
+            )
+          }
+          try {
+            const chunks = providerModule.streamAIResponse
+              ? providerModule.streamAIResponse(
+                  configData,
+                  request.messages,
+                  callOptions
+                )
+              : [
+                  await providerModule.getAIResponse(
+                    configData,
+                    request.messages,
+                    callOptions
+                  )
+                ]
+            for await (const chunk of request.redactor.restoreStream(chunks)) {
+              reply += chunk
+              yield chunk
+            }
+          } catch (err) {
+            if (err instanceof CancelledError) err.partialReply = reply
+            throw await fail(request, err)
+          }
+        }
+        settle.resolve(await finish(request, reply))
+      } catch (err) {
+        settle.reject(err)
+        throw err
+      } finally {
+        settle.reject(
+          new Error('The stream of the reply was not read to the end.')
+        )
+      }
+    }
+
+    return Object.assign(generate(), { result })
+  }
+
+  /**
+   * Gets a conversation, to ask follow-up prompts: each request continues
+   * the conversation of the previous one (saved in the database).
+   *
+   * @param {string} [conversationId] - The conversation to continue (default: a new one).
+   * @returns {Object} - The conversation, with its `id`, `ask`, `stream` and `getMessages`.
+   */
+  const conversation = (conversationId) => {
+    const withConversation = (params = {}) => ({
+      ...params,
+      options: { ...params.options, conversationId }
+    })
+    const keep = (result) => {
+      conversationId = result.conversationId ?? conversationId
+      return result
+    }
+    return {
+      get id() {
+        return conversationId
+      },
+      ask: async (params) => keep(await ask(withConversation(params))),
+      stream: (params) => {
+        const chunks = stream(withConversation(params))
+        chunks.result.then(keep, () => {})
+        return chunks
+      },
+      getMessages: async () =>
+        conversationId ? (await getBrain()).getConversation(conversationId) : []
+    }
+  }
+
+  return {
+    ask,
+    stream,
+    conversation,
+    /**
+     * Gets the configuration the requests with a pre-prompt are sent with.
+     *
+     * @param {Object} [params]
+     * @param {string} [params.prePrompt] - The pre-prompt name or path.
+     * @param {Object} [params.options] - The `requestOptions` and `system` of the request.
+     * @returns {Promise<Object>} - The configuration data.
+     * @throws {ConfigurationError} - If the configuration is not found or not valid.
+     */
+    getConfiguration: ({ prePrompt, options = {} } = {}) =>
+      configure(api.loadPrePrompt(prePrompt), options),
+    listConversations: async (options) =>
+      (await getBrain()).listConversations(options),
+    getConversation: async (conversationId) =>
+      (await getBrain()).getConversation(conversationId),
+    getLastConversationId: async () =>
+      (await getBrain()).getLastConversationId(),
+    resolveConversationId: async (idOrPrefix) =>
+      (await getBrain()).resolveConversationId(idOrPrefix),
+    deleteConversation: async (conversationId) =>
+      (await getBrain()).deleteConversation(conversationId),
+    close: () => {
+      brain?.close()
+      brain = null
+    }
+  }
+}
+
+/**
+ * Wraps the errors of the provider calls in a `ProviderError`, keeping the
+ * errors with a type of their own.
+ *
+ * @param {Error} err - The error.
+ * @returns {Error} - The error to throw.
+ */
+function toProviderError(err) {
+  const typed = [
+    CancelledError,
+    TimeoutError,
+    JsonValidationError,
+    BudgetExceededError,
+    ProviderError
+  ]
+  if (typed.some((type) => err instanceof type)) return err
+  return new ProviderError(err.message, { cause: err })
+}
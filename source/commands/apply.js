@@ -0,0 +1,123 @@
+// apply.js
+
+import fs from 'fs'
+import path from 'path'
+import * as input from '../lib/input.js'
+import * as output from '../lib/output.js'
+import { resolveInputPaths } from '../lib/inputFiles.js'
+import { filterCodeBlocks, parseCodeBlocks } from '../lib/extract.js'
+import { applyPatch, formatDiff, parseUnifiedDiff } from '../lib/diff.js'
+
+/**
+ * Gets the input files which `--apply` may change.
+ *
+ * @param {string[]} filePaths - Files, directories or globs to read input from.
+ * @param {Object} [options] - The `maxFileSize` and `extensions` filters of directories and globs.
+ * @returns {Promise<Object[]>} - The files as `{ path, label }` objects.
+ * @throws {Error} - If there are no input files.
+ */
+export async function getApplicableFiles(filePaths, options = {}) {
+  const { inputs } = await resolveInputPaths(filePaths, options)
+  const files = inputs.filter((file) => file.path)
+  if (!files.length) {
+    throw new Error(
+      '--apply changes the input files, please give them as arguments.'
+    )
+  }
+  return files
+}
+
+/**
+ * Applies the unified diff of a reply to the input files: all the changes
+ * are checked to apply cleanly, previewed, and written once confirmed on the
+ * terminal (or right away with --yes).
+ *
+ * @param {string} reply - The AI's reply, with a ```diff block.
+ * @param {Object[]} files - The input files, from `getApplicableFiles`.
+ * @param {Object} options - The command-line options (`yes` and `output`).
+ * @returns {Promise<string[]>} - The labels of the files changed.
+ * @throws {Error} - If the diff is missing, changes other files or doesn't apply.
+ */
+export async function applyReply(reply, files, options) {
+  const blocks = parseCodeBlocks(reply)
+  const diffBlocks = [
+    ...filterCodeBlocks(blocks, 'diff'),
+    ...filterCodeBlocks(blocks, 'patch')
+  ]
+  const patches = parseUnifiedDiff(
+    diffBlocks.length ? diffBlocks.map(({ code }) => code).join('\n') : reply
+  )
+  if (!patches.length) {
+    throw new Error('The reply has no diff to apply.')
+  }
+
+  // All the changes are checked before any file is written, the patches of
+  // the same file applied in turn to its content
+  const changes = new Map()
+  for (const patch of patches) {
+    if (patch.oldPath === '/dev/null' || patch.newPath === '/dev/null') {
+      throw new Error(
+        `The diff creates or deletes ${patch.oldPath === '/dev/null' ? patch.newPath : patch.oldPath}, only changes to the input files are applied.`
+      )
+    }
+    const file = findFile(files, patch.newPath)
+    const content =
+      changes.get(file.path)?.content ?? fs.readFileSync(file.path, 'utf8')
+    changes.set(file.path, { file, content: applyPatch(content, patch) })
+  }
+
+  await output.outputResult(
+    formatDiff(patches, {
+      color: !options.output && Boolean(process.stdout.isTTY)
+    }),
+    options.output
+  )
+
+  const labels = [...changes.values()].map(({ file }) => file.label)
+  if (!options.yes) {
+    const question = `Apply the changes to ${labels.join(', ')}?`
+    let confirmed
+    try {
+      confirmed = await input.confirm(question)
+    } catch {
+      throw new Error(
+        'No terminal to confirm the changes, use --yes to apply them.'
+      )
+    }
+    if (!confirmed) {
+      console.error('No changes applied.')
+      return []
+    }
+  }
+
+  for (const { file, content } of changes.values()) {
+    fs.writeFileSync(file.path, content)
+    console.error(`Updated ${file.label}`)
+  }
+  return labels
+}
+
+/**
+ * Finds the input file a path of the diff stands for: by its path relative
+ * to the current directory, or by its file name when only one input file has it.
+ *
+ * @param {Object[]} files - The input files.
+ * @param {string} filePath - The path of the diff.
+ * @returns {Object} - The file.
+ * @throws {Error} - If it's not an input file.
+ */
+function findFile(files, filePath) {
+  const resolved = path.resolve(filePath)
+  const sameName = files.filter(
+    (file) => path.basename(file.path) === path.basename(filePath)
+  )
+  const file =
+    files.find((file) => file.path === resolved) ||
+    (sameName.length === 1 ? sameName[0] : undefined)
+  if (!file) {
+    throw new Error(
+      `The diff changes ${filePath}, which is not an input file. Only the input files are changed.`
+    )
+  }
+  return file
+}
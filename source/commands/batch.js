@@ -0,0 +1,250 @@
+// batch.js
+
+import fs from 'fs'
+import * as api from '../pipe-ai-api.js'
+import * as input from '../lib/input.js'
+import { log } from '../lib/output.js'
+import { mapWithConcurrency, withSpinner } from '../lib/utils.js'
+import { createRateLimiter, parseRecords } from '../lib/batch.js'
+import { getPlaceholders, renderTemplate } from '../lib/template.js'
+import { getJsonSettings } from '../lib/structured.js'
+import { createRedactor, getRedactionSettings } from '../lib/redact.js'
+import { getCommandLineOverrides } from '../lib/config.js'
+import { Brain } from '../brain.js'
+import { createPipeAI } from '../client.js'
+
+/**
+ * Runs the prompt over every record of the input (--batch), or over the
+ * records of a previous batch which are not done yet (--resume). The results
+ * are output in the order of the records as JSON lines, with the `record`,
+ * its `reply` and the `error` it failed with.
+ *
+ * @param {string[]} filePaths - Files, directories or globs to read input from.
+ * @param {Object} options - The command-line options.
+ * @param {Object} interruption - The `signal` and `cancellable` of `attachSignalHandlers`.
+ * @returns {Promise<void>} - Resolves when all the records are processed.
+ * @throws {Error} - If some records failed, to resume them.
+ */
+export async function runBatch(filePaths, options, { signal, cancellable }) {
+  const brain = new Brain(options.db)
+  await brain.init()
+
+  log.debug('# Read the records, or load the batch to resume')
+  let batchId
+  let settings
+  let records
+  if (options.resume) {
+    const batch = await brain.getBatch(options.resume)
+    batchId = batch.id
+    settings = batch.settings
+    log.verbose(`Resuming batch ${batchId}`)
+  } else {
+    const { inputs } = await input.readInputs(filePaths, {
+      maxFileSize: options.maxFileSize,
+      extensions: options.ext
+    })
+    records = inputs.flatMap(({ content }) =>
+      parseRecords(content, options.batch)
+    )
+    if (!records.length) {
+      throw new Error(
+        'No records in the input. Please provide some via a file or stdin.'
+      )
+    }
+
+    // What is needed to resume the batch, the configuration being loaded again
+    settings = {
+      format: options.batch,
+      message: options.message,
+      prePrompt: options.prePrompt,
+      variables: options.var,
+      config: options.config,
+      profile: options.profile,
+      overrides: getCommandLineOverrides(options),
+      json: options.json,
+      schema: options.schema,
+      redact: options.redact
+    }
+  }
+
+  log.debug('# Load the configuration and the pre-prompt of the batch')
+  const pipeAI = createPipeAI({
+    config: settings.config,
+    profile: settings.profile,
+    db: options.db,
+    logs: options.logs !== false,
+    overrides: settings.overrides
+  })
+  const prePromptFile = api.loadPrePrompt(settings.prePrompt)
+  const configData = await pipeAI.getConfiguration({
+    prePrompt: settings.prePrompt
+  })
+  const { enabled: useJson } = getJsonSettings(
+    configData,
+    prePromptFile,
+    settings
+  )
+
+  // Only the redacted records, message and replies are saved, the records
+  // read now being sent and output as they are
+  const redactor = createRedactor(
+    configData,
+    getRedactionSettings(configData, { redact: settings.redact })
+  )
+
+  // The batch is saved once its settings are known to be valid
+  const readRecords = records
+  if (!batchId) {
+    batchId = await brain.createBatch(
+      {
+        ...settings,
+        message: redactor.redact(settings.message),
+        variables: redactor.redactValue(settings.variables)
+      },
+      records.map(({ value, text }) => ({
+        value: redactor.redactValue(value),
+        text: redactor.redact(text)
+      }))
+    )
+    log.verbose(`Batch ${batchId}: ${records.length} records`)
+  }
+  records = (await brain.getBatchRecords(batchId)).map((record) => ({
+    ...record,
+    ...readRecords?.[record.index]
+  }))
+
+  const usesRecord = (body) =>
+    getPlaceholders(body).some(
+      (name) =>
+        name === 'input' || name === 'record' || name.startsWith('record.')
+    )
+  // The record is sent as the input, unless a template places it; the
+  // pre-prompt gets it as its {{input}} either way
+  const sendsRecord =
+    getPlaceholders(prePromptFile?.body ?? '').includes('input') ||
+    !(
+      usesRecord(settings.message ?? '') ||
+      usesRecord(prePromptFile?.body ?? '')
+    )
+
+  /**
+   * Sends the prompt rendered for a record and returns the reply.
+   * @param {Object} record - The record.
+   * @returns {Promise<*>} - The reply (its value for JSON replies).
+   */
+  const processRecord = async (record) => {
+    const variables = { ...settings.variables, record: record.value }
+    const prompt = settings.message
+      ? renderTemplate(settings.message, {
+          ...variables,
+          input: record.text,
+          env: process.env
+        })
+      : ''
+
+    const result = await pipeAI.ask({
+      input: sendsRecord ? record.text : '',
+      prompt,
+      prePrompt: settings.prePrompt,
+      options: {
+        variables,
+        json: settings.json,
+        schema: settings.schema,
+        redact: settings.redact,
+        maxCost: options.maxCost,
+        meta: { batch: batchId, record: record.index },
+        signal
+      }
+    })
+    return useJson ? result.value : result.text
+  }
+
+  log.debug('# Output the results in the order of the records')
+  const output = options.output
+    ? fs.createWriteStream(options.output, 'utf8')
+    : process.stdout
+  const results = new Map()
+  let nextIndex = 0
+  const emit = (record) => {
+    results.set(record.index, {
+      record: record.value,
+      reply: record.reply,
+      error: record.error
+    })
+    while (results.has(nextIndex)) {
+      output.write(`${JSON.stringify(results.get(nextIndex))}\n`)
+      results.delete(nextIndex++)
+    }
+  }
+
+  const pending = records.filter(({ status }) => status !== 'done')
+  records
+    .filter(({ status }) => status === 'done')
+    .forEach((record) => emit({ ...record, error: null }))
+
+  log.debug('# Process the records not done yet')
+  const concurrency = options.concurrency ?? configData.batch.concurrency
+  const waitForTurn = createRateLimiter(
+    parseFloat(options.rateLimit) || configData.batch.rateLimit
+  )
+  let done = records.length - pending.length
+  let failed = 0
+  const processAll = (spinner) =>
+    mapWithConcurrency(pending, concurrency, async (record) => {
+      if (signal.aborted) return
+
+      let state
+      try {
+        await waitForTurn(signal)
+        state = {
+          status: 'done',
+          reply: await processRecord(record),
+          error: null
+        }
+        done++
+      } catch (err) {
+        // Cancelled records stay pending, to be resumed
+        if (signal.aborted) return
+        log.verbose(`Record ${record.index + 1} failed: ${err.message}`)
+        state = { status: 'failed', reply: null, error: err.message }
+        failed++
+      }
+      await brain.updateBatchRecord(batchId, record.index, {
+        ...state,
+        reply: redactor.redactValue(state.reply)
+      })
+      emit({ ...record, ...state })
+      if (spinner) {
+        spinner.text = `Batch: ${done}/${records.length} records done${failed ? `, ${failed} failed` : ''}...`
+      }
+    })
+
+  try {
+    // The progress is not shown over the results in the terminal
+    await cancellable(() =>
+      options.output || !process.stdout.isTTY
+        ? withSpinner(processAll, {
+            text: `Batch: ${done}/${records.length} records done...`,
+            spinner: 'dots'
+          })
+        : processAll()
+    )
+  } finally {
+    if (options.output) {
+      await new Promise((resolve) => output.end(resolve))
+    }
+    pipeAI.close()
+  }
+
+  if (signal.aborted) {
+    log.error(`Batch cancelled. Resume it with --resume ${batchId}.`)
+    throw signal.reason
+  }
+  if (options.output) log.error(`Output saved to ${options.output}`)
+  if (failed) {
+    throw new Error(
+      `${failed} of ${records.length} records failed. Retry them with --resume ${batchId}.`
+    )
+  }
+  log.verbose(`Batch ${batchId}: ${records.length} records done`)
+}
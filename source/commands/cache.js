@@ -0,0 +1,56 @@
+// cache.js
+
+import { Brain } from '../brain.js'
+import * as api from '../pipe-ai-api.js'
+import { getCacheSettings } from '../lib/cache.js'
+import { formatDate } from '../lib/output.js'
+import { formatSize } from '../lib/inputFiles.js'
+
+/**
+ * Shows statistics about the cached replies.
+ *
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {string} [options.config] - The configuration file path or name (for the TTL).
+ */
+export async function showStats(options) {
+  const { ttl } = getCacheSettings(
+    await api.loadConfiguration(options.config, { profile: options.profile }),
+    {}
+  )
+  const brain = new Brain(options.db)
+  await brain.init()
+
+  const stats = await brain.getCacheStats(ttl)
+  console.log(`Entries: ${stats.entries} (${stats.expired} expired)`)
+  console.log(`Hits:    ${stats.hits}`)
+  console.log(`Size:    ${formatSize(stats.size)}`)
+  if (stats.entries) {
+    console.log(`Oldest:  ${formatDate(stats.oldest)}`)
+    console.log(`Newest:  ${formatDate(stats.newest)}`)
+  }
+}
+
+/**
+ * Deletes the cached replies, or only the expired ones.
+ *
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {string} [options.config] - The configuration file path or name (for the TTL).
+ * @param {boolean} [options.expired] - Only delete the replies older than the TTL.
+ */
+export async function clearCache(options) {
+  const ttl = options.expired
+    ? getCacheSettings(
+        await api.loadConfiguration(options.config, {
+          profile: options.profile
+        }),
+        {}
+      ).ttl
+    : undefined
+  const brain = new Brain(options.db)
+  await brain.init()
+
+  const count = await brain.clearCache(ttl)
+  console.log(`Deleted ${count} cached ${count === 1 ? 'reply' : 'replies'}.`)
+}
@@ -0,0 +1,30 @@
+// config.js
+
+import yaml from 'js-yaml'
+import * as api from '../pipe-ai-api.js'
+import { maskSecrets } from '../lib/utils.js'
+import { getCommandLineOverrides } from '../lib/config.js'
+
+/**
+ * Prints the effective configuration, its secrets masked, after the list of
+ * the layers it is made of (lowest precedence first). Overrides of the
+ * command line (`--model`, `--set`, ...) are the last layer.
+ *
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.config] - The configuration file path or name.
+ * @param {string} [options.profile] - The name of the profile to apply.
+ */
+export async function showConfig(options) {
+  const { configData, sources } = await api.resolveConfiguration(
+    options.config,
+    { profile: options.profile, overrides: getCommandLineOverrides(options) }
+  )
+
+  console.log('# Layers:')
+  for (const source of sources) {
+    console.log(`#   - ${source}`)
+  }
+  process.stdout.write(
+    yaml.dump(maskSecrets({ provider: configData.provider, ...configData }))
+  )
+}
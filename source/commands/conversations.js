@@ -0,0 +1,214 @@
+// conversations.js
+
+import { Brain } from '../brain.js'
+import { truncate, maskSecrets } from '../lib/utils.js'
+import { formatDate, formatTranscript } from '../lib/output.js'
+import { confirm } from '../lib/input.js'
+
+/**
+ * Lists past conversations, newest first, with their last message.
+ *
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {string} [options.limit] - Maximum number of conversations to list.
+ */
+export async function listHistory(options) {
+  const brain = await openBrain(options.db)
+  const limit = parseInt(options.limit, 10)
+  const conversations = await brain.listConversations({
+    limit: limit > 0 ? limit : -1
+  })
+
+  for (const {
+    conversationId,
+    messageCount,
+    updatedAt,
+    lastMessage
+  } of conversations) {
+    const date = formatDate(updatedAt)
+    const count = `${messageCount} msg`.padStart(7)
+    const reply = truncate(lastMessage.aiReply, 60)
+    console.log(`${conversationId.slice(0, 8)}  ${date}  ${count}  "${reply}"`)
+  }
+}
+
+/**
+ * Prints the full transcript of a conversation.
+ *
+ * @param {string} idOrPrefix - The conversation ID (or a unique prefix of it).
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {boolean} [options.json] - Print the conversation as JSON.
+ * @param {boolean} [options.input] - Include the input data (default: true).
+ */
+export async function showConversation(idOrPrefix, options) {
+  const brain = await openBrain(options.db)
+  const conversationId = await brain.resolveConversationId(idOrPrefix)
+  const messages = (await brain.getConversation(conversationId)).map(
+    (message) => ({ ...message, configData: maskSecrets(message.configData) })
+  )
+
+  if (options.json) {
+    console.log(JSON.stringify({ conversationId, messages }, null, 2))
+    return
+  }
+
+  console.log(
+    formatTranscript(conversationId, messages, { input: options.input })
+  )
+}
+
+/**
+ * Deletes a conversation, or prunes all the conversations older than a date.
+ *
+ * @param {string} [idOrPrefix] - The conversation ID (or a unique prefix of it).
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {string} [options.before] - Delete conversations last updated before this date.
+ * @param {boolean} [options.yes] - Delete the conversation of a prefix without confirmation.
+ */
+export async function removeConversations(idOrPrefix, options) {
+  if (!idOrPrefix === !options.before) {
+    throw new Error(
+      'Please provide either a conversation ID or --before <date>.'
+    )
+  }
+
+  const brain = await openBrain(options.db)
+
+  if (idOrPrefix) {
+    // Prefixes matching several conversations are rejected
+    const conversationId = await brain.resolveConversationId(idOrPrefix)
+    if (conversationId !== idOrPrefix && !options.yes) {
+      const question = `Delete conversation ${conversationId}?`
+      let confirmed
+      try {
+        confirmed = await confirm(question)
+      } catch {
+        throw new Error(
+          `'${idOrPrefix}' is a prefix of conversation ${conversationId}, use its full ID or --yes to delete it.`
+        )
+      }
+      if (!confirmed) {
+        console.error('No conversation deleted.')
+        return
+      }
+    }
+    const count = await brain.deleteConversation(conversationId)
+    console.log(`Deleted conversation ${conversationId} (${count} messages).`)
+    return
+  }
+
+  const date = new Date(options.before)
+  if (isNaN(date)) {
+    throw new Error(`Invalid date: '${options.before}'.`)
+  }
+  const { conversations, messages } =
+    await brain.deleteConversationsBefore(date)
+  console.log(
+    `Deleted ${conversations} conversations (${messages} messages) last updated before ${date.toISOString()}.`
+  )
+}
+
+/**
+ * Searches the past interactions (prompts, pre-prompt names, inputs and
+ * replies) and prints the best matches with a snippet of each.
+ *
+ * @param {string[]} words - The words to search for.
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {string} [options.since] - Only the interactions since this date.
+ * @param {string} [options.until] - Only the interactions before this date.
+ * @param {string} [options.provider] - Only the interactions of this provider (`provider[/model]`).
+ * @param {string} [options.prompt] - Only the interactions with this pre-prompt.
+ * @param {string} [options.limit] - Maximum number of interactions to list.
+ * @param {boolean} [options.json] - Print the results as JSON.
+ */
+export async function searchConversations(words, options) {
+  const query = words.join(' ')
+  const [provider, model] = options.provider
+    ? [
+        options.provider.split('/')[0],
+        options.provider.split('/').slice(1).join('/') || undefined
+      ]
+    : []
+  const limit = parseInt(options.limit, 10)
+
+  // Matches are highlighted in the terminal, marked with ** otherwise
+  const highlight =
+    process.stdout.isTTY && !options.json
+      ? ['\x1b[1;33m', '\x1b[22;39m']
+      : ['**', '**']
+
+  const brain = await openBrain(options.db)
+  const messages = await brain.searchMessages(query, {
+    since: parseDate(options.since),
+    until: parseDate(options.until),
+    provider,
+    model,
+    promptName: options.prompt,
+    limit: limit > 0 ? limit : -1,
+    highlight
+  })
+
+  const results = messages.map((message) => ({
+    conversationId: message.conversationId,
+    messageId: message.id,
+    createdAt: message.createdAt,
+    provider: message.configData?.provider,
+    model: message.configData?.defaultRequestOptions?.model,
+    prePromptName: message.prePromptName,
+    snippet: message.snippet.replace(/\s+/g, ' ').trim()
+  }))
+
+  if (options.json) {
+    console.log(JSON.stringify({ query, results }, null, 2))
+    return
+  }
+
+  if (!results.length) {
+    console.log('No matching interactions.')
+  }
+  for (const result of results) {
+    const model = [result.provider, result.model].filter(Boolean).join('/')
+    console.log(
+      [
+        result.conversationId.slice(0, 8),
+        formatDate(result.createdAt),
+        model,
+        result.prePromptName
+      ]
+        .filter(Boolean)
+        .join('  ')
+    )
+    console.log(`    ${result.snippet}`)
+  }
+}
+
+/**
+ * Parses a date of the command line.
+ *
+ * @param {string} [value] - The date.
+ * @returns {string|undefined} - The ISO date, if any.
+ * @throws {Error} - If the date is not valid.
+ */
+function parseDate(value) {
+  if (!value) return undefined
+  const date = new Date(value)
+  if (isNaN(date)) {
+    throw new Error(`Invalid date: '${value}'.`)
+  }
+  return date.toISOString()
+}
+
+/**
+ * Opens and initializes the Brain database.
+ *
+ * @param {string} [dbPath] - Custom database path.
+ * @returns {Promise<Brain>} - The initialized Brain instance.
+ */
+async function openBrain(dbPath) {
+  const brain = new Brain(dbPath)
+  await brain.init()
+  return brain
+}
@@ -0,0 +1,32 @@
+// inputs.js
+
+import { readInputs } from '../lib/input.js'
+import { formatInputs, formatSize } from '../lib/inputFiles.js'
+import { estimateTokens, getInputBudget } from '../lib/tokens.js'
+
+/**
+ * Lists the inputs that would be sent to the AI with their estimated token
+ * count, and the files of directories and globs that are skipped.
+ *
+ * @param {string[]} inputPaths - The input paths, directories and globs.
+ * @param {Object} configData - The configuration data (for the model).
+ * @param {Object} [inputOptions] - The `maxFileSize` and `extensions` filters.
+ */
+export async function listInputs(inputPaths, configData, inputOptions) {
+  const model = configData.defaultRequestOptions?.model
+  const { inputs, skipped } = await readInputs(inputPaths, inputOptions)
+
+  for (const { label, content } of inputs) {
+    const tokens = `~${estimateTokens(content, model)} tokens`.padStart(14)
+    const size = formatSize(Buffer.byteLength(content)).padStart(9)
+    console.log(`${tokens}  ${size}  ${label}`)
+  }
+  for (const { label, reason } of skipped) {
+    console.log(`${'skipped'.padStart(14)}  ${reason.padStart(9)}  ${label}`)
+  }
+
+  const total = estimateTokens(formatInputs(inputs), model)
+  console.log(
+    `${inputs.length} input(s), ~${total} tokens with their labels (budget: ${getInputBudget(configData)} tokens)`
+  )
+}
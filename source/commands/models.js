@@ -0,0 +1,31 @@
+// models.js
+
+import * as api from '../pipe-ai-api.js'
+import { getCommandLineOverrides } from '../lib/config.js'
+
+/**
+ * Lists the models available with the configured provider.
+ * The model of the configuration is marked with a `*`.
+ *
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.config] - The configuration file path or name.
+ * @param {string} [options.profile] - The name of the profile to apply.
+ */
+export async function listModels(options) {
+  const configData = await api.loadConfiguration(options.config, {
+    profile: options.profile,
+    overrides: getCommandLineOverrides(options)
+  })
+  const providerModule = await api.getProviderModule(configData)
+  if (!providerModule.listModels) {
+    throw new Error(
+      `Provider '${configData.provider}' does not support listing models.`
+    )
+  }
+
+  const models = await providerModule.listModels(configData)
+  const currentModel = configData.defaultRequestOptions?.model
+  for (const model of models) {
+    console.log(`${model === currentModel ? '*' : ' '} ${model}`)
+  }
+}
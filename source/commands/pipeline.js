@@ -0,0 +1,176 @@
+// pipeline.js
+
+import { v4 as uuidv4 } from 'uuid'
+import * as api from '../pipe-ai-api.js'
+import * as input from '../lib/input.js'
+import * as output from '../lib/output.js'
+import { log } from '../lib/output.js'
+import { withSpinner } from '../lib/utils.js'
+import { PIPELINE_INPUT, loadPipeline, selectSteps } from '../lib/pipeline.js'
+import { getPlaceholders, renderTemplate } from '../lib/template.js'
+import { getCommandLineOverrides } from '../lib/config.js'
+import { getOutputFormat } from '../lib/render.js'
+import { createPipeAI } from '../client.js'
+import { Brain } from '../brain.js'
+
+/**
+ * Runs the steps of a pipeline in order, each one getting the outputs of
+ * earlier steps as its input, and outputs the reply of the last step run.
+ * The steps are saved in the same conversation; when starting from a later
+ * step (--from-step), the outputs of the earlier steps are those of the last
+ * run of the pipeline, whose conversation goes on.
+ *
+ * @param {string} pipelineName - The pipeline file path or name.
+ * @param {string[]} filePaths - Files, directories or globs to read input from.
+ * @param {Object} options - The command-line options.
+ * @returns {Promise<void>} - Resolves when the steps are done.
+ */
+export async function runPipeline(pipelineName, filePaths, options) {
+  const pipeline = loadPipeline(pipelineName)
+  const steps = selectSteps(pipeline.steps, options)
+  const logs = options.logs != false
+  const resumed = steps[0].index > 0
+
+  const brain = resumed ? new Brain(options.db) : null
+  await brain?.init()
+
+  log.debug('# Get the outputs of the earlier steps from the last run')
+  const outputs = {}
+  let conversationId = uuidv4()
+  if (resumed) {
+    const runId = await brain.getLastPipelineRunId(pipeline.name)
+    if (!runId) {
+      throw new Error(
+        `Pipeline '${pipeline.name}' has not been run yet, it can't start from step '${steps[0].name}'.`
+      )
+    }
+    for (const message of await brain.getConversation(runId)) {
+      if (message.step && !message.cancelled) {
+        outputs[message.step] = message.aiReply
+      }
+    }
+    conversationId = runId
+    log.verbose(`Continuing the run of conversation ${runId}`)
+  }
+
+  const selected = steps.map(({ name }) => name)
+  for (const step of steps) {
+    const missing = step.input.find(
+      (name) =>
+        name !== PIPELINE_INPUT &&
+        outputs[name] === undefined &&
+        !selected.includes(name)
+    )
+    if (missing) {
+      throw new Error(
+        `Step '${step.name}' needs the output of step '${missing}', which the last run of the pipeline doesn't have.`
+      )
+    }
+  }
+
+  log.debug('# Load the input data, if a step gets it')
+  const inputData = steps.some((step) => step.input.includes(PIPELINE_INPUT))
+    ? await input.getInputData(filePaths, true, {
+        maxFileSize: options.maxFileSize,
+        extensions: options.ext
+      })
+    : ''
+
+  const { signal, cancellable } = api.attachSignalHandlers(process)
+  const overrides = getCommandLineOverrides(options)
+
+  /**
+   * Runs a step with a client of its configuration, which saves it.
+   * @param {Object} step - The step.
+   * @param {Object} spinner - The spinner showing the progress.
+   * @returns {Promise<string>} - The reply.
+   */
+  const runStep = async (step, spinner) => {
+    // The command line takes precedence over the step, then the pre-prompt
+    const pipeAI = createPipeAI({
+      config: step.config ?? options.config,
+      profile: options.profile,
+      db: options.db,
+      logs,
+      overrides: {
+        ...overrides,
+        defaultRequestOptions: {
+          ...(step.model ? { model: step.model } : {}),
+          ...overrides.defaultRequestOptions
+        }
+      }
+    })
+
+    let stepInput = step.input
+      .map((name) => (name === PIPELINE_INPUT ? inputData : outputs[name]))
+      .join('\n\n')
+    let prompt = ''
+    if (step.message) {
+      prompt = renderTemplate(step.message, {
+        ...options.var,
+        input: stepInput,
+        steps: outputs,
+        env: process.env
+      })
+      // The input used in the message is not sent again
+      if (getPlaceholders(step.message).includes('input')) stepInput = ''
+    }
+
+    try {
+      const { text } = await pipeAI.ask({
+        input: stepInput,
+        prompt,
+        prePrompt: step.prompt,
+        options: {
+          conversationId,
+          // Each step is sent on its own, saved in the conversation of the run
+          history: [],
+          variables: { ...options.var, steps: outputs },
+          cache: options.cache,
+          refresh: options.refresh,
+          redact: options.redact,
+          maxCost: options.maxCost,
+          meta: { pipeline: pipeline.name, step: step.name },
+          signal,
+          onAttempt: (attempt) =>
+            api.reportAttempt(spinner, attempt, `${formatStep(step, steps)}: `)
+        }
+      })
+      return text
+    } finally {
+      pipeAI.close()
+    }
+  }
+
+  log.debug('# Run the steps in order')
+  await cancellable(() =>
+    withSpinner(
+      async (spinner) => {
+        for (const step of steps) {
+          spinner.text = `${formatStep(step, steps)}: Retrieving AI response...`
+          outputs[step.name] = await runStep(step, spinner)
+          log.verbose(`Step '${step.name}' done`)
+        }
+      },
+      { text: 'Running the pipeline...', spinner: 'dots' }
+    )
+  )
+  if (logs) log.verbose(`Conversation ID: ${conversationId}`)
+
+  log.debug('# Output the reply of the last step')
+  await output.outputResult(outputs[steps.at(-1).name], options.output, {
+    format: getOutputFormat(options.format, options.output),
+    pager: options.pager
+  })
+}
+
+/**
+ * Formats the position of a step among the steps run, for the spinner.
+ *
+ * @param {Object} step - The step.
+ * @param {Object[]} steps - The steps run.
+ * @returns {string} - E.g. `Step 2/3 (notes)`.
+ */
+function formatStep(step, steps) {
+  return `Step ${steps.indexOf(step) + 1}/${steps.length} (${step.name})`
+}
@@ -0,0 +1,173 @@
+// prompts.js
+
+import fs from 'fs'
+import path from 'path'
+import { getFileType, truncate } from '../lib/utils.js'
+import { parsePrompt } from '../lib/template.js'
+import { getInputFromEditor, editFile } from '../lib/editorPrompt.js'
+
+const NEW_PROMPT_CONTENT = `---
+description:
+---
+`
+
+/**
+ * Lists the pre-defined prompts of the user and installation directories.
+ * User prompts shadowing a built-in prompt of the same name are flagged.
+ */
+export async function listPrompts() {
+  const { userDir, installDir } = getFileType('prompt')
+  const userPrompts = readPromptNames(userDir)
+  const builtInPrompts = readPromptNames(installDir)
+
+  const rows = [...new Set([...userPrompts, ...builtInPrompts])]
+    .sort()
+    .map((name) => {
+      const isUser = userPrompts.includes(name)
+      const source = isUser
+        ? builtInPrompts.includes(name)
+          ? 'user (shadows built-in)'
+          : 'user'
+        : 'built-in'
+      const filePath = getPromptPath(isUser ? userDir : installDir, name)
+      return [name, source, getDescription(filePath)]
+    })
+
+  const nameWidth = Math.max(4, ...rows.map(([name]) => name.length))
+  const sourceWidth = Math.max(6, ...rows.map(([, source]) => source.length))
+  for (const [name, source, description] of rows) {
+    console.log(
+      `${name.padEnd(nameWidth)}  ${source.padEnd(sourceWidth)}  ${description}`
+    )
+  }
+  console.log(`\nUser prompts: ${userDir}\nBuilt-in prompts: ${installDir}`)
+}
+
+/**
+ * Prints the content of a pre-defined prompt.
+ *
+ * @param {string} name - The name of the prompt.
+ */
+export async function showPrompt(name) {
+  const filePath = findPrompt(name)
+  if (!filePath) {
+    throw new Error(`Prompt '${name}' not found.`)
+  }
+  process.stdout.write(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Creates a new prompt in the user directory with the default editor.
+ *
+ * @param {string} name - The name of the prompt.
+ */
+export async function newPrompt(name) {
+  const { userDir } = getFileType('prompt')
+  const filePath = getPromptPath(userDir, name)
+  if (fs.existsSync(filePath)) {
+    throw new Error(
+      `Prompt '${name}' already exists, use 'pipe-ai prompts edit ${name}' instead.`
+    )
+  }
+
+  const content = await getInputFromEditor({
+    initialContent: NEW_PROMPT_CONTENT,
+    stripComments: false
+  })
+  if (!parsePrompt(content).body.trim()) {
+    throw new Error('The prompt is empty, nothing was saved.')
+  }
+
+  fs.mkdirSync(userDir, { recursive: true })
+  fs.writeFileSync(filePath, `${content}\n`, 'utf8')
+  console.log(`Prompt '${name}' saved to ${filePath}`)
+}
+
+/**
+ * Edits a prompt of the user directory with the default editor.
+ * A built-in prompt is first copied to the user directory, which shadows it.
+ *
+ * @param {string} name - The name of the prompt.
+ */
+export async function editPrompt(name) {
+  const { userDir, installDir } = getFileType('prompt')
+  const filePath = getPromptPath(userDir, name)
+
+  if (!fs.existsSync(filePath)) {
+    const builtInPath = getPromptPath(installDir, name)
+    if (!fs.existsSync(builtInPath)) {
+      throw new Error(
+        `Prompt '${name}' not found, use 'pipe-ai prompts new ${name}' to create it.`
+      )
+    }
+    fs.mkdirSync(userDir, { recursive: true })
+    fs.copyFileSync(builtInPath, filePath)
+    console.log(`Built-in prompt '${name}' copied to ${filePath}`)
+  }
+
+  await editFile(filePath)
+}
+
+/**
+ * Gets the path of the prompt used for a name (user directory first).
+ *
+ * @param {string} name - The name of the prompt.
+ * @returns {string|undefined} - The path of the prompt file, if found.
+ */
+function findPrompt(name) {
+  const { userDir, installDir } = getFileType('prompt')
+  return [userDir, installDir]
+    .map((dir) => getPromptPath(dir, name))
+    .find((filePath) => fs.existsSync(filePath))
+}
+
+/**
+ * Gets the path of a prompt file in a directory.
+ *
+ * @param {string} dir - The prompts directory.
+ * @param {string} name - The name of the prompt.
+ * @returns {string} - The path of the prompt file.
+ * @throws {Error} - If the name is not a valid file name.
+ */
+function getPromptPath(dir, name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(
+      `Invalid prompt name '${name}', use letters, digits, '.', '-' and '_'.`
+    )
+  }
+  return path.join(dir, `${name}${getFileType('prompt').extension}`)
+}
+
+/**
+ * Reads the names of the prompts in a directory.
+ *
+ * @param {string} dir - The prompts directory.
+ * @returns {string[]} - The prompt names.
+ */
+function readPromptNames(dir) {
+  if (!fs.existsSync(dir)) {
+    return []
+  }
+
+  const { extension } = getFileType('prompt')
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name.endsWith(extension))
+    .map((entry) => entry.name.slice(0, -extension.length))
+}
+
+/**
+ * Gets the description of a prompt: its front matter description or first line.
+ *
+ * @param {string} filePath - The path of the prompt file.
+ * @returns {string} - The description.
+ */
+function getDescription(filePath) {
+  try {
+    const { attributes, body } = parsePrompt(fs.readFileSync(filePath, 'utf8'))
+    const firstLine = body.split('\n').find((line) => line.trim()) || ''
+    return truncate(attributes.description || firstLine, 70)
+  } catch (err) {
+    return `(${err.message})`
+  }
+}
@@ -0,0 +1,391 @@
+// repl.js
+
+import fs from 'fs'
+import tty from 'tty'
+import readline from 'readline'
+import { Writable } from 'stream'
+import { v4 as uuidv4 } from 'uuid'
+import * as api from '../pipe-ai-api.js'
+import * as input from '../lib/input.js'
+import * as output from '../lib/output.js'
+import { log, formatTranscript } from '../lib/output.js'
+import { withSpinner, withStreamSpinner, truncate } from '../lib/utils.js'
+import { getInputFromEditor } from '../lib/editorPrompt.js'
+import { getCommandLineOverrides } from '../lib/config.js'
+import { getJsonSettings } from '../lib/structured.js'
+import { getOutputFormat } from '../lib/render.js'
+import { createPipeAI } from '../client.js'
+
+const HELP = `Commands:
+  /save <file>    Save the conversation transcript to a file
+  /model [name]   Show or change the model
+  /prompt [name]  Use a pre-defined prompt for the next prompts (no name: stop using one)
+  /reset          Start a new conversation, keeping the input
+  /history        Show the conversation so far
+  /edit           Compose a prompt in the default editor
+  /help           Show this help
+  /exit           Quit (or Ctrl+D)`
+
+/**
+ * Starts an interactive session reading successive prompts from the terminal.
+ * The piped or file input is kept as the context of the conversation, which
+ * is kept in memory and saved to the Brain database.
+ * When the input comes from files, the prompts and commands can also be piped
+ * to stdin, one per line, to script a session.
+ *
+ * @param {string[]} filePaths - Files, directories or globs to read input from.
+ * @param {Object} options - The command-line options.
+ * @returns {Promise<void>} - Resolves when the session ends.
+ */
+export async function startRepl(filePaths, options) {
+  const session = await createSession(filePaths, options)
+
+  if (!process.stdin.isTTY && filePaths.length && !filePaths.includes('-')) {
+    return runPipedSession(session)
+  }
+
+  // Read from the terminal even when stdin is piped
+  const terminalInput = new tty.ReadStream(fs.openSync('/dev/tty', 'r'))
+
+  // Keystrokes are not echoed while a request is in flight
+  let locked = false
+  const terminalOutput = new Writable({
+    write(chunk, encoding, callback) {
+      if (!locked) process.stderr.write(chunk)
+      callback()
+    }
+  })
+  terminalOutput.isTTY = true
+  terminalOutput.columns = process.stderr.columns || 80
+
+  const rl = readline.createInterface({
+    input: terminalInput,
+    output: terminalOutput,
+    terminal: true,
+    prompt: 'pipe-ai> '
+  })
+
+  const withTerminalReleased = async (task) => {
+    rl.pause()
+    terminalInput.setRawMode(false)
+    try {
+      return await task()
+    } finally {
+      terminalInput.setRawMode(true)
+      rl.resume()
+    }
+  }
+
+  console.error(
+    `Conversation ${session.conversationId.slice(0, 8)}${session.inputData ? ' (with input data)' : ''}, type /help for commands.`
+  )
+  rl.prompt()
+
+  return new Promise((resolve) => {
+    rl.on('line', async (line) => {
+      // Lines typed while a request is in flight are ignored
+      if (locked) return
+
+      locked = true
+      let quit = false
+      try {
+        quit = await runLine(session, line, withTerminalReleased)
+      } finally {
+        // Discard what was typed in the meantime
+        rl.write(null, { ctrl: true, name: 'e' })
+        rl.write(null, { ctrl: true, name: 'u' })
+        locked = false
+      }
+
+      if (quit) {
+        rl.close()
+      } else {
+        rl.prompt()
+      }
+    })
+
+    rl.on('SIGINT', () => {
+      if (locked) return
+      if (rl.line) {
+        rl.write(null, { ctrl: true, name: 'e' })
+        rl.write(null, { ctrl: true, name: 'u' })
+      } else {
+        rl.close()
+      }
+    })
+
+    rl.on('close', () => {
+      terminalInput.destroy()
+      resolve()
+    })
+  })
+}
+
+/**
+ * Runs a session with the prompts and commands piped to stdin, one per line,
+ * until the end of stdin or /exit.
+ *
+ * @param {Object} session - The session.
+ * @returns {Promise<void>} - Resolves when the session ends.
+ */
+async function runPipedSession(session) {
+  console.error(
+    `Conversation ${session.conversationId.slice(0, 8)}${session.inputData ? ' (with input data)' : ''}.`
+  )
+
+  const rl = readline.createInterface({ input: process.stdin, terminal: false })
+  try {
+    for await (const line of rl) {
+      // There is no terminal to release
+      if (await runLine(session, line, (task) => task())) break
+    }
+  } finally {
+    rl.close()
+  }
+}
+
+/**
+ * Handles a line typed by the user, reporting its errors without ending the session.
+ *
+ * @param {Object} session - The session.
+ * @param {string} line - The line.
+ * @param {Function} withTerminalReleased - Runs a task with the terminal released (e.g. for the editor).
+ * @returns {Promise<boolean>} - Whether to quit the session.
+ */
+async function runLine(session, line, withTerminalReleased) {
+  try {
+    return await handleLine(session, line.trim(), withTerminalReleased)
+  } catch (err) {
+    log.error(err.message)
+    log.debug(err.stack)
+    return false
+  }
+}
+
+/**
+ * Creates the session state from the command-line options.
+ *
+ * @param {string[]} filePaths - Files, directories or globs to read input from.
+ * @param {Object} options - The command-line options.
+ * @returns {Promise<Object>} - The session.
+ */
+async function createSession(filePaths, options) {
+  const pipeAI = createPipeAI({
+    config: options.config,
+    profile: options.profile,
+    db: options.db,
+    logs: options.logs !== false,
+    overrides: getCommandLineOverrides(options)
+  })
+  const session = {
+    pipeAI,
+    prePrompt: options.prePrompt,
+    // The model chosen with /model
+    requestOptions: {},
+    // The options of every request
+    options: {
+      variables: options.var,
+      json: options.json,
+      schema: options.schema,
+      chunk: options.chunk,
+      concurrency: options.concurrency,
+      cache: options.cache,
+      refresh: options.refresh,
+      redact: options.redact,
+      maxCost: options.maxCost
+    },
+    useStream: options.stream ?? true,
+    // Replies are rendered in the terminal, without paging the session
+    format: getOutputFormat(options.format)
+  }
+  // The configuration and the pre-prompt are checked before starting
+  await getConfiguration(session)
+
+  const continuedId =
+    options.continue || options.select
+      ? await api.getConversationId(pipeAI, options)
+      : undefined
+  session.conversationId = continuedId || uuidv4()
+  session.history = continuedId ? await pipeAI.getConversation(continuedId) : []
+  session.inputData = await input.getInputData(filePaths, false, {
+    maxFileSize: options.maxFileSize,
+    extensions: options.ext
+  })
+  return session
+}
+
+/**
+ * Gets the configuration the next prompts are sent with: the one of the
+ * command line, with the options of the pre-prompt in use and /model.
+ *
+ * @param {Object} session - The session.
+ * @returns {Promise<Object>} - The configuration data.
+ */
+function getConfiguration(session) {
+  return session.pipeAI.getConfiguration({
+    prePrompt: session.prePrompt,
+    options: { requestOptions: session.requestOptions }
+  })
+}
+
+/**
+ * Handles a line typed by the user: a slash-command or a prompt.
+ *
+ * @param {Object} session - The session.
+ * @param {string} line - The line.
+ * @param {Function} withTerminalReleased - Runs a task with the terminal released (e.g. for the editor).
+ * @returns {Promise<boolean>} - Whether to quit the session.
+ */
+async function handleLine(session, line, withTerminalReleased) {
+  if (!line) {
+    return false
+  }
+  if (!line.startsWith('/')) {
+    await sendPrompt(session, line)
+    return false
+  }
+
+  const [command, ...args] = line.slice(1).split(/\s+/)
+  const argument = args.join(' ')
+
+  switch (command) {
+    case 'exit':
+    case 'quit':
+      return true
+
+    case 'help':
+      console.error(HELP)
+      break
+
+    case 'save': {
+      if (!argument) throw new Error('Usage: /save <file>')
+      const transcript = formatTranscript(
+        session.conversationId,
+        session.history
+      )
+      await fs.promises.writeFile(argument, `${transcript}\n`, 'utf8')
+      console.error(`Conversation saved to ${argument}`)
+      break
+    }
+
+    case 'model': {
+      if (argument) {
+        session.requestOptions = { ...session.requestOptions, model: argument }
+      }
+      const configData = await getConfiguration(session)
+      console.error(
+        `Model: ${configData.defaultRequestOptions?.model || '(provider default)'}`
+      )
+      break
+    }
+
+    case 'prompt':
+      // The pre-prompt is checked before being used
+      await session.pipeAI.getConfiguration({
+        prePrompt: argument || undefined
+      })
+      session.prePrompt = argument || undefined
+      console.error(
+        argument ? `Using pre-prompt '${argument}'.` : 'Not using a pre-prompt.'
+      )
+      break
+
+    case 'reset':
+      session.conversationId = uuidv4()
+      session.history = []
+      console.error(
+        `New conversation ${session.conversationId.slice(0, 8)} (input kept).`
+      )
+      break
+
+    case 'history':
+      if (!session.history.length) {
+        console.error('The conversation is empty.')
+      }
+      session.history.forEach((message, index) => {
+        const prompt = [message.prePrompt, message.prompt]
+          .filter(Boolean)
+          .join(' ')
+        console.error(`[${index + 1}] > ${truncate(prompt, 70)}`)
+        console.error(`    ${truncate(message.aiReply, 74)}`)
+      })
+      break
+
+    case 'edit': {
+      const prompt = await withTerminalReleased(() => getInputFromEditor())
+      await sendPrompt(session, prompt)
+      break
+    }
+
+    default:
+      throw new Error(`Unknown command '/${command}', type /help for commands.`)
+  }
+  return false
+}
+
+/**
+ * Sends a prompt along with the conversation so far and outputs the reply.
+ *
+ * @param {Object} session - The session.
+ * @param {string} prompt - The prompt.
+ */
+async function sendPrompt(session, prompt) {
+  const { enabled: useJson } = getJsonSettings(
+    await getConfiguration(session),
+    api.loadPrePrompt(session.prePrompt),
+    session.options
+  )
+
+  const request = (spinner, start) => ({
+    // The input is the context of the first turn only
+    input: session.history.length ? '' : session.inputData,
+    prompt,
+    prePrompt: session.prePrompt,
+    options: {
+      ...session.options,
+      conversationId: session.conversationId,
+      history: session.history,
+      requestOptions: session.requestOptions,
+      meta: { repl: true },
+      // The spinner is not shown for a cached reply
+      onRequest: start,
+      onAttempt: (attempt) => api.reportAttempt(spinner, attempt),
+      onRepair: (attempt) => {
+        spinner.text = `Repairing the JSON reply (attempt ${attempt})...`
+      }
+    }
+  })
+  const spinnerOptions = {
+    text: 'Retrieving AI response...',
+    spinner: 'dots',
+    lazy: true
+  }
+
+  let result
+  if (session.useStream && !useJson) {
+    let reply
+    await output.outputResult(
+      withStreamSpinner(
+        (spinner, start) =>
+          (reply = session.pipeAI.stream(request(spinner, start))),
+        spinnerOptions
+      ),
+      undefined,
+      { format: session.format, pager: false }
+    )
+    result = await reply.result
+  } else {
+    result = await withSpinner(
+      (spinner, start) => session.pipeAI.ask(request(spinner, start)),
+      spinnerOptions
+    )
+    // JSON replies are output as they are
+    await output.outputResult(result.text, undefined, {
+      format: useJson ? 'raw' : session.format,
+      pager: false
+    })
+  }
+
+  // The redacted interaction is sent along with the next prompts
+  session.history.push(result.message)
+}
@@ -0,0 +1,99 @@
+// usage.js
+
+import { Brain } from '../brain.js'
+import * as api from '../pipe-ai-api.js'
+import { formatCost, getBudgetPeriods } from '../lib/usage.js'
+
+const GROUPING_LABELS = { day: 'Day', model: 'Model', prompt: 'Prompt' }
+
+/**
+ * Reports the token usage and cost of the AI calls, grouped by day, model or
+ * pre-prompt, followed by the spending against the budgets of the configuration.
+ *
+ * @param {Object} options - The command-line options.
+ * @param {string} [options.db] - Custom database path.
+ * @param {string} [options.config] - The configuration file path or name (for the budgets).
+ * @param {string} [options.profile] - The name of the profile to apply.
+ * @param {string} [options.by] - 'day', 'model' or 'prompt'.
+ * @param {string} [options.since] - Only count the usage since this date.
+ * @param {boolean} [options.json] - Print the report as JSON.
+ */
+export async function showUsage(options) {
+  let since
+  if (options.since) {
+    const date = new Date(options.since)
+    if (isNaN(date)) {
+      throw new Error(`Invalid date: '${options.since}'.`)
+    }
+    since = date.toISOString()
+  }
+
+  const configData = await api.loadConfiguration(options.config, {
+    profile: options.profile
+  })
+  const brain = new Brain(options.db)
+  await brain.init()
+
+  const rows = await brain.getUsageReport({ by: options.by, since })
+  const budgets = []
+  for (const period of getBudgetPeriods(configData.budget)) {
+    budgets.push({
+      name: period.name,
+      spent: await brain.getSpending(period.since),
+      cap: period.cap
+    })
+  }
+
+  if (options.json) {
+    console.log(
+      JSON.stringify({ by: options.by, since, rows, budgets }, null, 2)
+    )
+    return
+  }
+
+  if (!rows.length) {
+    console.log('No usage recorded.')
+  } else {
+    const total = rows.reduce(
+      (sum, row) => ({
+        key: 'Total',
+        calls: sum.calls + row.calls,
+        inputTokens: sum.inputTokens + row.inputTokens,
+        outputTokens: sum.outputTokens + row.outputTokens,
+        latencyMs: sum.latencyMs + row.latencyMs * row.calls,
+        cost: row.cost === null ? sum.cost : (sum.cost ?? 0) + row.cost,
+        unpriced: sum.unpriced + row.unpriced
+      }),
+      {
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        latencyMs: 0,
+        cost: null,
+        unpriced: 0
+      }
+    )
+    total.latencyMs = Math.round(total.latencyMs / total.calls)
+
+    const width = Math.max(10, ...rows.map(({ key }) => key.length))
+    console.log(
+      `${GROUPING_LABELS[options.by].padEnd(width)}  ${'Calls'.padStart(6)}  ${'Input'.padStart(10)}  ${'Output'.padStart(10)}  ${'Latency'.padStart(8)}  ${'Cost'.padStart(9)}`
+    )
+    for (const row of [...rows, total]) {
+      console.log(
+        `${row.key.padEnd(width)}  ${String(row.calls).padStart(6)}  ${String(row.inputTokens).padStart(10)}  ${String(row.outputTokens).padStart(10)}  ${`${row.latencyMs} ms`.padStart(8)}  ${formatCost(row.cost).padStart(9)}`
+      )
+    }
+    if (total.unpriced) {
+      console.log(
+        `${total.unpriced} interaction(s) without rates in the 'pricing' section of the configuration, not counted in the cost.`
+      )
+    }
+  }
+
+  for (const { name, spent, cap } of budgets) {
+    console.log(
+      `Budget (${name}): ${formatCost(spent)} of ${formatCost(cap)} spent.`
+    )
+  }
+}
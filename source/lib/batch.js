@@ -0,0 +1,134 @@
+// batch.js
+
+import { sleep } from './retry.js'
+
+// Formats of the input records of --batch
+export const BATCH_FORMATS = ['lines', 'jsonl', 'csv']
+
+/**
+ * Function to split an input into the records of a batch:
+ *   - `lines`: each non-empty line is a record.
+ *   - `jsonl`: each non-empty line is a JSON value.
+ *   - `csv`: each row is an object keyed by the header row.
+ *
+ * @param {string} inputData - The input.
+ * @param {string} format - 'lines', 'jsonl' or 'csv'.
+ * @returns {Object[]} - The records as `{ value, text }` objects, `text`
+ *   being the record as sent to the AI.
+ * @throws {Error} - If the format is unknown or a record is not valid.
+ */
+export function parseRecords(inputData, format) {
+  switch (format) {
+    case 'lines':
+      return splitLines(inputData).map(({ line }) => ({
+        value: line,
+        text: line
+      }))
+
+    case 'jsonl':
+      return splitLines(inputData).map(({ line, number }) => {
+        try {
+          return { value: JSON.parse(line), text: line }
+        } catch (err) {
+          throw new Error(`Invalid JSON on line ${number}: ${err.message}`)
+        }
+      })
+
+    case 'csv': {
+      const [header, ...rows] = parseCSV(inputData)
+      if (!header) return []
+      return rows.map((row) => {
+        const value = Object.fromEntries(
+          header.map((name, index) => [name, row[index] ?? ''])
+        )
+        return {
+          value,
+          text: header.map((name) => `${name}: ${value[name]}`).join('\n')
+        }
+      })
+    }
+
+    default:
+      throw new Error(
+        `Unsupported batch format '${format}'. Supported formats are ${BATCH_FORMATS.map((name) => `'${name}'`).join(', ')}.`
+      )
+  }
+}
+
+/**
+ * Function to create a rate limiter spacing out the requests evenly.
+ *
+ * @param {number} [perMinute] - Maximum number of requests per minute (no
+ *   limit when undefined).
+ * @returns {Function} - A function resolving when the next request may be sent.
+ */
+export function createRateLimiter(perMinute) {
+  const interval = perMinute ? 60 / perMinute : 0
+  let next = 0
+
+  return async (signal) => {
+    if (!interval) return
+    const now = Date.now() / 1000
+    const start = Math.max(now, next)
+    next = start + interval
+    if (start > now) await sleep(start - now, signal)
+  }
+}
+
+/**
+ * Splits a text into its non-empty lines.
+ *
+ * @param {string} text - The text.
+ * @returns {Object[]} - The lines as `{ line, number }` objects.
+ */
+function splitLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+}
+
+/**
+ * Parses CSV (RFC 4180): fields separated by commas, optionally quoted with
+ * double quotes (doubled inside), possibly spanning several lines.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} - The non-empty rows and their fields.
+ */
+function parseCSV(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  row.push(field)
+  rows.push(row)
+
+  return rows.filter((fields) => fields.some((value) => value !== ''))
+}
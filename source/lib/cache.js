@@ -0,0 +1,66 @@
+// cache.js
+
+import crypto from 'crypto'
+
+// Cached replies are reused for a day unless `cache.ttl` says otherwise
+const DEFAULT_TTL = '1d'
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 }
+
+/**
+ * Function to compute the cache key of a request: a hash of the provider,
+ * the request options and the messages (history, input data and full prompt).
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Object[]} messages - The messages of the request.
+ * @param {Object} [extra] - Anything else changing the reply (e.g. the JSON Schema).
+ * @returns {string} - The cache key.
+ */
+export function getCacheKey(configData, messages, extra = {}) {
+  const request = {
+    provider: configData.provider,
+    requestOptions: configData.defaultRequestOptions || {},
+    messages,
+    ...extra
+  }
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(request))
+    .digest('hex')
+}
+
+/**
+ * Function to get the cache settings from the command-line options and the
+ * `cache` section of the configuration (`enabled` and `ttl`).
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Object} options - The command-line options (`cache` and `refresh`).
+ * @returns {{enabled: boolean, refresh: boolean, ttl: number}} - Whether to
+ *   use the cache, to ignore cached replies, and their time to live in seconds.
+ */
+export function getCacheSettings(configData, options) {
+  const { enabled = false, ttl = DEFAULT_TTL } = configData.cache || {}
+  const refresh = Boolean(options.refresh)
+  return {
+    enabled: refresh || (options.cache ?? enabled),
+    refresh,
+    ttl: parseDuration(ttl)
+  }
+}
+
+/**
+ * Function to parse a duration such as `3600`, `30m`, `12h` or `7d` into seconds.
+ *
+ * @param {number|string} value - The duration (a number is in seconds).
+ * @returns {number} - The duration in seconds.
+ * @throws {Error} - If the duration is not valid.
+ */
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/.exec(String(value).trim())
+  if (!match) {
+    throw new Error(
+      `Invalid duration '${value}', use e.g. 3600, 30m, 12h or 7d.`
+    )
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2] || 's']
+}
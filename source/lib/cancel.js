@@ -0,0 +1,23 @@
+// cancel.js
+
+import os from 'os'
+
+/**
+ * Error with which the request in flight is cancelled when the process is
+ * interrupted (SIGINT, Ctrl+C) or terminated (SIGTERM).
+ */
+export class CancelledError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {string} signal - The name of the signal (e.g. 'SIGINT').
+   */
+  constructor(message, signal) {
+    super(message)
+    this.name = 'CancelledError'
+    this.signal = signal
+    // Conventional exit code of a process ended by a signal (130 for SIGINT)
+    this.exitCode = 128 + os.constants.signals[signal]
+    // The part of the reply received before the cancellation, if any
+    this.partialReply = ''
+  }
+}
@@ -0,0 +1,73 @@
+// chunking.js
+
+import { estimateTokens, getModelProfile } from './tokens.js'
+
+/**
+ * Function to split a text into chunks under a token budget.
+ * Chunks are cut on paragraph (or line) boundaries, falling back to lines
+ * for long paragraphs and to a hard cut for long lines.
+ *
+ * @param {string} text - The text to split.
+ * @param {number} maxTokens - The maximum number of tokens per chunk.
+ * @param {Object} [options]
+ * @param {string} [options.strategy='paragraphs'] - 'paragraphs' or 'lines'.
+ * @param {string} [options.model] - The model used to estimate tokens.
+ * @returns {string[]} - The chunks.
+ */
+export function splitIntoChunks(
+  text,
+  maxTokens,
+  { strategy = 'paragraphs', model } = {}
+) {
+  const tokens = (part) => estimateTokens(part, model)
+  const maxChars = Math.max(
+    1,
+    Math.floor(maxTokens * getModelProfile(model).charsPerToken)
+  )
+
+  // Split into units small enough to fit in a chunk
+  const units = []
+  for (const block of splitKeepingSeparators(text, strategy)) {
+    if (tokens(block) <= maxTokens) {
+      units.push(block)
+      continue
+    }
+    for (const line of splitKeepingSeparators(block, 'lines')) {
+      if (tokens(line) <= maxTokens) {
+        units.push(line)
+      } else {
+        for (let start = 0; start < line.length; start += maxChars) {
+          units.push(line.slice(start, start + maxChars))
+        }
+      }
+    }
+  }
+
+  // Pack as many units as possible in each chunk
+  const chunks = []
+  let chunk = ''
+  for (const unit of units) {
+    if (chunk && tokens(chunk + unit) > maxTokens) {
+      chunks.push(chunk)
+      chunk = ''
+    }
+    chunk += unit
+  }
+  if (chunk.trim()) chunks.push(chunk)
+
+  return chunks
+}
+
+/**
+ * Splits a text on paragraphs or lines, keeping the separators with the parts
+ * so that joining the parts gives back the original text.
+ *
+ * @param {string} text - The text to split.
+ * @param {string} strategy - 'paragraphs' or 'lines'.
+ * @returns {string[]} - The parts.
+ */
+function splitKeepingSeparators(text, strategy) {
+  const regex =
+    strategy === 'lines' ? /[^\n]*(?:\n|$)/g : /[\s\S]*?(?:\n[ \t]*\n+|$)/g
+  return (text.match(regex) || []).filter(Boolean)
+}
@@ -0,0 +1,417 @@
+// config.js
+
+import fs from 'fs'
+import path from 'path'
+import yaml from 'js-yaml'
+import Ajv from 'ajv'
+
+/**
+ * Error thrown when the configuration is not found or not valid.
+ */
+export class ConfigurationError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [options] - The `cause` of the error.
+   */
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'ConfigurationError'
+  }
+}
+
+// Name of the project configuration file, looked up from the current directory
+export const PROJECT_CONFIG_FILE = '.pipe-ai.yaml'
+
+// Built-in defaults, the first configuration layer
+export const DEFAULT_CONFIG = {
+  chunking: { concurrency: 3 },
+  batch: { concurrency: 3 },
+  json: { maxRepairs: 2 },
+  cache: { enabled: false, ttl: '1d' },
+  redaction: { enabled: false, reversible: false }
+}
+
+// Keys which only make sense for one provider, dropped when a layer changes it
+const PROVIDER_KEYS = ['apiKey', 'configuration', 'defaultRequestOptions']
+
+// Settings shared by all providers, provider modules describe the others
+// with their `configSchema` export
+const BASE_SCHEMA = {
+  type: 'object',
+  properties: {
+    provider: { type: 'string' },
+    system: { type: 'string' },
+    profiles: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    },
+    chunking: {
+      type: 'object',
+      properties: {
+        maxInputTokens: { type: 'integer', minimum: 1 },
+        chunkTokens: { type: 'integer', minimum: 1 },
+        concurrency: { type: 'integer', minimum: 1 },
+        reducePrompt: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    batch: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'integer', minimum: 1 },
+        rateLimit: { type: 'number', exclusiveMinimum: 0 }
+      },
+      additionalProperties: false
+    },
+    json: {
+      type: 'object',
+      properties: {
+        schema: { type: ['string', 'object'] },
+        maxRepairs: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttl: { type: ['string', 'number'] }
+      },
+      additionalProperties: false
+    },
+    pricing: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          input: { type: 'number', minimum: 0 },
+          output: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+      }
+    },
+    budget: {
+      type: 'object',
+      properties: {
+        daily: { type: 'number', minimum: 0 },
+        monthly: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        maxRetries: { type: 'integer', minimum: 0 },
+        delay: { type: ['string', 'number'] },
+        maxDelay: { type: ['string', 'number'] }
+      },
+      additionalProperties: false
+    },
+    timeout: { type: ['string', 'number'] },
+    fallback: { type: 'array', items: { type: 'string' } },
+    redaction: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        reversible: { type: 'boolean' },
+        disable: {
+          type: 'array',
+          items: {
+            enum: ['private-key', 'api-key', 'token', 'email', 'ip']
+          }
+        },
+        patterns: {
+          type: 'object',
+          additionalProperties: { type: 'string' }
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  required: ['provider']
+}
+
+// Matches `${NAME}` and `${NAME:-default}`
+const ENV_VARIABLE_REGEX = /\$\{(\w+)(?::-([^}]*))?\}/g
+
+/**
+ * Function to read a configuration layer from a YAML file.
+ *
+ * @param {string} filePath - The path of the file.
+ * @returns {{source: string, data: Object}} - The layer.
+ * @throws {Error} - If the file is not valid YAML or not a mapping.
+ */
+export function readConfigLayer(filePath) {
+  let data
+  try {
+    data = yaml.load(fs.readFileSync(filePath, 'utf8')) || {}
+  } catch (err) {
+    throw new Error(`Invalid configuration file ${filePath}: ${err.message}`)
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid configuration file ${filePath}: not a mapping.`)
+  }
+  return { source: filePath, data }
+}
+
+/**
+ * Function to find the project configuration file, in the current directory
+ * or its closest parent that has one.
+ *
+ * @param {string} [dir] - The directory to start from (default: the current directory).
+ * @returns {string|undefined} - The path of the file, if any.
+ */
+export function findProjectConfig(dir = process.cwd()) {
+  let current = path.resolve(dir)
+  for (;;) {
+    const filePath = path.join(current, PROJECT_CONFIG_FILE)
+    if (fs.existsSync(filePath)) return filePath
+
+    const parent = path.dirname(current)
+    if (parent === current) return undefined
+    current = parent
+  }
+}
+
+/**
+ * Function to merge configuration layers, later ones taking precedence.
+ * Mappings are merged key by key, other values are replaced. When a layer
+ * changes the provider, the provider specific keys of the previous layers
+ * (`apiKey`, `configuration`, `defaultRequestOptions`) are dropped.
+ *
+ * @param {Object[]} layers - The layers as `{ source, data }` objects.
+ * @returns {{configData: Object, origins: Map<string, string>}} - The merged
+ *   configuration, and the source of each value by its dotted path.
+ */
+export function mergeConfigLayers(layers) {
+  const configData = {}
+  const origins = new Map()
+
+  for (const { source, data } of layers) {
+    if (data.provider && data.provider !== configData.provider) {
+      for (const key of PROVIDER_KEYS) {
+        delete configData[key]
+        for (const origin of origins.keys()) {
+          if (origin === key || origin.startsWith(`${key}.`)) {
+            origins.delete(origin)
+          }
+        }
+      }
+    }
+    mergeInto(configData, data, source, origins, '')
+  }
+
+  return { configData, origins }
+}
+
+/**
+ * Function to replace `${NAME}` (or `${NAME:-default}`) in the string values
+ * of the configuration with environment variables.
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Map<string, string>} origins - The source of each value.
+ * @param {Object} [env] - The environment variables.
+ * @returns {Object} - A new configuration data object.
+ * @throws {Error} - If a variable without default is not set.
+ */
+export function interpolateEnv(configData, origins, env = process.env) {
+  const interpolate = (value, keyPath) => {
+    if (typeof value === 'string') {
+      return value.replace(ENV_VARIABLE_REGEX, (match, name, fallback) => {
+        if (env[name] !== undefined) return env[name]
+        if (fallback !== undefined) return fallback
+        throw new Error(
+          `Environment variable '${name}' is not set, used by '${keyPath}'${formatOrigin(origins, keyPath)}.`
+        )
+      })
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) =>
+        interpolate(item, `${keyPath}.${index}`)
+      )
+    }
+    if (isMapping(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          interpolate(item, keyPath ? `${keyPath}.${key}` : key)
+        ])
+      )
+    }
+    return value
+  }
+
+  return interpolate(configData, '')
+}
+
+/**
+ * Function to check the configuration against the shared settings and the
+ * `configSchema` of the provider, reporting all the unknown or mistyped keys
+ * with the file they come from.
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Object} [providerSchema] - The JSON Schema of the provider specific
+ *   keys (its `properties`).
+ * @param {Map<string, string>} [origins] - The source of each value.
+ * @throws {Error} - If the configuration is not valid.
+ */
+export function validateConfiguration(
+  configData,
+  providerSchema = {},
+  origins = new Map()
+) {
+  const schema = {
+    ...BASE_SCHEMA,
+    properties: { ...BASE_SCHEMA.properties, ...providerSchema.properties },
+    additionalProperties: false
+  }
+  const validate = new Ajv({ allErrors: true, strict: false }).compile(schema)
+  if (validate(configData)) {
+    return
+  }
+
+  const errors = validate.errors.map((error) => {
+    const keyPath = error.instancePath.slice(1).split('/').filter(Boolean)
+    if (error.keyword === 'additionalProperties') {
+      const unknownPath = [...keyPath, error.params.additionalProperty].join(
+        '.'
+      )
+      return `Unknown key '${unknownPath}'${formatOrigin(origins, unknownPath)}`
+    }
+    if (error.keyword === 'required' && !keyPath.length) {
+      return `Missing key '${error.params.missingProperty}'`
+    }
+
+    const dottedPath = keyPath.join('.')
+    const allowed = error.params.allowedValues
+      ? ` (${error.params.allowedValues.join(', ')})`
+      : ''
+    return `'${dottedPath}' ${error.message}${allowed}${formatOrigin(origins, dottedPath)}`
+  })
+  const provider = configData.provider
+    ? ` for provider '${configData.provider}'`
+    : ''
+  throw new Error(
+    `Invalid configuration${provider}:\n${errors.map((error) => `- ${error}`).join('\n')}`
+  )
+}
+
+/**
+ * Function to collect the `--set key=value` options into request options.
+ * Values are parsed as YAML (`0.5`, `true`, `[a, b]`), dotted keys set nested
+ * options (e.g. `options.num_ctx=8192`).
+ *
+ * @param {string} value - The `key=value` pair.
+ * @param {Object} previous - The request options collected so far.
+ * @returns {Object} - The request options.
+ * @throws {Error} - If the pair has no key.
+ */
+export function collectRequestOption(value, previous) {
+  const index = value.indexOf('=')
+  if (index <= 0) {
+    throw new Error(`Invalid request option '${value}', expected key=value.`)
+  }
+
+  const requestOptions = structuredClone(previous)
+  const keys = value.slice(0, index).split('.')
+  let target = requestOptions
+  for (const key of keys.slice(0, -1)) {
+    if (!isMapping(target[key])) target[key] = {}
+    target = target[key]
+  }
+  target[keys.at(-1)] = parseOptionValue(value.slice(index + 1))
+  return requestOptions
+}
+
+/**
+ * Function to parse the value of a command-line option as YAML, so that
+ * numbers and booleans get their type. Invalid YAML is kept as a string.
+ *
+ * @param {string} value - The value.
+ * @returns {*} - The parsed value.
+ */
+export function parseOptionValue(value) {
+  try {
+    return yaml.load(value) ?? value
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Function to get the configuration layer of the command-line options
+ * (`--model`, `--temperature`, `--max-tokens`, `--set` and `--system`).
+ *
+ * @param {Object} options - The command-line options.
+ * @returns {Object} - The settings overridden on the command line.
+ */
+export function getCommandLineOverrides(options) {
+  const requestOptions = { ...options.set }
+  if (options.model !== undefined) requestOptions.model = options.model
+  if (options.temperature !== undefined) {
+    requestOptions.temperature = options.temperature
+  }
+  if (options.maxTokens !== undefined) {
+    requestOptions.max_tokens = options.maxTokens
+  }
+
+  const overrides = {}
+  if (Object.keys(requestOptions).length) {
+    overrides.defaultRequestOptions = requestOptions
+  }
+  if (options.system !== undefined) overrides.system = options.system
+  return overrides
+}
+
+/**
+ * Merges a configuration layer into the configuration, recording the origins.
+ *
+ * @param {Object} target - The configuration being merged into.
+ * @param {Object} data - The layer data.
+ * @param {string} source - The layer source.
+ * @param {Map<string, string>} origins - The source of each value.
+ * @param {string} prefix - The dotted path of `target`.
+ */
+function mergeInto(target, data, source, origins, prefix) {
+  for (const [key, value] of Object.entries(data)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key
+    if (isMapping(value) && isMapping(target[key])) {
+      mergeInto(target[key], value, source, origins, keyPath)
+    } else {
+      target[key] = isMapping(value) ? structuredClone(value) : value
+      origins.set(keyPath, source)
+    }
+  }
+}
+
+/**
+ * Formats where a value of the configuration comes from, for error messages.
+ * Values set as part of a mapping take the origin of the mapping.
+ *
+ * @param {Map<string, string>} origins - The source of each value.
+ * @param {string} keyPath - The dotted path of the value.
+ * @returns {string} - The origin, e.g. ` (in ~/.config/pipe-ai/config.yaml)`.
+ */
+function formatOrigin(origins, keyPath) {
+  const parts = keyPath.split('.')
+  for (let length = parts.length; length > 0; length--) {
+    const source = origins.get(parts.slice(0, length).join('.'))
+    if (source) return ` (in ${source})`
+  }
+
+  // Mappings get the origin of their first value
+  for (const [origin, source] of origins) {
+    if (origin.startsWith(`${keyPath}.`)) return ` (in ${source})`
+  }
+  return ''
+}
+
+/**
+ * Tells whether a value is a plain mapping (not an array or null).
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} - Whether the value is a mapping.
+ */
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
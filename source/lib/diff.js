@@ -0,0 +1,259 @@
+// diff.js
+
+// Matches the header of a hunk, e.g. `@@ -12,7 +12,8 @@ function main() {`
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/
+
+// ANSI colors of the preview
+const COLORS = {
+  header: ['\x1b[1m', '\x1b[22m'],
+  hunk: ['\x1b[36m', '\x1b[39m'],
+  removed: ['\x1b[31m', '\x1b[39m'],
+  added: ['\x1b[32m', '\x1b[39m']
+}
+
+/**
+ * Function to get the instructions asking for a unified diff of the changes
+ * to the input files.
+ *
+ * @param {string[]} labels - The paths of the input files.
+ * @returns {string} - The instructions, added to the prompt.
+ */
+export function getDiffInstructions(labels) {
+  return [
+    `Reply with the changes to the input files (${labels.join(', ')}) as a unified diff, in a single \`\`\`diff code block.`,
+    'Start the changes to each file with `--- a/<path>` and `+++ b/<path>` lines, using the paths above, and give 3 lines of unchanged context around each change, copied exactly from the file.'
+  ].join('\n')
+}
+
+/**
+ * Function to parse a unified diff, as output by `diff -u` or `git diff`.
+ * A hunk ends once it has the old and new line counts of its header (so
+ * that its lines may start with `---` and prose may follow it). A header
+ * without counts, often written by models, has its hunk going on until the
+ * next hunk, file or line which isn't part of a diff.
+ *
+ * @param {string} text - The diff.
+ * @returns {Object[]} - The changes to each file, as `{ oldPath, newPath,
+ *   hunks }` objects, the hunks being `{ oldStart, lines }` objects (lines
+ *   starting with ' ', '-' or '+'). Paths are stripped of their `a/` and `b/`
+ *   prefixes, and are `/dev/null` for created and deleted files.
+ */
+export function parseUnifiedDiff(text) {
+  const lines = text.split(/\r?\n/)
+  const patches = []
+  // The hunk being read, and the old and new lines it still has if its
+  // header counts them
+  let hunk = null
+  let remaining = null
+  // The hunks whose end is guessed
+  const uncertainHunks = []
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index]
+    if (remaining) {
+      if (/^[ +-]/.test(line) || line === '') {
+        // Blank context lines often lose their leading space
+        const hunkLine = line || ' '
+        hunk.lines.push(hunkLine)
+        if (!hunkLine.startsWith('+')) remaining.old--
+        if (!hunkLine.startsWith('-')) remaining.new--
+        if (remaining.old <= 0 && remaining.new <= 0) remaining = hunk = null
+        continue
+      }
+      // The counts were too high, the hunk ends with its lines
+      uncertainHunks.push(hunk)
+      remaining = hunk = null
+    }
+
+    if (line.startsWith('--- ') && lines[index + 1]?.startsWith('+++ ')) {
+      patches.push({
+        oldPath: parsePath(line),
+        newPath: parsePath(lines[index + 1]),
+        hunks: []
+      })
+      hunk = null
+      index++
+      continue
+    }
+
+    const header = HUNK_HEADER_REGEX.exec(line)
+    if (header && patches.length) {
+      hunk = { oldStart: parseInt(header[1], 10), lines: [] }
+      patches.at(-1).hunks.push(hunk)
+      // A count left out is 1, unless both are
+      const counts = {
+        old: parseInt(header[2] ?? '1', 10),
+        new: parseInt(header[4] ?? '1', 10)
+      }
+      if (
+        (header[2] !== undefined || header[4] !== undefined) &&
+        (counts.old > 0 || counts.new > 0)
+      ) {
+        remaining = counts
+      } else {
+        uncertainHunks.push(hunk)
+      }
+    } else if (hunk && /^[ +-]/.test(line)) {
+      hunk.lines.push(line)
+    } else if (hunk && line === '') {
+      // Blank context lines often lose their leading space
+      hunk.lines.push(' ')
+    } else if (!line.startsWith('\\')) {
+      hunk = null
+    }
+  }
+
+  if (remaining) uncertainHunks.push(hunk)
+
+  // Blank lines at the end of these hunks are the end of the text, not
+  // context
+  for (const { lines: hunkLines } of uncertainHunks) {
+    while (hunkLines.at(-1) === ' ') hunkLines.pop()
+  }
+  return patches.filter(({ hunks }) => hunks.length)
+}
+
+/**
+ * Function to apply the hunks of a file's changes to its content. Each hunk
+ * must be found in the file as it is (but for whitespace at the end of the
+ * lines), after the previous one and as close as possible to its line
+ * number.
+ *
+ * @param {string} content - The content of the file.
+ * @param {Object} patch - The changes to the file, from `parseUnifiedDiff`.
+ * @returns {string} - The new content.
+ * @throws {Error} - If a hunk doesn't apply.
+ */
+export function applyPatch(content, patch) {
+  const endsWithNewline = content === '' || content.endsWith('\n')
+  const lines = content.split('\n')
+  if (endsWithNewline) lines.pop()
+
+  const result = []
+  let cursor = 0
+  patch.hunks.forEach((hunk, hunkIndex) => {
+    const expected = hunk.lines
+      .filter((line) => !line.startsWith('+'))
+      .map((line) => line.slice(1))
+    // A hunk only adding lines gives the line they come after
+    const near = expected.length ? hunk.oldStart - 1 : hunk.oldStart
+    const position = findLines(lines, expected, cursor, near)
+    if (position === -1) {
+      throw new Error(
+        `Hunk ${hunkIndex + 1} (@@ -${hunk.oldStart} @@) does not apply to ${patch.newPath}: its lines are not found in the file.`
+      )
+    }
+
+    result.push(...lines.slice(cursor, position))
+    let offset = position
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) {
+        result.push(line.slice(1))
+      } else {
+        // The lines of the file are kept as they are
+        if (line.startsWith(' ')) result.push(lines[offset])
+        offset++
+      }
+    }
+    cursor = offset
+  })
+  result.push(...lines.slice(cursor))
+
+  return result.join('\n') + (endsWithNewline && result.length ? '\n' : '')
+}
+
+/**
+ * Function to format the changes to preview them, colored for a terminal.
+ *
+ * @param {Object[]} patches - The changes to each file, from `parseUnifiedDiff`.
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - Whether to use ANSI colors.
+ * @returns {string} - The unified diff.
+ */
+export function formatDiff(patches, { color = false } = {}) {
+  const paint = (kind, text) =>
+    color ? `${COLORS[kind][0]}${text}${COLORS[kind][1]}` : text
+
+  return patches
+    .flatMap(({ oldPath, newPath, hunks }) => {
+      // The new line numbers are shifted by the lines added and removed before
+      let shift = 0
+      return [
+        paint('header', `--- ${formatPath(oldPath, 'a')}`),
+        paint('header', `+++ ${formatPath(newPath, 'b')}`),
+        ...hunks.flatMap((hunk) => {
+          const oldCount = hunk.lines.filter((line) => line[0] !== '+').length
+          const newCount = hunk.lines.filter((line) => line[0] !== '-').length
+          const newStart = hunk.oldStart + shift
+          shift += newCount - oldCount
+          return [
+            paint(
+              'hunk',
+              `@@ -${hunk.oldStart},${oldCount} +${newStart},${newCount} @@`
+            ),
+            ...hunk.lines.map((line) => {
+              if (line.startsWith('-')) return paint('removed', line)
+              if (line.startsWith('+')) return paint('added', line)
+              return line
+            })
+          ]
+        })
+      ]
+    })
+    .join('\n')
+}
+
+/**
+ * Parses the path of a `---` or `+++` line, without its timestamp and its
+ * `a/` or `b/` prefix.
+ *
+ * @param {string} line - The line.
+ * @returns {string} - The path.
+ */
+function parsePath(line) {
+  const filePath = line.slice(4).split('\t')[0].trim()
+  return filePath.replace(/^[ab]\//, '')
+}
+
+/**
+ * Formats a path for a `---` or `+++` line.
+ *
+ * @param {string} filePath - The path.
+ * @param {string} prefix - `a` or `b`.
+ * @returns {string} - The path with its prefix.
+ */
+function formatPath(filePath, prefix) {
+  return filePath === '/dev/null' ? filePath : `${prefix}/${filePath}`
+}
+
+/**
+ * Finds lines in a file, from a position, the closest to an expected one.
+ *
+ * @param {string[]} lines - The lines of the file.
+ * @param {string[]} expected - The lines to find.
+ * @param {number} from - The first position to look at.
+ * @param {number} near - The expected position.
+ * @returns {number} - The position of the lines, or -1.
+ */
+function findLines(lines, expected, from, near) {
+  const matchesAt = (position) =>
+    expected.every(
+      (line, index) => lines[position + index]?.trimEnd() === line.trimEnd()
+    )
+
+  const last = lines.length - expected.length
+  const start = Math.min(Math.max(near, from), Math.max(last, from))
+  for (
+    let distance = 0;
+    start - distance >= from || start + distance <= last;
+    distance++
+  ) {
+    if (start - distance >= from && matchesAt(start - distance)) {
+      return start - distance
+    }
+    if (start + distance <= last && matchesAt(start + distance)) {
+      return start + distance
+    }
+  }
+  return -1
+}
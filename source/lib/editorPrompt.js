@@ -6,33 +6,66 @@ import fsPromises from 'fs/promises'
 import tmp from 'tmp-promise'
 import { log } from './output.js'
 
+const DEFAULT_INITIAL_CONTENT = `
+# Please enter your input below. Lines starting with '#' will be ignored.
+# -------------------------------------------------------------
+# Example:
+# Summarize the following git log to highlight major changes.
+#`
+
 /**
  * Main function to get input from the user's preferred editor.
+ * @param {Object} [options]
+ * @param {string} [options.initialContent] - Content to start editing from.
+ * @param {boolean} [options.stripComments=true] - Whether to ignore lines starting with '#'.
  * @returns {Promise<string>} - The user's input after editing.
  */
-export async function getInputFromEditor() {
-  const tmpFile = await createTempFile()
+export async function getInputFromEditor({
+  initialContent = DEFAULT_INITIAL_CONTENT,
+  stripComments = true
+} = {}) {
+  const tmpFile = await createTempFile(initialContent)
   const editorProcess = spawnEditorProcess(tmpFile.path)
-  const userInput = await handleEditorProcess(editorProcess, tmpFile)
+  const userInput = await handleEditorProcess(
+    editorProcess,
+    tmpFile,
+    stripComments
+  )
   return userInput
 }
 
+/**
+ * Function to edit a file in place with the user's preferred editor.
+ * @param {string} filePath - The path to the file to edit.
+ * @returns {Promise<void>} - Resolves when the editor exits successfully.
+ */
+export async function editFile(filePath) {
+  const editorProcess = spawnEditorProcess(filePath)
+  return new Promise((resolve, reject) => {
+    editorProcess.on('exit', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Editor exited with code ${code}`))
+      } else {
+        resolve()
+      }
+    })
+    editorProcess.on('error', (err) => {
+      reject(new Error(`Failed to launch editor: ${err.message}`))
+    })
+  })
+}
+
 /**
  * Creates a temporary file with initial content.
+ * @param {string} initialContent - The content of the file.
  * @returns {Promise<Object>} - The temporary file object.
  */
-async function createTempFile() {
+async function createTempFile(initialContent) {
   try {
     const tmpFile = await tmp.file({
       prefix: `pipe-ai-prompt-${Date.now()}-`,
       postfix: '.gitmessage'
     })
-    const initialContent = `
-# Please enter your input below. Lines starting with '#' will be ignored.
-# -------------------------------------------------------------
-# Example:
-# Summarize the following git log to highlight major changes.
-#`
     await fsPromises.writeFile(tmpFile.path, initialContent, 'utf8')
     log.debug(`Temporary file created at: ${tmpFile.path}`)
     return tmpFile
@@ -69,10 +102,15 @@ function spawnEditorProcess(filePath) {
     if (process.stdin.isTTY) {
       log.debug('Stdio inherited from parent process.')
       return ['inherit', 'inherit', 'inherit']
-    } else {
+    }
+    try {
       const terminalFd = getTerminalFd()
       log.debug('Stdio configured to use terminal for stdin.')
       return [terminalFd, 'inherit', 'inherit']
+    } catch (err) {
+      // No controlling terminal (e.g. scripts), the editor gets no stdin
+      log.debug(`Stdin ignored, no terminal available: ${err.message}`)
+      return ['ignore', 'inherit', 'inherit']
     }
   }
 
@@ -91,9 +129,10 @@ function spawnEditorProcess(filePath) {
  * Handles the editor process events and resolves the user input.
  * @param {ChildProcess} editorProcess - The spawned editor process.
  * @param {Object} tmpFile - The temporary file object.
+ * @param {boolean} stripComments - Whether to ignore lines starting with '#'.
  * @returns {Promise<string>} - The processed user input.
  */
-function handleEditorProcess(editor, tmpFile) {
+function handleEditorProcess(editor, tmpFile, stripComments) {
   // Setup the editor spawn process
   return new Promise((resolve, reject) => {
     // On exit read and process content from the temp file
@@ -129,7 +168,7 @@ function handleEditorProcess(editor, tmpFile) {
       const content = await fsPromises.readFile(filePath, 'utf8')
       const processedContent = content
         .split('\n')
-        .filter((line) => !line.trim().startsWith('#'))
+        .filter((line) => !stripComments || !line.trim().startsWith('#'))
         .join('\n')
         .trim()
 
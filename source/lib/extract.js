@@ -0,0 +1,187 @@
+// extract.js
+
+import fs from 'fs'
+import path from 'path'
+
+// Matches an opening fence, its info string being the language and hints
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*(.*)$/
+
+// Matches a line naming the file of the next block, e.g. `**src/app.js**:`
+const FILENAME_LINE_REGEX =
+  /^[#*_`\s]*(?:File(?:name)?:\s*)?[*_`]*([\w./-]+\.[a-z]\w*)[*_`]*:?\s*$/i
+
+// Other names of the languages, to filter the blocks
+const LANGUAGE_ALIASES = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  bash: 'sh',
+  shell: 'sh',
+  zsh: 'sh',
+  yml: 'yaml',
+  markdown: 'md',
+  ruby: 'rb'
+}
+
+/**
+ * Function to parse the `--extract` option: `code` or `code:<lang>`.
+ *
+ * @param {string} value - The option value.
+ * @returns {{lang?: string}} - The language of the blocks to extract, if any.
+ * @throws {Error} - If the value is not valid.
+ */
+export function parseExtractOption(value) {
+  const match = /^code(?::(\S+))?$/.exec(value)
+  if (!match) {
+    throw new Error(
+      `Invalid extract option '${value}', expected code or code:<lang>.`
+    )
+  }
+  return match[1] ? { lang: match[1] } : {}
+}
+
+/**
+ * Function to get the fenced code blocks of a Markdown text, with their
+ * language and the name of their file when the reply gives it: in the info
+ * string (```js src/app.js, ```js:src/app.js, ```js title="src/app.js") or
+ * on the line before the block (`src/app.js:`, **src/app.js**).
+ *
+ * @param {string} text - The text.
+ * @returns {Object[]} - The blocks as `{ lang, filename, code }` objects.
+ */
+export function parseCodeBlocks(text) {
+  const lines = text.split(/\r?\n/)
+  const blocks = []
+
+  for (let index = 0; index < lines.length; index++) {
+    const match = FENCE_REGEX.exec(lines[index])
+    if (!match) continue
+
+    const [, fence, info] = match
+    // Closed by a fence of the same character, at least as long
+    const end = lines.findIndex((line, lineIndex) => {
+      const closing = line.trim()
+      return (
+        lineIndex > index &&
+        closing.length >= fence.length &&
+        closing === fence[0].repeat(closing.length)
+      )
+    })
+    // An unclosed block ends with the text
+    const codeLines = lines.slice(index + 1, end === -1 ? undefined : end)
+    const block = parseInfoString(info)
+    const hint = index > 0 && FILENAME_LINE_REGEX.exec(lines[index - 1])
+    if (!block.filename && hint) block.filename = hint[1]
+    block.code = codeLines.length ? `${codeLines.join('\n')}\n` : ''
+    blocks.push(block)
+    if (end === -1) break
+    index = end
+  }
+  return blocks
+}
+
+/**
+ * Function to keep the code blocks of a language (any name of it).
+ *
+ * @param {Object[]} blocks - The blocks, as returned by `parseCodeBlocks`.
+ * @param {string} [lang] - The language, all the blocks being kept without one.
+ * @returns {Object[]} - The blocks of the language.
+ */
+export function filterCodeBlocks(blocks, lang) {
+  if (!lang) return blocks
+  const wanted = normalizeLanguage(lang)
+  return blocks.filter(
+    (block) => block.lang && normalizeLanguage(block.lang) === wanted
+  )
+}
+
+/**
+ * Function to get the code of the fenced blocks of a reply (`--extract`).
+ *
+ * @param {string} reply - The AI's reply.
+ * @param {string} [lang] - The language of the blocks to keep.
+ * @returns {string} - The code of the blocks, separated by blank lines.
+ * @throws {Error} - If the reply has no such blocks.
+ */
+export function extractCode(reply, lang) {
+  const blocks = filterCodeBlocks(parseCodeBlocks(reply), lang)
+  if (!blocks.length) {
+    throw new Error(`The reply has no ${lang ? `${lang} ` : ''}code blocks.`)
+  }
+  return blocks
+    .map(({ code }) => code)
+    .join('\n')
+    .replace(/\n$/, '')
+}
+
+/**
+ * Function to write the code blocks of a reply which name their file in a
+ * directory (`--extract-to`). The names are relative to the directory, those
+ * leading out of it are skipped.
+ *
+ * @param {string} reply - The AI's reply.
+ * @param {string} dir - The directory.
+ * @param {string} [lang] - The language of the blocks to keep.
+ * @returns {string[]} - The paths of the files written.
+ */
+export function extractToDirectory(reply, dir, lang) {
+  const root = path.resolve(dir)
+  const written = []
+
+  for (const { filename, code } of filterCodeBlocks(
+    parseCodeBlocks(reply),
+    lang
+  )) {
+    if (!filename) continue
+    const filePath = path.resolve(root, filename)
+    if (path.isAbsolute(filename) || !filePath.startsWith(root + path.sep)) {
+      console.error(`Skipping code block for ${filename}, outside of ${dir}`)
+      continue
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, code)
+    console.error(`Wrote ${path.relative(process.cwd(), filePath)}`)
+    written.push(filePath)
+  }
+
+  if (!written.length) {
+    console.error('No code block of the reply names its file, nothing written.')
+  }
+  return written
+}
+
+/**
+ * Parses the info string of a fence into the language and the file name.
+ *
+ * @param {string} info - The info string, e.g. `js title="src/app.js"`.
+ * @returns {{lang?: string, filename?: string}} - The language and file name.
+ */
+function parseInfoString(info) {
+  const attribute = /\b(?:title|file(?:name)?|path)=["']?([^"'\s]+)/.exec(info)
+  const [first = '', second] = info.trim().split(/\s+/)
+  const [lang, inlineName] = first.includes(':')
+    ? first.split(/:(.*)/)
+    : [first, undefined]
+
+  const result = {}
+  if (lang && !lang.includes('=')) {
+    // A lone file name with an extension (```src/app.js) gives no language
+    if (/[./]/.test(lang)) result.filename = lang
+    else result.lang = lang
+  }
+  const filename =
+    attribute?.[1] || inlineName || (second && !second.includes('=') && second)
+  if (filename) result.filename = filename
+  return result
+}
+
+/**
+ * Normalizes the name of a language, e.g. `JavaScript` to `js`.
+ *
+ * @param {string} lang - The language.
+ * @returns {string} - Its short name.
+ */
+function normalizeLanguage(lang) {
+  const name = lang.toLowerCase()
+  return LANGUAGE_ALIASES[name] || name
+}
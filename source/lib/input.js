@@ -3,30 +3,74 @@
 import fs from 'fs'
 import os from 'os'
 import readline from 'readline'
+import { formatInputs, resolveInputPaths } from './inputFiles.js'
+import { log } from './output.js'
 
 /**
- * Function to get input data from a file or stdin.
- * @param {string} filePath - The path to the input file.
+ * Function to get input data from files, directories, globs and/or stdin.
+ * Without paths, stdin is read when it is not a terminal; with paths, `-`
+ * stands for stdin. Several inputs are combined in sections labeled with
+ * their path (see `formatInputs`).
+ *
+ * @param {string[]|string} [inputPaths] - The input paths.
+ * @param {boolean} [required=true] - Whether to throw when no input is provided.
+ * @param {Object} [options] - The `maxFileSize` and `extensions` filters of directories and globs.
  * @returns {Promise<string>} - The input data as a string.
  */
-export async function getInputData(filePath) {
-  if (filePath) {
-    // Read from the specified file
-    return await fs.promises.readFile(filePath, 'utf8')
-  } else if (!process.stdin.isTTY) {
-    // Read from stdin
-    let data = ''
-    process.stdin.setEncoding('utf8')
-    for await (const chunk of process.stdin) {
-      data += chunk
+export async function getInputData(inputPaths, required = true, options = {}) {
+  const { inputs } = await readInputs(inputPaths, options)
+  if (!inputs.length) {
+    if (!required) {
+      // No input provided, but none is needed
+      return ''
     }
-    return data
-  } else {
     // No input provided
     throw new Error(
       'No input provided. Please provide input via a file or stdin.'
     )
   }
+
+  return formatInputs(inputs)
+}
+
+/**
+ * Function to read the inputs from files, directories, globs and/or stdin.
+ *
+ * @param {string[]|string} [inputPaths] - The input paths.
+ * @param {Object} [options] - The `maxFileSize` and `extensions` filters of directories and globs.
+ * @returns {Promise<{inputs: Object[], skipped: Object[]}>} - The inputs as
+ *   `{ label, path, content, expanded }` objects, and the skipped files.
+ */
+export async function readInputs(inputPaths = [], options = {}) {
+  const paths = [].concat(inputPaths || [])
+  if (!paths.length && !process.stdin.isTTY) {
+    paths.push('-')
+  }
+
+  const { inputs, skipped } = await resolveInputPaths(paths, options)
+  skipped.forEach(({ label, reason }) => {
+    log.verbose(`Skipping input file ${label} (${reason})`)
+  })
+
+  for (const input of inputs) {
+    input.content = input.path
+      ? await fs.promises.readFile(input.path, 'utf8')
+      : await readStdin()
+  }
+  return { inputs, skipped }
+}
+
+/**
+ * Reads all of stdin.
+ * @returns {Promise<string>} - The data piped to stdin.
+ */
+async function readStdin() {
+  let data = ''
+  process.stdin.setEncoding('utf8')
+  for await (const chunk of process.stdin) {
+    data += chunk
+  }
+  return data
 }
 
 /**
@@ -67,3 +111,64 @@ export async function getInteractiveUserPrompt() {
     })
   })
 }
+
+/**
+ * Function to let the user pick an item from a numbered list interactively.
+ * @param {string[]} choices - The labels to display.
+ * @param {string} message - The question to ask.
+ * @returns {Promise<number>} - The index of the selected item.
+ */
+export async function selectFromList(choices, message) {
+  const input = fs.createReadStream('/dev/tty')
+  const rl = readline.createInterface({
+    input,
+    output: process.stderr,
+    terminal: false
+  })
+
+  choices.forEach((choice, index) => {
+    process.stderr.write(`${String(index + 1).padStart(3)}) ${choice}\n`)
+  })
+
+  return new Promise((resolve, reject) => {
+    rl.question(`${message} [1-${choices.length}]: `, (answer) => {
+      rl.close()
+      input.destroy()
+      const index = parseInt(answer, 10) - 1
+      if (!(index >= 0 && index < choices.length)) {
+        reject(new Error(`Invalid selection: "${answer.trim()}".`))
+      } else {
+        resolve(index)
+      }
+    })
+  })
+}
+
+/**
+ * Function to ask a yes/no question on the terminal, even when stdin is piped.
+ * @param {string} question - The question to ask.
+ * @returns {Promise<boolean>} - Whether the answer is yes.
+ * @throws {Error} - If there is no terminal to ask on.
+ */
+export async function confirm(question) {
+  let fd
+  try {
+    fd = fs.openSync('/dev/tty', 'r')
+  } catch {
+    throw new Error(`No terminal to ask: ${question}`)
+  }
+  const input = fs.createReadStream(null, { fd })
+  const rl = readline.createInterface({
+    input,
+    output: process.stderr,
+    terminal: false
+  })
+
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close()
+      input.destroy()
+      resolve(/^y(es)?$/i.test(answer.trim()))
+    })
+  })
+}
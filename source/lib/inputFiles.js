@@ -0,0 +1,277 @@
+// inputFiles.js
+
+import fs from 'fs'
+import path from 'path'
+import fg from 'fast-glob'
+import ignore from 'ignore'
+
+// Inputs found in directories and globs larger than this are skipped
+export const DEFAULT_MAX_FILE_SIZE = 100 * 1024
+
+// Never looked into when expanding directories and globs
+const ALWAYS_IGNORED = ['**/.git/**', '**/node_modules/**']
+
+/**
+ * Function to resolve the input paths (files, directories and globs) to files.
+ * Directories and globs are expanded honoring `.gitignore` files, and the
+ * files they bring in are filtered by size, extension and binary content.
+ * Explicitly named files are always kept. `-` stands for stdin.
+ *
+ * @param {string[]} inputPaths - The paths, directories, globs or `-`.
+ * @param {Object} [options]
+ * @param {number} [options.maxFileSize] - Maximum size of expanded files, in bytes.
+ * @param {string[]} [options.extensions] - Extensions of expanded files to keep (default: all).
+ * @returns {Promise<{inputs: Object[], skipped: Object[]}>} - The inputs as
+ *   `{ path, label, expanded }` objects (no path for stdin), and the skipped
+ *   files as `{ label, reason }` objects.
+ * @throws {Error} - If a path does not exist or a glob matches no file.
+ */
+export async function resolveInputPaths(inputPaths, options = {}) {
+  const inputs = []
+  const skipped = []
+  const seen = new Set()
+
+  const add = (filePath, expanded) => {
+    const absolutePath = path.resolve(filePath)
+    if (seen.has(absolutePath)) return
+    seen.add(absolutePath)
+    inputs.push({ path: absolutePath, label: toLabel(absolutePath), expanded })
+  }
+
+  for (const inputPath of inputPaths) {
+    if (inputPath === '-') {
+      inputs.push({ label: 'stdin', expanded: false })
+      continue
+    }
+
+    const stats = fs.statSync(inputPath, { throwIfNoEntry: false })
+    if (stats?.isFile()) {
+      add(inputPath, false)
+      continue
+    }
+
+    let files
+    if (stats?.isDirectory()) {
+      files = await expandPattern('**/*', path.resolve(inputPath))
+    } else if (fg.isDynamicPattern(inputPath)) {
+      files = await expandPattern(inputPath, process.cwd())
+      if (!files.length) {
+        throw new Error(`No input file matches '${inputPath}'.`)
+      }
+    } else {
+      throw new Error(`Input file '${inputPath}' not found.`)
+    }
+
+    for (const filePath of files) {
+      if (!hasExtension(filePath, options.extensions)) continue
+
+      const reason = getSkipReason(filePath, options)
+      if (reason) {
+        skipped.push({ label: toLabel(filePath), reason })
+      } else {
+        add(filePath, true)
+      }
+    }
+  }
+
+  return { inputs, skipped }
+}
+
+/**
+ * Function to combine inputs into the text sent to the AI.
+ * A single file or stdin is sent as is, several inputs (or the files of a
+ * directory or glob) are each wrapped in a section labeled with their path.
+ *
+ * @param {Object[]} inputs - The inputs as `{ label, content, expanded }` objects.
+ * @returns {string} - The combined input data.
+ */
+export function formatInputs(inputs) {
+  if (inputs.length === 1 && !inputs[0].expanded) {
+    return inputs[0].content
+  }
+
+  return inputs
+    .map(({ label, content }) => {
+      const body = content.endsWith('\n') ? content : `${content}\n`
+      return `<input source="${label}">\n${body}</input>`
+    })
+    .join('\n\n')
+}
+
+/**
+ * Function to parse a file size such as `500`, `200k` or `1.5m` into bytes.
+ *
+ * @param {string} value - The size.
+ * @returns {number} - The size in bytes.
+ * @throws {Error} - If the size is not valid.
+ */
+export function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(value).trim())
+  if (!match) {
+    throw new Error(`Invalid size '${value}', use e.g. 500, 200k or 1m.`)
+  }
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }
+  return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()])
+}
+
+/**
+ * Function to parse a comma separated list of file extensions.
+ *
+ * @param {string} value - The extensions (e.g. `js,.ts`).
+ * @returns {string[]} - The extensions without their leading dot.
+ */
+export function parseExtensions(value) {
+  return value
+    .split(',')
+    .map((extension) => extension.trim().replace(/^\./, '').toLowerCase())
+    .filter(Boolean)
+}
+
+/**
+ * Function to format a size in bytes for display.
+ *
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} - The formatted size (e.g. `12.3 KB`).
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+}
+
+/**
+ * Expands a glob pattern to the files it matches that are not ignored by git.
+ *
+ * @param {string} pattern - The glob pattern.
+ * @param {string} cwd - The directory the pattern is relative to.
+ * @returns {Promise<string[]>} - The absolute file paths, sorted.
+ */
+async function expandPattern(pattern, cwd) {
+  const files = await fg(pattern, {
+    cwd,
+    absolute: true,
+    onlyFiles: true,
+    ignore: ALWAYS_IGNORED
+  })
+  const isIgnored = createGitignoreFilter(cwd)
+  return files.filter((filePath) => !isIgnored(filePath)).sort()
+}
+
+/**
+ * Creates a function telling whether a file is ignored by the `.gitignore`
+ * files of its directory and its parents, up to the root of the git repository
+ * (or the base directory outside of a repository).
+ *
+ * @param {string} baseDir - The directory being expanded.
+ * @returns {Function} - Called with an absolute file path, returns a boolean.
+ */
+function createGitignoreFilter(baseDir) {
+  const rootDir = findGitRoot(baseDir) || baseDir
+  const rulesByDir = new Map()
+
+  const getRules = (dir) => {
+    if (!rulesByDir.has(dir)) {
+      const gitignorePath = path.join(dir, '.gitignore')
+      rulesByDir.set(
+        dir,
+        fs.existsSync(gitignorePath)
+          ? ignore().add(fs.readFileSync(gitignorePath, 'utf8'))
+          : null
+      )
+    }
+    return rulesByDir.get(dir)
+  }
+
+  return (filePath) => {
+    const relativePath = path.relative(rootDir, filePath)
+    if (relativePath.startsWith('..')) return false
+
+    // Check the rules of each directory from the root down to the file
+    const dirs = path.dirname(relativePath).split(path.sep)
+    let dir = rootDir
+    for (const name of ['', ...dirs.filter((name) => name !== '.')]) {
+      dir = path.join(dir, name)
+      const rules = getRules(dir)
+      if (
+        rules?.ignores(path.relative(dir, filePath).split(path.sep).join('/'))
+      ) {
+        return true
+      }
+    }
+    return false
+  }
+}
+
+/**
+ * Finds the root of the git repository containing a directory.
+ *
+ * @param {string} dir - The directory.
+ * @returns {string|undefined} - The repository root, if any.
+ */
+function findGitRoot(dir) {
+  let current = path.resolve(dir)
+  while (!fs.existsSync(path.join(current, '.git'))) {
+    const parent = path.dirname(current)
+    if (parent === current) return undefined
+    current = parent
+  }
+  return current
+}
+
+/**
+ * Tells why a file found in a directory or glob is skipped, if it is.
+ *
+ * @param {string} filePath - The file path.
+ * @param {Object} options - The `maxFileSize` filter.
+ * @returns {string|undefined} - The reason, or undefined to keep the file.
+ */
+function getSkipReason(filePath, { maxFileSize } = {}) {
+  const limit = maxFileSize ?? DEFAULT_MAX_FILE_SIZE
+  if (fs.statSync(filePath).size > limit) {
+    return `over ${formatSize(limit)}`
+  }
+
+  if (isBinary(filePath)) {
+    return 'binary'
+  }
+}
+
+/**
+ * Tells whether a file has one of the extensions (any when none are given).
+ *
+ * @param {string} filePath - The file path.
+ * @param {string[]} [extensions] - The extensions without their leading dot.
+ * @returns {boolean} - Whether the file has one of the extensions.
+ */
+function hasExtension(filePath, extensions) {
+  const extension = path.extname(filePath).slice(1).toLowerCase()
+  return !extensions?.length || extensions.includes(extension)
+}
+
+/**
+ * Tells whether a file looks binary (has a NUL byte in its first 8 KB).
+ *
+ * @param {string} filePath - The file path.
+ * @returns {boolean} - Whether the file is binary.
+ */
+function isBinary(filePath) {
+  const buffer = Buffer.alloc(8192)
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0)
+    return buffer.subarray(0, bytesRead).includes(0)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * Gets the label of a file: its path relative to the current directory.
+ *
+ * @param {string} filePath - The absolute file path.
+ * @returns {string} - The label.
+ */
+function toLabel(filePath) {
+  const relativePath = path.relative(process.cwd(), filePath)
+  return relativePath.startsWith('..') ? filePath : relativePath
+}
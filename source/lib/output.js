@@ -1,24 +1,192 @@
 // output.js
 
 import fs from 'fs'
+import { spawn } from 'child_process'
 import winston from 'winston'
+import { CancelledError } from './cancel.js'
+import { countRows, renderReply } from './render.js'
 
 /**
  * Function to output the result to stdout or a file.
- * @param {string} result - The AI's reply.
+ * The result can be streamed, in which case chunks are written as they arrive.
+ * It is rendered in the `format` (see `renderReply`); Markdown rendered for
+ * the terminal is paged when it is longer than the screen.
+ * @param {string|AsyncIterable<string>} result - The AI's reply or its chunks.
  * @param {string} outputFile - The path to the output file.
+ * @param {Object} [options]
+ * @param {string} [options.format='raw'] - The format of the output.
+ * @param {boolean} [options.pager=true] - Whether to page long output.
+ * @returns {Promise<string>} - The full AI's reply.
  */
-export async function outputResult(result, outputFile) {
+export async function outputResult(
+  result,
+  outputFile,
+  { format = 'raw', pager = true } = {}
+) {
+  if (typeof result !== 'string') {
+    return outputStream(result, outputFile, { format, pager })
+  }
+
+  // A terminal may not know its width (0)
+  const text = renderReply(result, format, {
+    width: process.stdout.columns || undefined
+  })
   if (outputFile) {
     // Write the result to the specified output file
-    await fs.promises.writeFile(outputFile, result, 'utf8')
+    await fs.promises.writeFile(outputFile, text, 'utf8')
     log.error(`Output saved to ${outputFile}`)
   } else {
     // Output the result to stdout
-    console.log(result)
+    await printText(text, { paged: pager && format === 'markdown' })
+  }
+  return result
+}
+
+/**
+ * Function to write streamed chunks to stdout or a file as they arrive.
+ * When the stream is cancelled, the chunks received so far are kept in the
+ * `partialReply` of the error. Markdown streamed to the terminal is replaced
+ * by its rendering once complete, if it is still on the screen (or paged).
+ * @param {AsyncIterable<string>} chunks - The chunks of the AI's reply.
+ * @param {string} outputFile - The path to the output file.
+ * @param {Object} options - The `format` and `pager` options of `outputResult`.
+ * @returns {Promise<string>} - The concatenated AI's reply.
+ */
+async function outputStream(chunks, outputFile, { format, pager }) {
+  const stream = outputFile
+    ? fs.createWriteStream(outputFile, 'utf8')
+    : process.stdout
+
+  let result = ''
+  try {
+    for await (const chunk of chunks) {
+      result += chunk
+      stream.write(chunk)
+    }
+  } catch (err) {
+    if (err instanceof CancelledError) err.partialReply = result
+    throw err
+  } finally {
+    if (outputFile) {
+      await new Promise((resolve) => stream.end(resolve))
+    } else if (result) {
+      // Nothing was written when the request failed before the reply
+      stream.write('\n')
+    }
+  }
+
+  if (outputFile) {
+    log.error(`Output saved to ${outputFile}`)
+  } else if (format === 'markdown' && process.stdout.isTTY) {
+    const { columns, rows } = process.stdout
+    const text = renderReply(result, format, { width: columns || undefined })
+    const streamedRows = countRows(result, columns)
+    if (streamedRows < rows) {
+      // Move up to the start of the streamed text and clear it
+      process.stdout.write(`\x1b[${streamedRows}F\x1b[J`)
+      await printText(text, { paged: pager })
+    } else if (pager) {
+      await page(text)
+    }
+  }
+  return result
+}
+
+/**
+ * Prints a text to stdout, through the pager when it is longer than the
+ * terminal.
+ * @param {string} text - The text.
+ * @param {Object} options
+ * @param {boolean} options.paged - Whether a long text is paged.
+ */
+async function printText(text, { paged }) {
+  if (
+    paged &&
+    process.stdout.isTTY &&
+    countRows(text, process.stdout.columns) >= process.stdout.rows
+  ) {
+    await page(text)
+  } else {
+    console.log(text)
   }
 }
 
+/**
+ * Shows a text in the pager (`$PAGER`, default: `less`), or prints it when
+ * there's no pager.
+ * @param {string} text - The text.
+ * @returns {Promise<void>} - Resolves when the pager is quit.
+ */
+function page(text) {
+  return new Promise((resolve) => {
+    const pager = spawn(process.env.PAGER || 'less', {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      // Keep the colors, and the text on the screen once quit
+      env: { LESS: 'FRX', ...process.env }
+    })
+    const fallback = () => {
+      console.log(text)
+      resolve()
+    }
+    pager.on('error', fallback)
+    pager.on('close', (code) => (code === 127 ? fallback() : resolve()))
+    // The pager may be quit before reading all the text
+    pager.stdin.on('error', () => {})
+    pager.stdin.end(`${text}\n`)
+  })
+}
+
+/**
+ * Function to format a conversation as a Markdown transcript.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {Object[]} messages - The messages of the conversation (as saved by Brain).
+ * @param {Object} [options]
+ * @param {boolean} [options.input=true] - Whether to include the input data.
+ * @returns {string} - The transcript.
+ */
+export function formatTranscript(
+  conversationId,
+  messages,
+  { input = true } = {}
+) {
+  const sections = [`# Conversation ${conversationId}`]
+  messages.forEach((message, index) => {
+    const { provider, defaultRequestOptions = {} } = message.configData || {}
+    const model = [provider, defaultRequestOptions.model]
+      .filter(Boolean)
+      .join('/')
+    sections.push(
+      `## [${index + 1}] ${formatDate(message.createdAt)}${model ? ` (${model})` : ''}${message.cancelled ? ' [cancelled]' : ''}`
+    )
+    if (message.configData?.system) {
+      sections.push(`### System\n\n${message.configData.system.trim()}`)
+    }
+    if (input !== false && message.inputData) {
+      sections.push(`### Input\n\n${message.inputData.trim()}`)
+    }
+    const prompt = [message.prePrompt, message.prompt]
+      .filter(Boolean)
+      .join('\n')
+    if (prompt) {
+      sections.push(`### Prompt\n\n${prompt.trim()}`)
+    }
+    sections.push(`### Reply\n\n${String(message.aiReply).trim()}`)
+  })
+  return sections.join('\n\n')
+}
+
+/**
+ * Function to format an ISO date as `YYYY-MM-DD HH:mm` in local time.
+ * @param {string} isoDate - The ISO date string.
+ * @returns {string} - The formatted date.
+ */
+export function formatDate(isoDate) {
+  const date = new Date(isoDate)
+  const pad = (number) => String(number).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
 /**
  * Function to get a configured Winston logger.
  *
@@ -0,0 +1,137 @@
+// pipeline.js
+
+import yaml from 'js-yaml'
+import Ajv from 'ajv'
+import { loadFile } from './utils.js'
+
+// Name of the pipeline input, among the step names fed into a step
+export const PIPELINE_INPUT = 'input'
+
+// Shape of a pipeline file
+const PIPELINE_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    description: { type: 'string' },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name'],
+        anyOf: [{ required: ['prompt'] }, { required: ['message'] }],
+        properties: {
+          name: { type: 'string', pattern: '^[\\w-]+$' },
+          prompt: { type: 'string' },
+          message: { type: 'string' },
+          input: {
+            type: ['string', 'array'],
+            items: { type: 'string' },
+            minItems: 1
+          },
+          config: { type: 'string' },
+          model: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+/**
+ * Function to load a pipeline file, looked up like the configuration and
+ * prompt files (`~/.config/pipe-ai/pipelines` then `pipelines/`). Each step
+ * has a `name`, a pre-prompt (`prompt`) and/or an inline prompt (`message`),
+ * optionally a `config` and a `model`, and the steps whose output it gets as
+ * its `input` (the previous step by default, `input` being the pipeline input).
+ *
+ * @param {string} identifier - The pipeline file path or name.
+ * @returns {{name: string, description?: string, steps: Object[]}} - The
+ *   pipeline, the `input` of its steps being lists of names.
+ * @throws {Error} - If the pipeline is not found or not valid.
+ */
+export function loadPipeline(identifier) {
+  let data
+  try {
+    data = yaml.load(loadFile(identifier, 'pipeline'))
+  } catch (err) {
+    if (err.name !== 'YAMLException') throw err
+    throw new Error(`Invalid YAML in pipeline '${identifier}': ${err.message}`)
+  }
+
+  const validate = new Ajv({ allErrors: true, strict: false }).compile(
+    PIPELINE_SCHEMA
+  )
+  if (!validate(data)) {
+    const errors = validate.errors
+      .filter((error) => error.keyword !== 'anyOf')
+      .map((error) => {
+        const keyPath = error.instancePath.slice(1).replaceAll('/', '.')
+        if (error.keyword === 'additionalProperties') {
+          return `Unknown key '${[keyPath, error.params.additionalProperty].filter(Boolean).join('.')}'`
+        }
+        if (error.keyword === 'required' && keyPath.startsWith('steps.')) {
+          return `'${keyPath}' must have a '${error.params.missingProperty}'`
+        }
+        return `'${keyPath || 'pipeline'}' ${error.message}`
+      })
+    throw new Error(
+      `Invalid pipeline '${identifier}':\n${[...new Set(errors)].map((error) => `- ${error}`).join('\n')}`
+    )
+  }
+
+  const names = []
+  const steps = data.steps.map((step, index) => {
+    if (step.name === PIPELINE_INPUT || names.includes(step.name)) {
+      throw new Error(
+        `Invalid pipeline '${identifier}': step name '${step.name}' is ${step.name === PIPELINE_INPUT ? 'reserved' : 'used twice'}.`
+      )
+    }
+    const inputs = [step.input ?? names.at(-1) ?? PIPELINE_INPUT].flat()
+    const unknown = inputs.find(
+      (name) => name !== PIPELINE_INPUT && !names.includes(name)
+    )
+    if (unknown) {
+      throw new Error(
+        `Invalid pipeline '${identifier}': step '${step.name}' gets the output of '${unknown}', which is not an earlier step.`
+      )
+    }
+    names.push(step.name)
+    return { ...step, index, input: inputs }
+  })
+
+  return { name: identifier, description: data.description, steps }
+}
+
+/**
+ * Function to select the steps to run, from `fromStep` until `untilStep`
+ * (both included).
+ *
+ * @param {Object[]} steps - The steps of the pipeline.
+ * @param {Object} [options]
+ * @param {string} [options.fromStep] - The name of the first step to run.
+ * @param {string} [options.untilStep] - The name of the last step to run.
+ * @returns {Object[]} - The steps to run.
+ * @throws {Error} - If a step is not found, or comes in the wrong order.
+ */
+export function selectSteps(steps, { fromStep, untilStep } = {}) {
+  const findIndex = (name, option) => {
+    const index = steps.findIndex((step) => step.name === name)
+    if (index === -1) {
+      throw new Error(
+        `Step '${name}' (${option}) not found. The steps are: ${steps.map((step) => step.name).join(', ')}.`
+      )
+    }
+    return index
+  }
+
+  const start = fromStep ? findIndex(fromStep, '--from-step') : 0
+  const end = untilStep
+    ? findIndex(untilStep, '--until-step')
+    : steps.length - 1
+  if (end < start) {
+    throw new Error(`Step '${untilStep}' comes before step '${fromStep}'.`)
+  }
+  return steps.slice(start, end + 1)
+}
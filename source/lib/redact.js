@@ -0,0 +1,215 @@
+// redact.js
+
+// Built-in rules, applied in this order. When a pattern has a `value` group,
+// only that part of the match is redacted (e.g. the value of `password=...`).
+const BUILT_IN_RULES = [
+  {
+    name: 'private-key',
+    patterns: [
+      /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g
+    ]
+  },
+  {
+    name: 'api-key',
+    patterns: [
+      /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|glpat-[A-Za-z0-9_-]{20,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g
+    ]
+  },
+  {
+    name: 'token',
+    patterns: [
+      /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+      /\bBearer\s+(?<value>[A-Za-z0-9._~+/=-]{8,})/g,
+      /\b[\w.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key)[\w.-]*["']?\s*[:=]\s*["']?(?<value>(?!\[REDACTED)[^\s"',;]{4,})/gi
+    ]
+  },
+  {
+    name: 'email',
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g]
+  },
+  {
+    name: 'ip',
+    patterns: [
+      /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+      /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi,
+      // Compressed (`fe80::1`), with a digit so that paths of code such as
+      // `ab::cd` or `f32::EPSILON` are left as they are
+      /(?<![\w:])(?=[0-9a-f:]*\d)(?:[0-9a-f]{1,4}:){1,6}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,5})?(?![\w:(])/gi
+    ]
+  }
+]
+
+// Longest placeholder kept back while streaming, in case it is split
+const MAX_PLACEHOLDER_LENGTH = 64
+
+/**
+ * Function to get the redaction settings from the command-line options and
+ * the `redaction` section of the configuration.
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Object} options - The command-line options (`redact` and `showRedactions`).
+ * @returns {{enabled: boolean, reversible: boolean}} - Whether to redact the
+ *   input and prompt, and to restore the redacted values in the reply.
+ */
+export function getRedactionSettings(configData, options) {
+  const { enabled = false, reversible = false } = configData.redaction || {}
+  return {
+    enabled: Boolean(options.showRedactions || (options.redact ?? enabled)),
+    reversible: Boolean(reversible)
+  }
+}
+
+/**
+ * Function to create a redactor masking secrets and personal data.
+ * Each distinct value gets its own placeholder (e.g. `[REDACTED_EMAIL_1]`)
+ * so that the AI can still tell values apart; with `reversible`, the values
+ * are put back in place of the placeholders of the reply.
+ *
+ * The `redaction` section of the configuration can disable built-in rules
+ * (`disable: [ip]`) and add patterns (`patterns: { employee-id: 'EMP-\d{6}' }`).
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Object} [settings] - The `enabled` and `reversible` settings
+ *   (a disabled redactor leaves texts as they are).
+ * @returns {Object} - The redactor, with `redact`, `restore`, `redactValue`
+ *   and `restoreValue` (for the string leaves of JSON values), `restoreStream`
+ *   and `redactions`.
+ */
+export function createRedactor(
+  configData,
+  { enabled = true, reversible = false } = {}
+) {
+  const rules = enabled ? getRules(configData.redaction) : []
+  const placeholders = new Map() // value -> placeholder
+  const redactions = []
+
+  const getPlaceholder = (rule, value) => {
+    if (!placeholders.has(value)) {
+      const prefix = `REDACTED_${rule.toUpperCase().replace(/\W/g, '_')}`
+      const count = redactions.filter((item) => item.rule === rule).length
+      const placeholder = reversible
+        ? `[${prefix}_${count + 1}]`
+        : `[${prefix}]`
+      placeholders.set(value, placeholder)
+      redactions.push({ rule, value, placeholder })
+    }
+    return placeholders.get(value)
+  }
+
+  const redact = (text) => {
+    if (!text) return text
+    let redacted = text
+    for (const { name, patterns } of rules) {
+      for (const pattern of patterns) {
+        redacted = redacted.replace(pattern, (match, ...args) => {
+          const value = args.at(-1)?.value
+          if (!value) return getPlaceholder(name, match)
+          return match.replace(value, getPlaceholder(name, value))
+        })
+      }
+    }
+    return redacted
+  }
+
+  const restore = (text) => {
+    if (!reversible || !text) return text
+    return redactions.reduce(
+      (restored, { value, placeholder }) =>
+        restored.replaceAll(placeholder, value),
+      text
+    )
+  }
+
+  const redactValue = (value) => mapStrings(value, redact)
+  const restoreValue = (value) => mapStrings(value, restore)
+
+  async function* restoreStream(chunks) {
+    if (!reversible) {
+      yield* chunks
+      return
+    }
+
+    let pending = ''
+    for await (const chunk of chunks) {
+      pending += chunk
+      // Keep back what may be the beginning of a placeholder
+      const start = pending.lastIndexOf('[')
+      const end =
+        start !== -1 &&
+        !pending.includes(']', start) &&
+        pending.length - start < MAX_PLACEHOLDER_LENGTH
+          ? start
+          : pending.length
+      if (end > 0) yield restore(pending.slice(0, end))
+      pending = pending.slice(end)
+    }
+    if (pending) yield restore(pending)
+  }
+
+  return {
+    redact,
+    restore,
+    redactValue,
+    restoreValue,
+    restoreStream,
+    redactions
+  }
+}
+
+/**
+ * Function to apply a function to the strings of a JSON value.
+ *
+ * @param {*} value - The value.
+ * @param {Function} fn - The function applied to each string.
+ * @returns {*} - A copy of the value with the strings replaced.
+ */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value)
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)])
+    )
+  }
+  return value
+}
+
+/**
+ * Function to format the report of the redactions, values partly masked.
+ *
+ * @param {Object[]} redactions - The redactions as `{ rule, value, placeholder }` objects.
+ * @returns {string} - The report.
+ */
+export function formatRedactions(redactions) {
+  if (!redactions.length) {
+    return 'Nothing to redact.'
+  }
+
+  const lines = redactions.map(({ rule, value, placeholder }) => {
+    const preview = `${value.slice(0, 4)}… (${value.length} chars)`
+    return `${rule.padEnd(12)}  ${placeholder.padEnd(24)}  ${preview}`
+  })
+  return [...lines, `${redactions.length} value(s) redacted.`].join('\n')
+}
+
+/**
+ * Gets the rules to apply: the enabled built-in rules, then the patterns of
+ * the configuration.
+ *
+ * @param {Object} [redaction] - The `redaction` section of the configuration.
+ * @returns {Object[]} - The rules as `{ name, patterns }` objects.
+ * @throws {Error} - If a pattern is not a valid regular expression.
+ */
+function getRules({ disable = [], patterns = {} } = {}) {
+  const customRules = Object.entries(patterns).map(([name, source]) => {
+    try {
+      return { name, patterns: [new RegExp(source, 'g')] }
+    } catch (err) {
+      throw new Error(`Invalid redaction pattern '${name}': ${err.message}`)
+    }
+  })
+  return [
+    ...BUILT_IN_RULES.filter(({ name }) => !disable.includes(name)),
+    ...customRules
+  ]
+}
@@ -0,0 +1,200 @@
+// render.js
+
+import { stripVTControlCharacters } from 'util'
+import { Marked } from 'marked'
+import { markedTerminal } from 'marked-terminal'
+
+// Formats of the reply (--format)
+export const OUTPUT_FORMATS = ['raw', 'markdown', 'html', 'text']
+
+/**
+ * Function to get the format of the reply: the `--format` option, else
+ * Markdown rendered for the terminal when stdout is one, and the raw reply
+ * when it is piped or saved with -o.
+ *
+ * @param {string} [format] - The `--format` option.
+ * @param {string} [outputFile] - The output file (-o).
+ * @returns {string} - 'raw', 'markdown', 'html' or 'text'.
+ */
+export function getOutputFormat(format, outputFile) {
+  if (format) return format
+  return !outputFile && process.stdout.isTTY ? 'markdown' : 'raw'
+}
+
+/**
+ * Function to render a Markdown reply in a format:
+ *   - `raw`: the reply as it is.
+ *   - `markdown`: styled for the terminal (headings, lists, tables and
+ *     highlighted code blocks), wrapped to its width.
+ *   - `html`: an HTML document.
+ *   - `text`: plain text, without the Markdown syntax.
+ *
+ * @param {string} reply - The AI's reply.
+ * @param {string} format - The format.
+ * @param {Object} [options]
+ * @param {number} [options.width] - The width to wrap the text to (default: 80).
+ * @returns {string} - The rendered reply.
+ */
+export function renderReply(reply, format, { width = 80 } = {}) {
+  switch (format) {
+    case 'raw':
+      return reply
+
+    case 'markdown':
+      return new Marked(markedTerminal({ width, reflowText: true, tab: 2 }))
+        .parse(reply)
+        .replace(/\n+$/, '')
+
+    case 'html': {
+      const marked = new Marked()
+      const title =
+        marked.lexer(reply).find((token) => token.type === 'heading')?.text ||
+        'pipe-ai'
+      return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '</head>',
+        '<body>',
+        marked.parse(reply).trimEnd(),
+        '</body>',
+        '</html>'
+      ].join('\n')
+    }
+
+    case 'text':
+      return toPlainText(new Marked().lexer(reply))
+
+    default:
+      throw new Error(
+        `Unsupported format '${format}'. Supported formats are ${OUTPUT_FORMATS.map((name) => `'${name}'`).join(', ')}.`
+      )
+  }
+}
+
+/**
+ * Function to count the terminal rows a text takes, its long lines wrapping.
+ *
+ * @param {string} text - The text, possibly with ANSI escape codes.
+ * @param {number} [columns] - The width of the terminal (default: 80).
+ * @returns {number} - The number of rows.
+ */
+export function countRows(text, columns = 80) {
+  return text
+    .split('\n')
+    .reduce(
+      (rows, line) =>
+        rows +
+        Math.max(1, Math.ceil(stripVTControlCharacters(line).length / columns)),
+      0
+    )
+}
+
+/**
+ * Converts Markdown block tokens to plain text.
+ *
+ * @param {Object[]} tokens - The tokens of the `marked` lexer.
+ * @param {string} [separator] - What separates the blocks (a blank line).
+ * @returns {string} - The text.
+ */
+function toPlainText(tokens, separator = '\n\n') {
+  const blocks = []
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'space':
+      case 'hr':
+      case 'def':
+        break
+      case 'code':
+        blocks.push(token.text)
+        break
+      case 'heading':
+      case 'paragraph':
+        // Without the inline HTML, which may leave spaces around
+        blocks.push(toInlineText(token.tokens).trim())
+        break
+      case 'text':
+        blocks.push(token.tokens ? toInlineText(token.tokens) : token.text)
+        break
+      case 'blockquote':
+        blocks.push(toPlainText(token.tokens))
+        break
+      case 'list':
+        blocks.push(
+          token.items
+            .map((item, index) => {
+              const bullet = token.ordered
+                ? `${(token.start || 1) + index}.`
+                : '-'
+              // The lines of the item are aligned on its first one
+              const body = toPlainText(
+                item.tokens,
+                item.loose ? '\n\n' : '\n'
+              ).replace(/\n(?=.)/g, `\n${' '.repeat(bullet.length + 1)}`)
+              return `${bullet} ${body}`
+            })
+            .join('\n')
+        )
+        break
+      case 'table':
+        blocks.push(
+          [token.header, ...token.rows]
+            .map((cells) =>
+              cells.map((cell) => toInlineText(cell.tokens)).join(' | ')
+            )
+            .join('\n')
+        )
+        break
+      default:
+        blocks.push(token.raw.trim())
+    }
+  }
+  return blocks.filter(Boolean).join(separator)
+}
+
+/**
+ * Converts Markdown inline tokens to plain text.
+ *
+ * @param {Object[]} tokens - The inline tokens of the `marked` lexer.
+ * @returns {string} - The text.
+ */
+function toInlineText(tokens = []) {
+  return tokens
+    .map((token) => {
+      switch (token.type) {
+        case 'strong':
+        case 'em':
+        case 'del':
+          return toInlineText(token.tokens)
+        case 'link': {
+          const text = toInlineText(token.tokens)
+          return text === token.href ? text : `${text} (${token.href})`
+        }
+        case 'br':
+          return '\n'
+        case 'html':
+          return ''
+        case 'text':
+          return token.tokens ? toInlineText(token.tokens) : token.text
+        default:
+          // Code spans, images (their alternative text) and escapes
+          return token.text ?? token.raw
+      }
+    })
+    .join('')
+}
+
+/**
+ * Escapes the HTML special characters of a text.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+  return text.replace(
+    /[&<>"]/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]
+  )
+}
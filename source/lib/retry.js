@@ -0,0 +1,265 @@
+// retry.js
+
+import { parseDuration } from './cache.js'
+
+// Calls are retried twice, after 1s then 2s (plus jitter), unless the
+// `retry` section of the configuration says otherwise
+const DEFAULT_RETRY = { maxRetries: 2, delay: '1s', maxDelay: '30s' }
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 409, 425, 429]
+
+// Network errors worth retrying
+const RETRYABLE_CODES = [
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]
+
+/**
+ * Error thrown when a call takes longer than the `timeout` of the configuration.
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {number} timeout - The timeout, in seconds.
+   */
+  constructor(timeout) {
+    super(`The AI did not respond within ${timeout} seconds.`)
+    this.name = 'TimeoutError'
+    this.timeout = timeout
+  }
+}
+
+/**
+ * Function to get the retry settings from the `retry` section and the
+ * `timeout` of the configuration. Durations are in seconds, or with a unit
+ * (e.g. `0.5`, `30s` or `2m`).
+ *
+ * @param {Object} configData - The configuration data.
+ * @returns {{maxRetries: number, delay: number, maxDelay: number, timeout: number|undefined}}
+ *   - The number of retries, the first and maximum delays between attempts,
+ *   and the timeout of each attempt, in seconds.
+ */
+export function getRetrySettings(configData) {
+  const { maxRetries, delay, maxDelay } = {
+    ...DEFAULT_RETRY,
+    ...configData.retry
+  }
+  return {
+    maxRetries,
+    delay: parseDuration(delay),
+    maxDelay: parseDuration(maxDelay),
+    timeout:
+      configData.timeout !== undefined
+        ? parseDuration(configData.timeout)
+        : undefined
+  }
+}
+
+/**
+ * Function to tell whether a failed call is worth retrying: timeouts, rate
+ * limits, server errors and network errors. The error or its causes may hold
+ * the HTTP `status` (as the errors of the OpenAI and Anthropic clients).
+ *
+ * @param {Error} err - The error.
+ * @returns {boolean} - Whether to retry.
+ */
+export function isRetryableError(err) {
+  for (let error = err; error; error = error.cause) {
+    if (error instanceof TimeoutError) return true
+    if (typeof error.status === 'number') {
+      return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500
+    }
+    if (
+      RETRYABLE_CODES.includes(error.code) ||
+      /^APIConnection(Timeout)?Error$/.test(error.name)
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Function to get the delay before the next attempt: the `Retry-After` the
+ * server asked for, or else an exponential backoff with jitter.
+ *
+ * @param {Error} err - The error of the failed attempt.
+ * @param {number} attempt - The number of the failed attempt (from 1).
+ * @param {Object} settings - The retry settings.
+ * @returns {number} - The delay, in seconds.
+ */
+export function getRetryDelay(err, attempt, { delay, maxDelay }) {
+  const retryAfter = getRetryAfter(err)
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter, maxDelay)
+  }
+
+  // Between half and all of the exponential delay, so that parallel calls
+  // (e.g. chunks) don't retry all at once
+  const backoff = Math.min(delay * 2 ** (attempt - 1), maxDelay)
+  return backoff * (0.5 + Math.random() / 2)
+}
+
+/**
+ * Function to run a call, retrying it when it fails with a retryable error.
+ * Each attempt has its own abort signal, aborted when the attempt times out
+ * or when the `signal` of the settings is.
+ *
+ * @param {Function} call - Called with the attempt number (from 1) and the
+ *   abort signal of the attempt, returns a promise.
+ * @param {Object} settings - The retry settings, with the `signal` cancelling
+ *   the retries when aborted.
+ * @param {Function} [onRetry] - Called with `{ attempt, maxAttempts, error, delay }`
+ *   before each retry.
+ * @returns {Promise<*>} - The result of the call.
+ */
+export async function withRetry(call, settings, onRetry = () => {}) {
+  const maxAttempts = settings.maxRetries + 1
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController()
+    try {
+      return await withTimeout(
+        call(attempt, linkSignals(controller.signal, settings.signal)),
+        settings.timeout,
+        controller
+      )
+    } catch (error) {
+      if (
+        attempt >= maxAttempts ||
+        settings.signal?.aborted ||
+        !isRetryableError(error)
+      ) {
+        throw error
+      }
+
+      const delay = getRetryDelay(error, attempt, settings)
+      onRetry({ attempt: attempt + 1, maxAttempts, error, delay })
+      await sleep(delay, settings.signal)
+    }
+  }
+}
+
+/**
+ * Function to fail a promise taking longer than a timeout.
+ *
+ * @param {Promise} promise - The promise.
+ * @param {number} [timeout] - The timeout, in seconds (none when undefined).
+ * @param {AbortController} [controller] - Aborted on timeout, to cancel the
+ *   call behind the promise.
+ * @returns {Promise} - The result of the promise.
+ * @throws {TimeoutError} - If the promise is not settled in time.
+ */
+export async function withTimeout(promise, timeout, controller) {
+  if (timeout === undefined) return promise
+
+  let timer
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new TimeoutError(timeout)
+          controller?.abort(error)
+          reject(error)
+        }, timeout * 1000)
+      })
+    ])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Function to fail a stream waiting longer than a timeout for its first or
+ * next chunk.
+ *
+ * @param {AsyncIterable} stream - The stream.
+ * @param {number} [timeout] - The timeout, in seconds (none when undefined).
+ * @param {AbortController} [controller] - Aborted on timeout, to cancel the
+ *   call behind the stream.
+ * @returns {AsyncGenerator} - The chunks of the stream.
+ * @throws {TimeoutError} - If a chunk does not come in time.
+ */
+export async function* withStreamTimeout(stream, timeout, controller) {
+  if (timeout === undefined) {
+    yield* stream
+    return
+  }
+
+  const iterator = stream[Symbol.asyncIterator]()
+  try {
+    for (;;) {
+      const { value, done } = await withTimeout(
+        iterator.next(),
+        timeout,
+        controller
+      )
+      if (done) return
+      yield value
+    }
+  } finally {
+    // Don't wait for a stream which timed out to end
+    iterator.return?.().catch(() => {})
+  }
+}
+
+/**
+ * Function to wait for some time.
+ *
+ * @param {number} seconds - The delay, in seconds.
+ * @param {AbortSignal} [signal] - Cancels the wait when aborted.
+ * @returns {Promise<void>}
+ */
+export function sleep(seconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const timer = setTimeout(resolve, seconds * 1000)
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      },
+      { once: true }
+    )
+  })
+}
+
+/**
+ * Function to get a signal aborted when any of the given signals is.
+ *
+ * @param {...AbortSignal} signals - The signals (undefined ones are ignored).
+ * @returns {AbortSignal} - The linked signal.
+ */
+export function linkSignals(...signals) {
+  const defined = signals.filter(Boolean)
+  return defined.length === 1 ? defined[0] : AbortSignal.any(defined)
+}
+
+/**
+ * Gets the `Retry-After` of a failed call, from the headers of the error or
+ * of its causes (in seconds or as an HTTP date).
+ *
+ * @param {Error} err - The error.
+ * @returns {number|undefined} - The delay asked for, in seconds.
+ */
+function getRetryAfter(err) {
+  for (let error = err; error; error = error.cause) {
+    const headers = error.headers
+    const value =
+      typeof headers?.get === 'function'
+        ? headers.get('retry-after')
+        : headers?.['retry-after']
+    if (value === undefined || value === null) continue
+
+    const seconds = Number(value)
+    if (!isNaN(seconds)) return Math.max(seconds, 0)
+    const date = Date.parse(value)
+    if (!isNaN(date)) return Math.max((date - Date.now()) / 1000, 0)
+  }
+  return undefined
+}
@@ -0,0 +1,161 @@
+// structured.js
+
+import fs from 'fs'
+import path from 'path'
+import yaml from 'js-yaml'
+import Ajv from 'ajv'
+import Ajv2020 from 'ajv/dist/2020.js'
+
+// Exit code when the reply never validates (EX_DATAERR from sysexits.h)
+export const INVALID_JSON_EXIT_CODE = 65
+
+/**
+ * Error thrown when the AI's reply is not valid JSON or does not match the schema.
+ */
+export class JsonValidationError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {string[]} errors - The validation errors of the last reply.
+   * @param {string} reply - The last reply.
+   */
+  constructor(message, errors, reply) {
+    super(message)
+    this.name = 'JsonValidationError'
+    this.errors = errors
+    this.reply = reply
+    this.exitCode = INVALID_JSON_EXIT_CODE
+  }
+}
+
+/**
+ * Function to load a JSON Schema from a file (JSON or YAML), or return an
+ * inline schema as is.
+ *
+ * @param {string|Object} source - The schema file path, or the schema itself.
+ * @returns {Object} - The JSON Schema.
+ * @throws {Error} - If the file can't be read or the schema is not valid.
+ */
+export function loadSchema(source) {
+  let schema = source
+  if (typeof source === 'string') {
+    try {
+      schema = yaml.load(fs.readFileSync(source, 'utf8'))
+    } catch (err) {
+      throw new Error(
+        `Unable to read the JSON Schema '${source}': ${err.message}`
+      )
+    }
+  }
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('The JSON Schema must be an object.')
+  }
+
+  // Compile once to report schema errors before anything is sent
+  compileSchema(schema)
+  return schema
+}
+
+/**
+ * Function to tell whether a JSON reply is asked for, and the JSON Schema it
+ * must match: from the options (`--json` and `--schema`), then the front
+ * matter of the pre-prompt (`format: json` and `schema`), then the `json`
+ * section of the configuration. The schema file of the front matter is
+ * relative to the pre-prompt file, the others to the current directory.
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {Object} [prePromptFile] - The pre-prompt, from `loadPrePrompt`.
+ * @param {Object} [options] - The `json` and `schema` options.
+ * @returns {{enabled: boolean, schema: (Object|undefined)}} - The settings.
+ * @throws {Error} - If the schema can't be loaded.
+ */
+export function getJsonSettings(configData, prePromptFile, options = {}) {
+  const promptAttributes = prePromptFile?.attributes || {}
+  let promptSchema = promptAttributes.schema
+  if (typeof promptSchema === 'string' && prePromptFile.path) {
+    promptSchema = path.resolve(path.dirname(prePromptFile.path), promptSchema)
+  }
+
+  const source = options.schema || promptSchema || configData.json?.schema
+  const schema = source ? loadSchema(source) : undefined
+  return {
+    enabled: Boolean(
+      options.json || schema || promptAttributes.format === 'json'
+    ),
+    schema
+  }
+}
+
+/**
+ * Function to get the instructions asking the AI for a JSON reply.
+ *
+ * @param {Object} [schema] - The JSON Schema the reply must match.
+ * @returns {string} - The instructions appended to the prompt.
+ */
+export function getJsonInstructions(schema) {
+  if (!schema) {
+    return 'Reply with a valid JSON value only, without any explanation or code fence.'
+  }
+  return `Reply with a valid JSON value only, without any explanation or code fence, matching this JSON Schema:\n\n${JSON.stringify(schema, null, 2)}`
+}
+
+/**
+ * Function to parse a JSON reply and validate it against a schema.
+ * Code fences around the JSON are tolerated.
+ *
+ * @param {string} reply - The AI's reply.
+ * @param {Object} [schema] - The JSON Schema the reply must match.
+ * @returns {{value: *, errors: string[]}} - The parsed value and the validation errors (empty when valid).
+ */
+export function validateJsonReply(reply, schema) {
+  const text = String(reply)
+    .trim()
+    .replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1')
+
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (err) {
+    return {
+      value: undefined,
+      errors: [`The reply is not valid JSON: ${err.message}`]
+    }
+  }
+
+  if (!schema) {
+    return { value, errors: [] }
+  }
+  const validate = compileSchema(schema)
+  if (validate(value)) {
+    return { value, errors: [] }
+  }
+  const errors = validate.errors.map(
+    ({ instancePath, message }) => `${instancePath || '/'} ${message}`
+  )
+  return { value, errors }
+}
+
+/**
+ * Function to get the message asking the AI to fix its reply.
+ *
+ * @param {string[]} errors - The validation errors.
+ * @returns {string} - The repair prompt.
+ */
+export function getRepairPrompt(errors) {
+  return `Your reply is not valid:\n${errors.map((error) => `- ${error}`).join('\n')}\n\nReply again with the corrected JSON only.`
+}
+
+/**
+ * Compiles a JSON Schema with the validator of its draft (2020-12 or draft-07).
+ *
+ * @param {Object} schema - The JSON Schema.
+ * @returns {Function} - The validate function.
+ * @throws {Error} - If the schema is not valid.
+ */
+function compileSchema(schema) {
+  const Validator = /2020-12/.test(schema.$schema || '') ? Ajv2020 : Ajv
+  try {
+    return new Validator({ allErrors: true, strict: false }).compile(schema)
+  } catch (err) {
+    throw new Error(`Invalid JSON Schema: ${err.message}`)
+  }
+}
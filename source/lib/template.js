@@ -0,0 +1,161 @@
+// template.js
+
+import yaml from 'js-yaml'
+
+// Front matter keys which override the configuration's request options
+const REQUEST_OPTION_KEYS = ['model', 'temperature', 'max_tokens', 'top_p']
+
+// Matches `{{name}}`, `{{ name }}` and `{{env.NAME}}` placeholders
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]+)\s*\}\}/g
+
+/**
+ * Function to parse a prompt file with an optional YAML front matter.
+ *
+ * @param {string} content - The content of the prompt file.
+ * @returns {{attributes: Object, body: string}} - The front matter attributes and the body.
+ * @throws {Error} - If the front matter is not valid YAML.
+ */
+export function parsePrompt(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/)
+  if (!match) {
+    return { attributes: {}, body: content }
+  }
+
+  let attributes
+  try {
+    attributes = yaml.load(match[1]) || {}
+  } catch (err) {
+    throw new Error(`Invalid front matter in prompt: ${err.message}`)
+  }
+  return { attributes, body: match[2] }
+}
+
+/**
+ * Function to get the request options defined in the front matter.
+ * Known keys (model, temperature, ...) are picked along with the
+ * `requestOptions` map for any other provider-specific option.
+ *
+ * @param {Object} attributes - The front matter attributes.
+ * @returns {Object} - The request options.
+ */
+export function getRequestOptions(attributes) {
+  const requestOptions = { ...attributes.requestOptions }
+  for (const key of REQUEST_OPTION_KEYS) {
+    if (attributes[key] !== undefined) requestOptions[key] = attributes[key]
+  }
+  return requestOptions
+}
+
+/**
+ * Function to get the names of the placeholders used in a template.
+ *
+ * @param {string} body - The template body.
+ * @returns {string[]} - The unique placeholder names.
+ */
+export function getPlaceholders(body) {
+  const names = [...body.matchAll(PLACEHOLDER_REGEX)].map((match) => match[1])
+  return [...new Set(names)]
+}
+
+/**
+ * Function to render a template by replacing its placeholders.
+ * `{{env.NAME}}` placeholders are read from the `env` variable.
+ *
+ * @param {string} body - The template body.
+ * @param {Object} variables - The variables values.
+ * @param {Object|string[]} [declared] - The variables declared in the front matter,
+ *   either a list of names or a map of name to `{ description, default }`.
+ * @returns {string} - The rendered template.
+ * @throws {Error} - If some required variables are missing, listing all of them.
+ */
+export function renderTemplate(body, variables, declared = {}) {
+  const declarations = normalizeDeclarations(declared)
+  const values = {}
+  const missing = []
+
+  for (const name of [
+    ...new Set([...Object.keys(declarations), ...getPlaceholders(body)])
+  ]) {
+    const value = getVariable(variables, name) ?? declarations[name]?.default
+    if (value === undefined) {
+      missing.push(name)
+    } else {
+      values[name] =
+        typeof value === 'object' ? JSON.stringify(value) : String(value)
+    }
+  }
+
+  if (missing.length) {
+    const lines = missing.map((name) => {
+      const description = name.startsWith('env.')
+        ? 'environment variable'
+        : declarations[name]?.description
+      return `  - ${name}${description ? `: ${description}` : ''}`
+    })
+    throw new Error(
+      `Missing required prompt variables:\n${lines.join('\n')}\nProvide them with --var name=value.`
+    )
+  }
+
+  return body.replace(PLACEHOLDER_REGEX, (placeholder, name) => values[name])
+}
+
+/**
+ * Commander option parser collecting repeated `--var name=value` options.
+ *
+ * @param {string} value - The `name=value` option value.
+ * @param {Object} previous - The variables collected so far.
+ * @returns {Object} - The variables including the new one.
+ */
+export function collectVariable(value, previous) {
+  const index = value.indexOf('=')
+  if (index <= 0) {
+    throw new Error(`Invalid variable '${value}', expected name=value.`)
+  }
+  return { ...previous, [value.slice(0, index)]: value.slice(index + 1) }
+}
+
+/**
+ * Gets the value of a variable, resolving `env.NAME` names and the fields
+ * of object variables.
+ *
+ * @param {Object} variables - The variables values.
+ * @param {string} name - The variable name.
+ * @returns {*} - The value, or undefined if not set.
+ */
+function getVariable(variables, name) {
+  if (name.startsWith('env.')) {
+    return variables.env?.[name.slice('env.'.length)]
+  }
+  if (name in variables || !name.includes('.')) {
+    return variables[name]
+  }
+  // `record.title` reads the `title` field of the `record` variable
+  return name
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === 'object' ? value[key] : undefined,
+      variables
+    )
+}
+
+/**
+ * Normalizes the declared variables to a map of name to declaration.
+ *
+ * @param {Object|string[]} declared - The declared variables.
+ * @returns {Object} - The declarations by name.
+ */
+function normalizeDeclarations(declared) {
+  if (Array.isArray(declared)) {
+    return Object.fromEntries(declared.map((name) => [name, {}]))
+  }
+  return Object.fromEntries(
+    Object.entries(declared || {}).map(([name, declaration]) => [
+      name,
+      declaration === null || typeof declaration === 'object'
+        ? declaration || {}
+        : { default: declaration }
+    ])
+  )
+}
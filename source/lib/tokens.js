@@ -0,0 +1,89 @@
+// tokens.js
+
+import { ConfigurationError } from './config.js'
+
+// Approximate context window and characters per token of known model
+// families, and the most they reply when `max_tokens` is not set
+const MODEL_PROFILES = [
+  {
+    pattern: /^(gpt-4o|gpt-4\.1|gpt-4-turbo|o1|o3)/,
+    contextWindow: 128000,
+    maxOutputTokens: 16384
+  },
+  { pattern: /^gpt-4/, contextWindow: 8192, maxOutputTokens: 4096 },
+  { pattern: /^gpt-3\.5/, contextWindow: 16385, maxOutputTokens: 4096 },
+  { pattern: /^claude/, contextWindow: 200000, charsPerToken: 3.5 },
+  { pattern: /llama|mistral|qwen|gemma|phi/, contextWindow: 8192 }
+]
+
+// Profile of the other models (the Claude provider sends `max_tokens: 1024`
+// unless it is set)
+const DEFAULT_PROFILE = {
+  contextWindow: 128000,
+  charsPerToken: 4,
+  maxOutputTokens: 1024
+}
+
+// Tokens kept for the prompt and the message formatting
+const PROMPT_MARGIN = 1000
+
+/**
+ * Function to get the profile (context window, characters per token) of a model.
+ *
+ * @param {string} [model] - The model name.
+ * @returns {{contextWindow: number, charsPerToken: number, maxOutputTokens: number}} - The model profile.
+ */
+export function getModelProfile(model = '') {
+  const profile = MODEL_PROFILES.find(({ pattern }) => pattern.test(model))
+  return { ...DEFAULT_PROFILE, ...profile }
+}
+
+/**
+ * Function to estimate the number of tokens of a text for a model.
+ * This is a character based estimate, not an exact tokenization.
+ *
+ * @param {string} text - The text.
+ * @param {string} [model] - The model name.
+ * @returns {number} - The estimated number of tokens.
+ */
+export function estimateTokens(text, model) {
+  return Math.ceil((text || '').length / getModelProfile(model).charsPerToken)
+}
+
+/**
+ * Function to get the most tokens a request may reply: the `max_tokens`
+ * request option, or else the default output limit of the model.
+ *
+ * @param {Object} configData - The configuration data.
+ * @returns {number} - The maximum number of output tokens.
+ */
+export function getOutputLimit(configData) {
+  const { model, max_tokens } = configData.defaultRequestOptions || {}
+  return max_tokens || getModelProfile(model).maxOutputTokens
+}
+
+/**
+ * Function to get the maximum number of input tokens of a request.
+ * It is `chunking.maxInputTokens` from the configuration, or else the context
+ * window of the model minus the tokens reserved for the reply and the prompt.
+ *
+ * @param {Object} configData - The configuration data.
+ * @returns {number} - The input token budget.
+ * @throws {ConfigurationError} - If `max_tokens` leaves no room for the input.
+ */
+export function getInputBudget(configData) {
+  if (configData.chunking?.maxInputTokens) {
+    return configData.chunking.maxInputTokens
+  }
+
+  const model = configData.defaultRequestOptions?.model
+  const { contextWindow } = getModelProfile(model)
+  const maxOutputTokens = getOutputLimit(configData)
+  const budget = contextWindow - maxOutputTokens - PROMPT_MARGIN
+  if (budget <= 0) {
+    throw new ConfigurationError(
+      `max_tokens ${maxOutputTokens} leaves no room for the input in the ${contextWindow} token context of model '${model}', set a lower max_tokens or chunking.maxInputTokens.`
+    )
+  }
+  return budget
+}
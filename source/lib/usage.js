@@ -0,0 +1,261 @@
+// usage.js
+
+import { getOutputLimit } from './tokens.js'
+
+// Exit code when a call would go over budget (EX_TEMPFAIL from sysexits.h,
+// budgets are renewed every day and month)
+export const BUDGET_EXCEEDED_EXIT_CODE = 75
+
+/**
+ * Error thrown when a call would exceed --max-cost or a spending cap.
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message)
+    this.name = 'BudgetExceededError'
+    this.exitCode = BUDGET_EXCEEDED_EXIT_CODE
+  }
+}
+
+/**
+ * Function to wrap a provider module so that the token usage and latency of
+ * its calls are recorded, whoever makes them (JSON repairs, chunks, ...).
+ *
+ * @param {Object} providerModule - The provider module.
+ * @returns {{providerModule: Object, takeUsage: Function}} - The wrapped
+ *   module, and a function returning the usage recorded since its last call
+ *   (`null` when no call was made).
+ */
+export function createUsageMeter(providerModule) {
+  let calls = []
+
+  const track = (options) => {
+    const call = { inputTokens: 0, outputTokens: 0, start: Date.now() }
+    calls.push(call)
+    return {
+      options: {
+        ...options,
+        onUsage: (usage) => {
+          Object.assign(call, usage)
+          options.onUsage?.(usage)
+        }
+      },
+      end: () => {
+        call.latencyMs = Date.now() - call.start
+      }
+    }
+  }
+
+  const metered = {
+    ...providerModule,
+    async getAIResponse(configData, messages, options = {}) {
+      const call = track(options)
+      try {
+        return await providerModule.getAIResponse(
+          configData,
+          messages,
+          call.options
+        )
+      } finally {
+        call.end()
+      }
+    }
+  }
+  if (providerModule.streamAIResponse) {
+    metered.streamAIResponse = async function* (
+      configData,
+      messages,
+      options = {}
+    ) {
+      const call = track(options)
+      try {
+        yield* providerModule.streamAIResponse(
+          configData,
+          messages,
+          call.options
+        )
+      } finally {
+        call.end()
+      }
+    }
+  }
+
+  const takeUsage = () => {
+    if (!calls.length) return null
+    const usage = calls.reduce(
+      (total, call) => ({
+        calls: total.calls + 1,
+        inputTokens: total.inputTokens + call.inputTokens,
+        outputTokens: total.outputTokens + call.outputTokens,
+        latencyMs: total.latencyMs + (call.latencyMs ?? Date.now() - call.start)
+      }),
+      { calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0 }
+    )
+    calls = []
+    return usage
+  }
+
+  return { providerModule: metered, takeUsage }
+}
+
+/**
+ * Function to get the cost of some token usage from the `pricing` rate table
+ * of the configuration, in currency units per million tokens:
+ *
+ *   pricing:
+ *     gpt-4o: { input: 2.5, output: 10 }
+ *
+ * @param {Object} configData - The configuration data.
+ * @param {{inputTokens: number, outputTokens: number}} usage - The token usage.
+ * @returns {number|undefined} - The cost, undefined if the model has no rates.
+ */
+export function getCost(configData, { inputTokens, outputTokens }) {
+  const rates = getRates(configData)
+  if (!rates) return undefined
+  return (
+    (inputTokens * (rates.input || 0) + outputTokens * (rates.output || 0)) /
+    1e6
+  )
+}
+
+/**
+ * Function to save the usage of an interaction with its cost.
+ *
+ * @param {Brain} brain - The Brain instance.
+ * @param {Object} usage - The usage, from `takeUsage` of the usage meter.
+ * @param {Object} params
+ * @param {Object} params.configData - The configuration data.
+ * @param {string} [params.conversationId] - The conversation of the interaction.
+ * @param {string} [params.promptName] - The name of the pre-prompt.
+ * @returns {Promise<number|undefined>} - The cost, undefined if the model has no rates.
+ */
+export async function saveUsage(
+  brain,
+  usage,
+  { configData, conversationId, promptName }
+) {
+  const cost = getCost(configData, usage)
+  await brain.saveUsage({
+    conversationId,
+    provider: configData.provider,
+    model: configData.defaultRequestOptions?.model,
+    promptName,
+    ...usage,
+    cost
+  })
+  return cost
+}
+
+/**
+ * Function to check that a call fits in `--max-cost` and in the `budget`
+ * (`daily` and `monthly` spending caps) of the configuration, before it is
+ * sent. The cost of the call is estimated from its input tokens and the
+ * most it may reply: the `max_tokens` request option, or else the default
+ * output limit of the model.
+ *
+ * @param {Object} params
+ * @param {Object} params.configData - The configuration data.
+ * @param {number} params.inputTokens - The estimated input tokens of the call.
+ * @param {number} [params.maxCost] - The maximum cost of the call (`--max-cost`).
+ * @param {Brain} [params.brain] - The Brain instance holding the past usage.
+ * @throws {BudgetExceededError} - If the call would go over a budget.
+ * @throws {Error} - If --max-cost or a budget is given for a model without rates.
+ */
+export async function checkBudget({ configData, inputTokens, maxCost, brain }) {
+  const { daily, monthly } = configData.budget || {}
+  if (maxCost === undefined && daily === undefined && monthly === undefined) {
+    return
+  }
+
+  const model = configData.defaultRequestOptions?.model
+  const estimate = getCost(configData, {
+    inputTokens,
+    outputTokens: getOutputLimit(configData)
+  })
+  if (estimate === undefined) {
+    throw new Error(
+      `No rates for model '${model}' in the 'pricing' section of the configuration, unable to check ${maxCost !== undefined ? '--max-cost' : 'the budget'}.`
+    )
+  }
+
+  if (maxCost !== undefined && estimate > maxCost) {
+    throw new BudgetExceededError(
+      `The call may cost up to ${formatCost(estimate)}, over --max-cost ${formatCost(maxCost)}.`
+    )
+  }
+
+  for (const { name, cap, since } of getBudgetPeriods(configData.budget)) {
+    const spent = brain ? await brain.getSpending(since) : 0
+    if (spent + estimate > cap) {
+      throw new BudgetExceededError(
+        `The call may cost up to ${formatCost(estimate)}, over the ${name} budget: ${formatCost(spent)} of ${formatCost(cap)} spent.`
+      )
+    }
+  }
+}
+
+/**
+ * Function to get the periods of the spending caps of the `budget` section of
+ * the configuration: the current day and month, in local time.
+ *
+ * @param {Object} [budget] - The `budget` section of the configuration.
+ * @returns {Object[]} - The periods with a cap, as `{ name, cap, since }`
+ *   objects (`since` being an ISO date).
+ */
+export function getBudgetPeriods({ daily, monthly } = {}) {
+  const now = new Date()
+  return [
+    {
+      name: 'daily',
+      cap: daily,
+      since: new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    },
+    {
+      name: 'monthly',
+      cap: monthly,
+      since: new Date(now.getFullYear(), now.getMonth(), 1)
+    }
+  ]
+    .filter(({ cap }) => cap !== undefined)
+    .map((period) => ({ ...period, since: period.since.toISOString() }))
+}
+
+/**
+ * Function to parse a cost such as `0.05` or `$0.05`.
+ *
+ * @param {string} value - The cost.
+ * @returns {number} - The cost.
+ * @throws {Error} - If the cost is not valid.
+ */
+export function parseCost(value) {
+  const match = /^\$?(\d+(?:\.\d+)?)$/.exec(String(value).trim())
+  if (!match) {
+    throw new Error(`Invalid cost '${value}', use e.g. 0.05 or $0.05.`)
+  }
+  return parseFloat(match[1])
+}
+
+/**
+ * Function to format a cost for display.
+ *
+ * @param {number} [cost] - The cost.
+ * @returns {string} - The formatted cost, `-` when unknown.
+ */
+export function formatCost(cost) {
+  if (cost === undefined || cost === null) return '-'
+  return `$${cost.toFixed(cost && cost < 0.01 ? 4 : 2)}`
+}
+
+/**
+ * Gets the rates of the model of the configuration.
+ *
+ * @param {Object} configData - The configuration data.
+ * @returns {{input: number, output: number}|undefined} - The rates per million tokens.
+ */
+function getRates(configData) {
+  const model = configData.defaultRequestOptions?.model
+  return model ? configData.pricing?.[model] : undefined
+}
@@ -4,46 +4,34 @@ import fs from 'fs'
 import os from 'os'
 import path from 'path'
 import ora from 'ora'
+import { InvalidArgumentError } from 'commander'
 import { fileURLToPath } from 'url'
+import { CancelledError } from './cancel.js'
 
 /**
- * Function to load a file based on its type ('config' or 'prompt').
+ * Function to load a file based on its type ('config', 'prompt' or 'pipeline').
  * It searches in user-specific directories first, then in the installation directories.
  *
  * @param {string} identifier - The name or path of the file to load.
- * @param {string} type - The type of file ('config' or 'prompt').
+ * @param {string} type - The type of file ('config', 'prompt' or 'pipeline').
  * @returns {string} - The content of the loaded file.
  * @throws {Error} - If the file is not found in any of the search directories.
  */
 export function loadFile(identifier, type) {
-  // Derive __dirname equivalent in ES modules
-  const __dirname = getDirname(import.meta.url)
-
-  // Define the root directory as the parent of `source/lib`
-  const rootDir = path.resolve(__dirname, '../..')
-
-  // Define configuration for each file type
-  const FILE_TYPES = {
-    config: {
-      userDir: path.join(os.homedir(), '.config', 'pipe-ai'),
-      installDir: path.join(rootDir, 'config'),
-      extension: '.yaml'
-    },
-    prompt: {
-      userDir: path.join(os.homedir(), '.config', 'pipe-ai', 'prompts'),
-      installDir: path.join(rootDir, 'prompts'),
-      extension: '.txt'
-    }
-  }
-
-  // Ensure the provided type is supported
-  if (!FILE_TYPES[type]) {
-    throw new Error(
-      `Unsupported file type: '${type}'. Supported types are 'config' and 'prompt'.`
-    )
-  }
+  // Read and return the file content
+  return fs.readFileSync(resolveFile(identifier, type), 'utf8')
+}
 
-  const { userDir, installDir, extension } = FILE_TYPES[type]
+/**
+ * Function to find a file based on its type ('config', 'prompt' or 'pipeline'), as `loadFile` does.
+ *
+ * @param {string} identifier - The name or path of the file.
+ * @param {string} type - The type of file ('config', 'prompt' or 'pipeline').
+ * @returns {string} - The absolute path of the file.
+ * @throws {Error} - If the file is not found in any of the search directories.
+ */
+export function resolveFile(identifier, type) {
+  const { userDir, installDir, extension } = getFileType(type)
   let filePath = ''
 
   // Check if the identifier is a valid file path
@@ -71,13 +59,10 @@ export function loadFile(identifier, type) {
 
   // If the file wasn't found, throw an error with detailed message
   if (!filePath) {
-    const searchDirs =
-      type === 'config'
-        ? [FILE_TYPES[type].userDir, FILE_TYPES[type].installDir]
-        : [FILE_TYPES[type].userDir, FILE_TYPES[type].installDir]
+    const searchDirs = [userDir, installDir]
 
     const searchedDirs = searchDirs.map((dir) => `"${dir}"`).join('\n')
-    const fileTypeName = type === 'config' ? 'configuration' : 'prompt'
+    const fileTypeName = type === 'config' ? 'configuration' : type
 
     let message = `Unable to find the ${fileTypeName} file "${identifier}".`
     message += `\nSearched the following directories in order:\n${searchedDirs}`
@@ -85,32 +70,144 @@ export function loadFile(identifier, type) {
     throw new Error(message)
   }
 
-  // Read and return the file content
-  return fs.readFileSync(filePath, 'utf8')
+  return filePath
+}
+
+/**
+ * Function to get where files of a type ('config', 'prompt' or 'pipeline') are searched.
+ *
+ * @param {string} type - The type of file ('config', 'prompt' or 'pipeline').
+ * @returns {{userDir: string, installDir: string, extension: string}} - The
+ *   user directory (searched first), the installation directory and the file extension.
+ * @throws {Error} - If the type is not supported.
+ */
+export function getFileType(type) {
+  // Derive __dirname equivalent in ES modules
+  const __dirname = getDirname(import.meta.url)
+
+  // Define the root directory as the parent of `source/lib`
+  const rootDir = path.resolve(__dirname, '../..')
+
+  // Define configuration for each file type
+  const FILE_TYPES = {
+    config: {
+      userDir: path.join(os.homedir(), '.config', 'pipe-ai'),
+      installDir: path.join(rootDir, 'config'),
+      extension: '.yaml'
+    },
+    prompt: {
+      userDir: path.join(os.homedir(), '.config', 'pipe-ai', 'prompts'),
+      installDir: path.join(rootDir, 'prompts'),
+      extension: '.txt'
+    },
+    pipeline: {
+      userDir: path.join(os.homedir(), '.config', 'pipe-ai', 'pipelines'),
+      installDir: path.join(rootDir, 'pipelines'),
+      extension: '.yaml'
+    }
+  }
+
+  // Ensure the provided type is supported
+  if (!FILE_TYPES[type]) {
+    throw new Error(
+      `Unsupported file type: '${type}'. Supported types are 'config', 'prompt' and 'pipeline'.`
+    )
+  }
+
+  return FILE_TYPES[type]
 }
 
 /**
  * Wraps a promise with an Ora spinner.
- * @param {Promise} promise - The promise to wrap.
+ * @param {Promise|Function} promise - The promise to wrap, or a function
+ *   receiving the spinner (e.g. to update its text) and the function starting
+ *   it, and returning the promise.
  * @param {Object} options - Spinner options.
  * @param {string} options.text - Text to display with the spinner.
  * @param {string} options.spinner - Spinner type.
+ * @param {boolean} [options.lazy] - Whether the spinner is only shown once
+ *   started by the function (e.g. not for a cached reply).
  * @returns {Promise} - The original promise.
  */
 export function withSpinner(promise, options) {
-  const spinner = ora(options).start()
+  const { spinner, start, isStarted } = createSpinner(options)
+  if (typeof promise === 'function') {
+    promise = promise(spinner, start)
+  }
 
   return promise
     .then((result) => {
-      spinner.succeed('Operation completed successfully.')
+      if (isStarted()) spinner.succeed('Operation completed successfully.')
       return result
     })
     .catch((error) => {
-      spinner.fail('Operation failed.')
+      if (isStarted()) stopSpinner(spinner, error)
       throw error
     })
 }
 
+/**
+ * Wraps an async iterable with an Ora spinner which stops on the first chunk.
+ * @param {AsyncIterable|Function} stream - The async iterable to wrap, or a
+ *   function receiving the spinner and the function starting it, and returning it.
+ * @param {Object} options - Spinner options.
+ * @param {string} options.text - Text to display with the spinner.
+ * @param {string} options.spinner - Spinner type.
+ * @param {boolean} [options.lazy] - Whether the spinner is only shown once
+ *   started by the function.
+ * @returns {AsyncGenerator} - The chunks of the original iterable.
+ */
+export async function* withStreamSpinner(stream, options) {
+  const { spinner, start, isStarted } = createSpinner(options)
+  if (typeof stream === 'function') {
+    stream = stream(spinner, start)
+  }
+
+  try {
+    for await (const chunk of stream) {
+      if (spinner.isSpinning) spinner.stop()
+      yield chunk
+    }
+    if (spinner.isSpinning) spinner.stop()
+  } catch (error) {
+    if (isStarted()) stopSpinner(spinner, error)
+    throw error
+  }
+}
+
+/**
+ * Creates an Ora spinner, started right away unless `options.lazy`.
+ * @param {Object} options - Spinner options.
+ * @returns {{spinner: Ora, start: Function, isStarted: Function}} - The
+ *   spinner, the function starting it (once) and whether it was started.
+ */
+function createSpinner({ lazy, ...options }) {
+  const spinner = ora(options)
+  let started = false
+  const start = () => {
+    if (started) return
+    started = true
+    spinner.start()
+  }
+
+  if (!lazy) start()
+  return { spinner, start, isStarted: () => started }
+}
+
+/**
+ * Stops a spinner after an error: as failed, or just cleared when the
+ * operation was cancelled (the reason is logged on exit).
+ * @param {Ora} spinner - The spinner.
+ * @param {Error} error - The error.
+ */
+function stopSpinner(spinner, error) {
+  if (error instanceof CancelledError) {
+    spinner.stop()
+  } else {
+    spinner.fail('Operation failed.')
+  }
+}
+
 /**
  * Derive the __dirname equivalent in ES Modules.
  * @param {string} metaUrl - The import.meta.url of the current module.
@@ -119,3 +216,83 @@ export function withSpinner(promise, options) {
 export function getDirname(metaUrl) {
   return path.dirname(fileURLToPath(metaUrl))
 }
+
+/**
+ * Truncates a text to a single line of a maximum length.
+ * @param {string} text - The text to truncate.
+ * @param {number} maxLength - The maximum length of the result.
+ * @returns {string} - The truncated text.
+ */
+export function truncate(text = '', maxLength = 80) {
+  const line = String(text).replace(/\s+/g, ' ').trim()
+  return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line
+}
+
+/**
+ * Returns a deep copy of an object with the values of secret keys masked.
+ * @param {*} value - The value to mask (typically configuration data).
+ * @returns {*} - The masked copy.
+ */
+export function maskSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSecrets)
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        /key|token|secret|password/i.test(key) && typeof item === 'string'
+          ? '********'
+          : maskSecrets(item)
+      ])
+    )
+  }
+  return value
+}
+
+/**
+ * Function to parse a command-line option which is a positive integer
+ * (e.g. `--concurrency`).
+ *
+ * @param {string} value - The value of the option.
+ * @returns {number} - The integer.
+ * @throws {InvalidArgumentError} - If the value is not a positive integer.
+ */
+export function parsePositiveInteger(value) {
+  if (!/^\d+$/.test(String(value).trim()) || parseInt(value, 10) < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.')
+  }
+  return parseInt(value, 10)
+}
+
+/**
+ * Maps items with an async function, running at most `concurrency` at a time.
+ * @param {Array} items - The items to map.
+ * @param {number} concurrency - The maximum number of concurrent calls.
+ * @param {Function} fn - Async function called with `(item, index)`.
+ * @returns {Promise<Array>} - The results, in the order of the items.
+ * @throws {Error} - If the concurrency is not a positive integer.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency '${concurrency}', expected a positive integer.`
+    )
+  }
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    worker
+  )
+  await Promise.all(workers)
+  return results
+}
@@ -1,35 +1,158 @@
 // pipe-ai-api.js
 
-import yaml from 'js-yaml'
-import { loadFile, getDirname } from './lib/utils.js'
+import {
+  resolveFile,
+  getFileType,
+  getDirname,
+  mapWithConcurrency,
+  truncate
+} from './lib/utils.js'
+import { selectFromList } from './lib/input.js'
+import { parsePrompt, renderTemplate } from './lib/template.js'
+import { splitIntoChunks } from './lib/chunking.js'
+import { estimateTokens, getInputBudget } from './lib/tokens.js'
+import {
+  JsonValidationError,
+  getRepairPrompt,
+  validateJsonReply
+} from './lib/structured.js'
 import { log } from './lib/output.js'
+import {
+  DEFAULT_CONFIG,
+  PROJECT_CONFIG_FILE,
+  findProjectConfig,
+  interpolateEnv,
+  mergeConfigLayers,
+  readConfigLayer,
+  validateConfiguration
+} from './lib/config.js'
+import { CancelledError } from './lib/cancel.js'
+import {
+  getRetrySettings,
+  linkSignals,
+  withRetry,
+  withStreamTimeout
+} from './lib/retry.js'
 import { pathToFileURL } from 'url'
 import fs from 'fs'
 import path from 'path'
-import os from 'os'
 
 /**
- * Function to load the configuration.
+ * Function to load the configuration, merging its layers in this order:
+ * built-in defaults, the user configuration (`~/.config/pipe-ai/config.yaml`),
+ * the project configuration (`.pipe-ai.yaml` in the current directory or a
+ * parent), the `-c` file, the profile and the command-line overrides.
  *
- * @param {string} [configOption] - The configuration file path or name.
- * @returns {object} - The parsed configuration data.
- * @throws {Error} - If the configuration file is missing required fields or not found.
+ * @param {string|Object} [configOption] - The configuration file path or
+ *   name (`-c`), or the configuration data itself.
+ * @param {Object} [options]
+ * @param {string} [options.profile] - The name of the profile to apply.
+ * @param {Object} [options.overrides] - Settings from the command line.
+ * @returns {Promise<object>} - The configuration data.
+ * @throws {Error} - If the configuration is not found or not valid.
  */
-export function loadConfiguration(configOption) {
-  // Load the configuration file content
-  const content = loadFile(configOption || 'config', 'config')
+export async function loadConfiguration(configOption, options = {}) {
+  const { configData } = await resolveConfiguration(configOption, options)
+  return configData
+}
+
+/**
+ * Function to resolve the configuration like `loadConfiguration`, also
+ * telling which layers it is made of.
+ *
+ * @param {string|Object} [configOption] - The configuration file path or
+ *   name (`-c`), or the configuration data itself.
+ * @param {Object} [options]
+ * @param {string} [options.profile] - The name of the profile to apply.
+ * @param {Object} [options.overrides] - Settings from the command line.
+ * @returns {Promise<{configData: object, sources: string[]}>} - The
+ *   configuration data and the sources of its layers.
+ * @throws {Error} - If the configuration is not found or not valid.
+ */
+export async function resolveConfiguration(
+  configOption,
+  { profile, overrides } = {}
+) {
+  const layers = [{ source: 'defaults', data: DEFAULT_CONFIG }]
+
+  const userConfig = path.join(getFileType('config').userDir, 'config.yaml')
+  if (fs.existsSync(userConfig)) layers.push(readConfigLayer(userConfig))
+
+  const projectConfig = findProjectConfig()
+  if (projectConfig && projectConfig !== userConfig) {
+    layers.push(readConfigLayer(projectConfig))
+  }
+
+  if (configOption && typeof configOption === 'object') {
+    layers.push({ source: 'options', data: configOption })
+  } else if (configOption) {
+    layers.push(readConfigLayer(resolveFile(configOption, 'config')))
+  }
 
-  // Parse the YAML configuration
-  const data = yaml.load(content)
+  if (profile) {
+    const { configData: merged } = mergeConfigLayers(layers)
+    const profiles = merged.profiles || {}
+    if (!profiles[profile]) {
+      const names = Object.keys(profiles)
+      throw new Error(
+        `Profile '${profile}' not found. ${names.length ? `Available profiles: ${names.join(', ')}.` : 'No profiles are configured.'}`
+      )
+    }
+    layers.push({ source: `profile '${profile}'`, data: profiles[profile] })
+  }
 
-  // Validate that the 'provider' key exists
-  if (!data.provider) {
+  if (overrides && Object.keys(overrides).length) {
+    layers.push({ source: 'command line', data: overrides })
+  }
+
+  log.debug('# Merge the configuration layers')
+  const { configData: merged, origins } = mergeConfigLayers(layers)
+  delete merged.profiles
+  if (!merged.provider) {
     throw new Error(
-      "The 'provider' key is missing from the configuration file."
+      `The 'provider' key is missing from the configuration. Set it in ${userConfig}, a ${PROJECT_CONFIG_FILE} file or the file given with -c.`
     )
   }
+  const configData = interpolateEnv(merged, origins)
+
+  log.debug('# Check the configuration against the provider schema')
+  const providerModule = await getProviderModule(configData)
+  validateConfiguration(configData, providerModule.configSchema, origins)
 
-  return data
+  return { configData, sources: layers.map(({ source }) => source) }
+}
+
+/**
+ * Function to load a pre-prompt file and parse its front matter.
+ *
+ * @param {string} [prePromptOption] - The pre-prompt file path or name.
+ * @returns {object|null} - The pre-prompt `name`, file `path`, front matter `attributes` and `body`.
+ */
+export function loadPrePrompt(prePromptOption) {
+  if (!prePromptOption) {
+    return null
+  }
+
+  const filePath = resolveFile(prePromptOption, 'prompt')
+  const content = fs.readFileSync(filePath, 'utf8')
+  return { name: prePromptOption, path: filePath, ...parsePrompt(content) }
+}
+
+/**
+ * Function to override the default request options of a configuration.
+ *
+ * @param {object} configData - The configuration data object.
+ * @param {object} requestOptions - The request options taking precedence.
+ * @returns {object} - A new configuration data object.
+ */
+export function applyRequestOptions(configData, requestOptions) {
+  return {
+    ...configData,
+    defaultRequestOptions: {
+      ...configData.defaultRequestOptions,
+      ...requestOptions
+    }
+  }
 }
 
 /**
@@ -62,6 +185,486 @@ export async function getProviderModule(configData) {
   return await import(pathToFileURL(providerModulePath).href)
 }
 
+/**
+ * Function to wrap a provider module so that its failed calls are retried
+ * (see the `retry` and `timeout` settings), then sent to the providers of the
+ * `fallback` list of the configuration, in order. Each fallback is a
+ * configuration file name or path, used with its own settings.
+ *
+ * The options of the calls may hold an `onAttempt` function, called with
+ * `{ name, attempt, maxAttempts, fallback, failure }` before each new
+ * attempt, `failure` being the `{ name, error, delay }` of the attempt which
+ * failed (see `formatFailure`).
+ * Streams are only retried until their first chunk. Calls cancelled by the
+ * `signal` of their options fail with its reason, without retries.
+ *
+ * @param {Object} providerModule - The provider module of the configuration.
+ * @returns {{providerModule: Object, getFallbackConfiguration: Function}} -
+ *   The wrapped module, and a function returning the configuration of the
+ *   fallback which answered the last call (`null` for the primary provider).
+ */
+export function createProviderChain(providerModule) {
+  const fallbacks = new Map()
+  let fallbackConfigData = null
+
+  const loadFallback = (name) => {
+    if (!fallbacks.has(name)) {
+      fallbacks.set(
+        name,
+        loadConfiguration(name).then(async (configData) => ({
+          configData,
+          providerModule: await getProviderModule(configData)
+        }))
+      )
+    }
+    return fallbacks.get(name)
+  }
+
+  // Tries the primary provider then the fallbacks until one succeeds
+  const callWithFallbacks = async (configData, options, call) => {
+    const names = configData.fallback || []
+    let failure = null
+    for (let index = 0; ; index++) {
+      const candidate =
+        index === 0
+          ? { name: getProviderName(configData), configData, providerModule }
+          : await loadFallback(names[index - 1]).then((fallback) => ({
+              ...fallback,
+              name: names[index - 1],
+              configData: {
+                ...fallback.configData,
+                responseFormat: configData.responseFormat
+              }
+            }))
+      if (index > 0) {
+        options.onAttempt?.({
+          name: candidate.name,
+          attempt: 1,
+          maxAttempts: 1,
+          fallback: true,
+          failure
+        })
+      }
+
+      try {
+        const result = await withRetry(
+          (attempt, signal) => call(candidate, { ...options, signal }),
+          { ...getRetrySettings(candidate.configData), signal: options.signal },
+          ({ attempt, maxAttempts, error, delay }) => {
+            options.onAttempt?.({
+              name: candidate.name,
+              attempt,
+              maxAttempts,
+              fallback: index > 0,
+              failure: { name: candidate.name, error, delay }
+            })
+          }
+        )
+        fallbackConfigData = index > 0 ? candidate.configData : null
+        return result
+      } catch (err) {
+        if (options.signal?.aborted) throw options.signal.reason
+        if (index >= names.length) throw err
+        failure = { name: candidate.name, error: err }
+      }
+    }
+  }
+
+  const chained = {
+    ...providerModule,
+    getAIResponse(configData, messages, options = {}) {
+      return callWithFallbacks(configData, options, (candidate, callOptions) =>
+        candidate.providerModule.getAIResponse(
+          candidate.configData,
+          messages,
+          callOptions
+        )
+      )
+    }
+  }
+  if (providerModule.streamAIResponse) {
+    chained.streamAIResponse = async function* (
+      configData,
+      messages,
+      options = {}
+    ) {
+      const { first, iterator } = await callWithFallbacks(
+        configData,
+        options,
+        async (candidate, callOptions) => {
+          if (!candidate.providerModule.streamAIResponse) {
+            const reply = await candidate.providerModule.getAIResponse(
+              candidate.configData,
+              messages,
+              callOptions
+            )
+            return { first: { value: reply, done: false } }
+          }
+
+          // The stream is opened and its first chunk awaited within the
+          // attempt, then cancelled if a later chunk doesn't come in time
+          const controller = new AbortController()
+          const iterator = withStreamTimeout(
+            candidate.providerModule.streamAIResponse(
+              candidate.configData,
+              messages,
+              {
+                ...callOptions,
+                signal: linkSignals(callOptions.signal, controller.signal)
+              }
+            ),
+            getRetrySettings(candidate.configData).timeout,
+            controller
+          )
+          return { first: await iterator.next(), iterator }
+        }
+      )
+
+      if (first.done) return
+      try {
+        yield first.value
+        if (iterator) yield* iterator
+      } catch (err) {
+        throw options.signal?.aborted ? options.signal.reason : err
+      }
+    }
+  }
+
+  return {
+    providerModule: chained,
+    getFallbackConfiguration: () => fallbackConfigData
+  }
+}
+
+/**
+ * Function to describe a new attempt of a call, for the spinners.
+ *
+ * @param {Object} attempt - The attempt, as given to `onAttempt`.
+ * @returns {string} - The description.
+ */
+export function formatAttempt({ name, attempt, maxAttempts, fallback }) {
+  const retry = attempt > 1 ? ` (attempt ${attempt}/${maxAttempts})` : ''
+  return fallback
+    ? `Retrieving AI response from fallback '${name}'${retry}...`
+    : `Retrieving AI response${retry}...`
+}
+
+/**
+ * Function to describe why a new attempt of a call is made: the failure of
+ * the previous one, then the retry or the fallback.
+ *
+ * @param {Object} attempt - The attempt, as given to `onAttempt`.
+ * @returns {string} - The description.
+ */
+export function formatFailure({ name, failure }) {
+  const { name: failed, error, delay } = failure
+  return delay === undefined
+    ? `${failed} failed (${error.message}), falling back to '${name}'.`
+    : `${failed} failed (${error.message}), retrying in ${delay.toFixed(1)}s.`
+}
+
+/**
+ * Function to report a new attempt of a call on a spinner: the failure of
+ * the previous attempt stays on the terminal, and the spinner goes on with
+ * the new one.
+ *
+ * @param {Ora} spinner - The spinner of the call.
+ * @param {Object} attempt - The attempt, as given to `onAttempt`.
+ * @param {string} [prefix] - Text shown before the messages (e.g. the step).
+ */
+export function reportAttempt(spinner, attempt, prefix = '') {
+  spinner.warn(prefix + formatFailure(attempt))
+  spinner.start(prefix + formatAttempt(attempt))
+}
+
+/**
+ * Gets the name of the provider and model of a configuration, for messages.
+ *
+ * @param {Object} configData - The configuration data.
+ * @returns {string} - The name (e.g. 'openai/gpt-4o').
+ */
+function getProviderName(configData) {
+  return [configData.provider, configData.defaultRequestOptions?.model]
+    .filter(Boolean)
+    .join('/')
+}
+
+/**
+ * Resolves the conversation to continue from --continue or --select.
+ *
+ * @param {Brain|Object} brain - The Brain instance holding past conversations
+ *   (or a client of `createPipeAI`, which has the same methods).
+ * @param {Object} options - The command-line options.
+ * @returns {Promise<string|undefined>} - The conversation ID, if any.
+ */
+export async function getConversationId(brain, options) {
+  const { continue: continueOption, select: selectOption } = options
+  const idOption = [continueOption, selectOption].find(
+    (option) => typeof option === 'string'
+  )
+  if (idOption) {
+    return brain.resolveConversationId(idOption)
+  }
+
+  if (continueOption) {
+    const conversationId = await brain.getLastConversationId()
+    if (!conversationId) {
+      throw new Error('There is no previous conversation to continue.')
+    }
+    return conversationId
+  }
+
+  if (selectOption) {
+    const conversations = await brain.listConversations({ limit: 20 })
+    if (!conversations.length) {
+      throw new Error('There is no previous conversation to select.')
+    }
+    const choices = conversations.map(
+      ({ conversationId, lastMessage }) =>
+        `${conversationId.slice(0, 8)} ${truncate(lastMessage.aiReply, 60)}`
+    )
+    const index = await selectFromList(choices, 'Select a conversation')
+    return conversations[index].conversationId
+  }
+}
+
+/**
+ * Builds the message history sent to the provider.
+ * The input data of the first turn becomes the system message, each turn
+ * becomes a user message followed by the assistant's reply (if any).
+ *
+ * @param {Object[]} history - Previous messages of the conversation (from Brain).
+ * @param {string} inputData - The input data of the new turn.
+ * @param {string} prompt - The full prompt of the new turn.
+ * @param {string} [system] - Instructions sent first as a system message (`--system`).
+ * @returns {Object[]} - The messages as `{ role, content }` objects.
+ */
+export function buildMessages(history, inputData, prompt, system) {
+  // Chunk sub-calls are summed up by the reduce step, skip them
+  const turns = history
+    .filter((message) => !message.chunk)
+    .map((message) => ({
+      inputData: message.inputData,
+      prompt: [message.prePrompt, message.prompt].join('\n'),
+      aiReply: message.aiReply
+    }))
+  turns.push({ inputData, prompt })
+
+  const messages = system ? [{ role: 'system', content: system }] : []
+  const systemPrompt = turns[0].inputData
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt })
+  }
+
+  turns.forEach((turn, index) => {
+    // Later turns may bring new input along, prepend it to their prompt
+    const hasNewInput =
+      index > 0 && turn.inputData && turn.inputData !== systemPrompt
+    messages.push({
+      role: 'user',
+      content: hasNewInput
+        ? [turn.inputData, turn.prompt].join('\n\n')
+        : turn.prompt
+    })
+    if (turn.aiReply !== undefined) {
+      messages.push({ role: 'assistant', content: turn.aiReply })
+    }
+  })
+
+  return messages
+}
+
+const DEFAULT_REDUCE_PROMPT = `The input was too large and was processed in {{count}} parts. Above are the answers for each part to the following prompt:
+
+{{prompt}}
+
+Combine them into a single answer to this prompt, as if the input had been processed at once.`
+
+// Maximum number of rounds combining partial answers before the reduce step
+const MAX_COMBINE_ROUNDS = 3
+
+/**
+ * Runs a prompt over the chunks of an input too large for the model (map),
+ * combining partial answers in more rounds while they are still too large.
+ * The returned input and prompt are meant for the final reduce step.
+ *
+ * @param {Object} params
+ * @param {Object} params.providerModule - The provider module.
+ * @param {Object} params.configData - The configuration data.
+ * @param {string} params.inputData - The input data.
+ * @param {string} params.prompt - The full prompt.
+ * @param {string} [params.strategy] - 'paragraphs' or 'lines'.
+ * @param {number} [params.concurrency=3] - Maximum number of parallel requests.
+ * @param {Function} [params.onProgress] - Called with `(done, count, round)`.
+ * @param {Function} [params.onReply] - Called with `(reply, chunk, chunkPrompt, chunkInfo)`.
+ * @param {AbortSignal} [params.signal] - Cancels the requests when aborted.
+ * @returns {Promise<{inputData: string, prompt: string}>} - The reduce step input and prompt.
+ */
+export async function mapChunks({
+  providerModule,
+  configData,
+  inputData,
+  prompt,
+  strategy,
+  concurrency = 3,
+  onProgress = () => {},
+  onReply = () => {},
+  signal
+}) {
+  const model = configData.defaultRequestOptions?.model
+  const budget = getInputBudget(configData)
+  const chunkTokens = Math.min(
+    configData.chunking?.chunkTokens || budget,
+    budget
+  )
+
+  let chunks = splitIntoChunks(inputData, chunkTokens, { strategy, model })
+  let partials = []
+  for (let round = 1; round <= MAX_COMBINE_ROUNDS; round++) {
+    log.verbose(`Round ${round}: ${chunks.length} chunks`)
+    let done = 0
+    partials = await mapWithConcurrency(
+      chunks,
+      concurrency,
+      async (chunk, index) => {
+        const chunkPrompt =
+          round === 1
+            ? getChunkPrompt(prompt, index, chunks.length)
+            : getReducePrompt(prompt, chunks.length, configData)
+        const reply = await providerModule.getAIResponse(
+          configData,
+          buildMessages([], chunk, chunkPrompt, configData.system),
+          { signal }
+        )
+        onProgress(++done, chunks.length, round)
+        await onReply(reply, chunk, chunkPrompt, {
+          round,
+          index: index + 1,
+          count: chunks.length
+        })
+        return reply
+      }
+    )
+
+    const combined = combinePartials(partials)
+    if (partials.length === 1 || estimateTokens(combined, model) <= budget) {
+      break
+    }
+    chunks = splitIntoChunks(combined, chunkTokens, { model })
+  }
+
+  return {
+    inputData: combinePartials(partials),
+    prompt: getReducePrompt(prompt, partials.length, configData)
+  }
+}
+
+/**
+ * Gets the prompt sent with one chunk of the input.
+ *
+ * @param {string} prompt - The full prompt.
+ * @param {number} index - The index of the chunk.
+ * @param {number} count - The number of chunks.
+ * @returns {string} - The chunk prompt.
+ */
+function getChunkPrompt(prompt, index, count) {
+  return `${prompt}\n\n(The input is too large and was split in ${count} parts, this is part ${index + 1} of ${count}.)`
+}
+
+/**
+ * Gets the prompt combining partial answers, from `chunking.reducePrompt`
+ * in the configuration (with `{{prompt}}` and `{{count}}` placeholders).
+ *
+ * @param {string} prompt - The full prompt.
+ * @param {number} count - The number of partial answers.
+ * @param {Object} configData - The configuration data.
+ * @returns {string} - The reduce prompt.
+ */
+function getReducePrompt(prompt, count, configData) {
+  const template = configData.chunking?.reducePrompt || DEFAULT_REDUCE_PROMPT
+  return renderTemplate(template, { prompt, count })
+}
+
+/**
+ * Combines partial answers into a single labeled text.
+ *
+ * @param {string[]} partials - The partial answers.
+ * @returns {string} - The combined answers.
+ */
+function combinePartials(partials) {
+  return partials
+    .map(
+      (partial, index) => `## Part ${index + 1}\n\n${String(partial).trim()}`
+    )
+    .join('\n\n')
+}
+
+// Number of times the AI is asked to fix a reply that is not valid JSON
+const DEFAULT_MAX_REPAIRS = 2
+
+/**
+ * Gets a JSON reply from the provider, asking the AI to fix it with the
+ * validation errors while it is not valid JSON or does not match the schema.
+ * `configData.responseFormat` lets providers with a native JSON mode use it.
+ *
+ * @param {Object} params
+ * @param {Object} params.providerModule - The provider module.
+ * @param {Object} params.configData - The configuration data.
+ * @param {Object[]} params.messages - The messages.
+ * @param {Object} [params.schema] - The JSON Schema the reply must match.
+ * @param {number} [params.maxRepairs] - Maximum number of repair requests
+ *   (default: `json.maxRepairs` in the configuration, or 2).
+ * @param {Function} [params.onRepair] - Called with `(attempt, errors)` before each repair request.
+ * @param {Function} [params.onAttempt] - Called before each retry or fallback
+ *   of a request (see `createProviderChain`).
+ * @param {AbortSignal} [params.signal] - Cancels the requests when aborted.
+ * @returns {Promise<{reply: string, value: *}>} - The reply and its parsed value.
+ * @throws {JsonValidationError} - If the reply is still not valid after the repairs.
+ */
+export async function getJsonResponse({
+  providerModule,
+  configData,
+  messages,
+  schema,
+  maxRepairs = configData.json?.maxRepairs ?? DEFAULT_MAX_REPAIRS,
+  onRepair = () => {},
+  onAttempt,
+  signal
+}) {
+  const jsonConfigData = {
+    ...configData,
+    responseFormat: { type: 'json', schema }
+  }
+  let conversation = messages
+  for (let attempt = 0; ; attempt++) {
+    const reply = await providerModule.getAIResponse(
+      jsonConfigData,
+      conversation,
+      { onAttempt, signal }
+    )
+    const { value, errors } = validateJsonReply(reply, schema)
+    if (!errors.length) {
+      return { reply, value }
+    }
+
+    log.verbose(`Invalid JSON reply: ${errors.join('; ')}`)
+    if (attempt >= maxRepairs) {
+      throw new JsonValidationError(
+        `The reply is still not valid after ${maxRepairs} repair attempt(s):\n${errors.join('\n')}`,
+        errors,
+        reply
+      )
+    }
+
+    onRepair(attempt + 1, errors)
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: reply },
+      { role: 'user', content: getRepairPrompt(errors) }
+    ]
+  }
+}
+
 /**
  * Function to cleanup resources and exit the process.
  *
@@ -81,22 +684,47 @@ export function cleanup(err = null, exitCode = 0) {
 }
 
 /**
- * Attaches signal handlers to the process for graceful shutdown.
+ * Attaches signal handlers to the process for graceful shutdown. The requests
+ * run with `cancellable` are cancelled through the returned signal, so that
+ * their partial output is kept; otherwise (or on a second signal) the process
+ * exits right away.
  *
  * @param {object} process - The Node.js process object.
+ * @returns {{signal: AbortSignal, cancellable: Function}} - The signal,
+ *   aborted with a `CancelledError`, and a function running an async task
+ *   during which the signals cancel the requests instead of exiting.
  */
 export function attachSignalHandlers(process) {
+  const controller = new AbortController()
+  let tasks = 0
+
+  const interrupt = (err) => {
+    if (!tasks || controller.signal.aborted) {
+      cleanup(err, err.exitCode)
+    }
+    log.debug(`# Cancel the request in flight (${err.signal})`)
+    controller.abort(err)
+  }
+
   process.on('SIGINT', () => {
-    cleanup(
-      new Error('Process interrupted by SIGINT (Ctrl+C).'),
-      128 + os.constants.signals.SIGINT
+    interrupt(
+      new CancelledError('Process interrupted by SIGINT (Ctrl+C).', 'SIGINT')
     )
   })
 
   process.on('SIGTERM', () => {
-    cleanup(
-      new Error('Process terminated by SIGTERM.'),
-      128 + os.constants.signals.SIGTERM
-    )
+    interrupt(new CancelledError('Process terminated by SIGTERM.', 'SIGTERM'))
   })
+
+  return {
+    signal: controller.signal,
+    async cancellable(task) {
+      tasks++
+      try {
+        return await task()
+      } finally {
+        tasks--
+      }
+    }
+  }
 }
@@ -1,30 +1,178 @@
 // claudeai.js
-// Replace the hypothetical import with the actual Claude AI SDK import
-import { ClaudeAIClient } from 'claudeai' // Ensure 'claudeai' supports ES modules
+import Anthropic from '@anthropic-ai/sdk'
+import { log } from '../lib/output.js'
+
+// Settings of the Claude AI provider, checked when the configuration is loaded
+export const configSchema = {
+  properties: {
+    apiKey: { type: 'string' },
+    configuration: {
+      type: 'object',
+      properties: {
+        baseURL: { type: 'string' },
+        authToken: { type: 'string' },
+        timeout: { type: 'integer', minimum: 0 },
+        maxRetries: { type: 'integer', minimum: 0 },
+        defaultHeaders: { type: 'object' },
+        defaultQuery: { type: 'object' }
+      },
+      additionalProperties: false
+    },
+    defaultRequestOptions: {
+      type: 'object',
+      properties: {
+        model: { type: 'string' },
+        temperature: { type: 'number', minimum: 0, maximum: 1 },
+        max_tokens: { type: 'integer', minimum: 1 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+        top_k: { type: 'integer', minimum: 0 },
+        stop_sequences: { type: 'array', items: { type: 'string' } },
+        metadata: { type: 'object' }
+      }
+    }
+  }
+}
 
 /**
- * Function to get AI response from Claude AI.
+ * Function to get AI response from Claude AI (Anthropic Messages API).
  * @param {Object} configData - Configuration data containing API keys and settings.
- * @param {string} inputData - Input data (e.g., system prompt).
- * @param {string} prompt - User prompt.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
  * @returns {Promise<string>} - AI's reply.
  */
-export async function getAIResponse(configData, inputData, prompt) {
-  // Initialize Claude AI client
-  const claudeClient = new ClaudeAIClient({
+export async function getAIResponse(configData, messages, options = {}) {
+  // Create Anthropic client
+  const anthropic = createClient(configData)
+
+  // Call the Messages API
+  const response = await callAPI(() =>
+    anthropic.messages.create(createRequest(configData, messages), {
+      signal: options.signal
+    })
+  )
+  checkStopReason(response.stop_reason)
+  options.onUsage?.({
+    inputTokens: response.usage.input_tokens,
+    outputTokens: response.usage.output_tokens
+  })
+
+  // Extract the AI's reply from the text content blocks
+  return response.content
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('')
+}
+
+/**
+ * Function to stream the AI response from Claude AI as it is generated.
+ * @param {Object} configData - Configuration data containing API keys and settings.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {AsyncGenerator<string>} - The text deltas of the AI's reply.
+ */
+export async function* streamAIResponse(configData, messages, options = {}) {
+  // Create Anthropic client
+  const anthropic = createClient(configData)
+
+  // Call the Messages API in streaming mode
+  const stream = await callAPI(() =>
+    anthropic.messages.create(
+      { ...createRequest(configData, messages), stream: true },
+      { signal: options.signal }
+    )
+  )
+
+  // Yield the text deltas as they arrive, the usage comes with the first
+  // (input tokens) and last (output tokens) events
+  let inputTokens = 0
+  for await (const event of stream) {
+    if (
+      event.type === 'content_block_delta' &&
+      event.delta.type === 'text_delta'
+    ) {
+      yield event.delta.text
+    } else if (event.type === 'message_start') {
+      inputTokens = event.message.usage?.input_tokens ?? 0
+    } else if (event.type === 'message_delta') {
+      checkStopReason(event.delta.stop_reason)
+      options.onUsage?.({
+        inputTokens,
+        outputTokens: event.usage?.output_tokens ?? 0
+      })
+    }
+  }
+}
+
+/**
+ * Creates an Anthropic client from the configuration data.
+ * @param {Object} configData - Configuration data containing API keys and settings.
+ * @returns {Anthropic} - The Anthropic client.
+ */
+function createClient(configData) {
+  return new Anthropic({
+    maxRetries: 0, // Failed calls are retried by pipe-ai (see `retry`)
     ...configData.configuration,
     apiKey: configData.apiKey // Specify apiKey last to prevent overwriting
   })
+}
 
-  // Combine input data and prompt
-  const fullPrompt = `${inputData}\n${prompt}`
+/**
+ * Creates the Messages API request body.
+ * System messages are moved to the top-level `system` parameter since the
+ * Messages API only accepts user and assistant turns. There is no native JSON
+ * mode, JSON replies rely on the instructions of the prompt.
+ * @param {Object} configData - Configuration data containing the request options.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @returns {Object} - The request body.
+ */
+function createRequest(configData, messages) {
+  const system = messages
+    .filter((message) => message.role === 'system')
+    .map((message) => message.content)
+    .join('\n\n')
 
-  // Call the Claude AI API
-  const response = await claudeClient.generateCompletion({
+  const request = {
+    max_tokens: 1024, // Required by the Messages API
     ...configData.defaultRequestOptions,
-    prompt: fullPrompt
-  })
+    messages: messages
+      .filter((message) => message.role !== 'system')
+      .map(({ role, content }) => ({ role, content }))
+  }
+  if (system) request.system = system
+
+  return request
+}
 
-  // Extract the AI's reply
-  return response.completion
+/**
+ * Calls the API and turns API errors into readable errors.
+ * @param {Function} request - Function performing the API call.
+ * @returns {Promise<*>} - The API response.
+ */
+async function callAPI(request) {
+  try {
+    return await request()
+  } catch (err) {
+    if (err instanceof Anthropic.APIError && err.error?.error) {
+      const { type, message } = err.error.error
+      throw new Error(
+        `Claude AI API error (${err.status} ${type}): ${message}`,
+        { cause: err } // Keeps the status and headers, to retry
+      )
+    }
+    throw err
+  }
+}
+
+/**
+ * Warns when the reply did not end naturally.
+ * @param {string} stopReason - The stop reason of the response.
+ */
+function checkStopReason(stopReason) {
+  if (stopReason === 'max_tokens') {
+    log.warn('The reply was truncated because it reached max_tokens.')
+  }
 }
@@ -0,0 +1,281 @@
+// local.js
+import * as openai from './openai.js'
+
+const DEFAULT_BASE_URLS = {
+  ollama: 'http://localhost:11434',
+  openai: 'http://localhost:8080/v1'
+}
+
+// Settings of the local provider, checked when the configuration is loaded
+export const configSchema = {
+  properties: {
+    apiKey: { type: 'string' },
+    configuration: {
+      type: 'object',
+      properties: {
+        api: { enum: Object.keys(DEFAULT_BASE_URLS) },
+        baseURL: { type: 'string' },
+        headers: { type: 'object' },
+        timeout: { type: 'integer', minimum: 0 },
+        maxRetries: { type: 'integer', minimum: 0 },
+        streamUsage: { type: 'boolean' },
+        defaultHeaders: { type: 'object' },
+        defaultQuery: { type: 'object' }
+      },
+      additionalProperties: false
+    },
+    defaultRequestOptions: {
+      type: 'object',
+      properties: {
+        model: { type: 'string' },
+        temperature: { type: 'number', minimum: 0 },
+        max_tokens: { type: 'integer', minimum: 1 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+        keep_alive: { type: ['string', 'number'] },
+        options: { type: 'object' }
+      }
+    }
+  }
+}
+
+/**
+ * Function to get AI response from a local server (Ollama or OpenAI-compatible).
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {Promise<string>} - AI's reply.
+ */
+export async function getAIResponse(configData, messages, options = {}) {
+  if (getAPI(configData) === 'openai') {
+    return openai.getAIResponse(toOpenAIConfig(configData), messages, options)
+  }
+
+  // Call the Ollama chat API, in JSON mode when a JSON reply is expected
+  const { responseFormat } = configData
+  const response = await request(
+    configData,
+    '/api/chat',
+    {
+      ...getOllamaRequestOptions(configData),
+      ...(responseFormat?.type === 'json' && {
+        format: responseFormat.schema || 'json'
+      }),
+      messages,
+      stream: false
+    },
+    options.signal
+  )
+  const data = await response.json()
+  reportUsage(data, options)
+
+  // Extract the AI's reply
+  return data.message.content
+}
+
+/**
+ * Function to stream the AI response from a local server as it is generated.
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {AsyncGenerator<string>} - The text deltas of the AI's reply.
+ */
+export async function* streamAIResponse(configData, messages, options = {}) {
+  if (getAPI(configData) === 'openai') {
+    // Not every OpenAI-compatible server accepts the `stream_options` asking
+    // for the usage of the streamed replies
+    yield* openai.streamAIResponse(toOpenAIConfig(configData), messages, {
+      ...options,
+      streamUsage: configData.configuration?.streamUsage ?? true
+    })
+    return
+  }
+
+  // Call the Ollama chat API in streaming mode
+  const response = await request(
+    configData,
+    '/api/chat',
+    { ...getOllamaRequestOptions(configData), messages, stream: true },
+    options.signal
+  )
+
+  // Ollama streams one JSON object per line
+  for await (const line of readLines(response.body)) {
+    const data = JSON.parse(line)
+    if (data.error) throw new Error(`Local AI server error: ${data.error}`)
+    if (data.message?.content) yield data.message.content
+    if (data.done) reportUsage(data, options)
+  }
+}
+
+/**
+ * Function to list the models available on the local server.
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @returns {Promise<string[]>} - The model names.
+ */
+export async function listModels(configData) {
+  if (getAPI(configData) === 'openai') {
+    return openai.listModels(toOpenAIConfig(configData))
+  }
+
+  const response = await request(configData, '/api/tags')
+  const data = await response.json()
+  return data.models.map((model) => model.name)
+}
+
+/**
+ * Gets the API spoken by the local server ('ollama' or 'openai').
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @returns {string} - The API name.
+ */
+function getAPI(configData) {
+  const api = configData.configuration?.api || 'ollama'
+  if (!DEFAULT_BASE_URLS[api]) {
+    throw new Error(
+      `Unsupported local API '${api}'. Supported APIs are 'ollama' and 'openai'.`
+    )
+  }
+  return api
+}
+
+/**
+ * Gets the request options of the Ollama chat API. The generic `temperature`,
+ * `top_p` and `max_tokens` options (e.g. from --temperature) are model options
+ * for Ollama, taking precedence over the ones of `options`.
+ * @param {Object} configData - Configuration data containing the request options.
+ * @returns {Object} - The request options.
+ */
+function getOllamaRequestOptions(configData) {
+  const { temperature, top_p, max_tokens, ...requestOptions } =
+    configData.defaultRequestOptions || {}
+  const modelOptions = Object.fromEntries(
+    Object.entries({ temperature, top_p, num_predict: max_tokens }).filter(
+      ([, value]) => value !== undefined
+    )
+  )
+  if (!Object.keys(modelOptions).length) {
+    return requestOptions
+  }
+  return {
+    ...requestOptions,
+    options: { ...requestOptions.options, ...modelOptions }
+  }
+}
+
+/**
+ * Reports the token usage of an Ollama call, sent with its last response.
+ * @param {Object} data - The last response of the Ollama chat API.
+ * @param {Object} options - The options of the call, with `onUsage`.
+ */
+function reportUsage(data, options) {
+  options.onUsage?.({
+    inputTokens: data.prompt_eval_count ?? 0,
+    outputTokens: data.eval_count ?? 0
+  })
+}
+
+/**
+ * Gets the base URL of the local server, without trailing slash.
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @returns {string} - The base URL.
+ */
+function getBaseURL(configData) {
+  const baseURL =
+    configData.configuration?.baseURL || DEFAULT_BASE_URLS[getAPI(configData)]
+  return baseURL.replace(/\/+$/, '')
+}
+
+/**
+ * Converts the configuration to one usable by the OpenAI provider.
+ * Local servers usually don't need an API key but the OpenAI client requires one.
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @returns {Object} - The OpenAI configuration data.
+ */
+function toOpenAIConfig(configData) {
+  const { api, streamUsage, headers, ...configuration } =
+    configData.configuration || {}
+  configuration.baseURL = getBaseURL(configData)
+  // The headers of the server (e.g. to authenticate) are sent with every request
+  if (headers) {
+    configuration.defaultHeaders = {
+      ...headers,
+      ...configuration.defaultHeaders
+    }
+  }
+
+  return {
+    ...configData,
+    apiKey: configData.apiKey || 'no-api-key',
+    configuration
+  }
+}
+
+/**
+ * Sends a request to the Ollama server and checks its response.
+ * @param {Object} configData - Configuration data containing the server settings.
+ * @param {string} endpoint - The API endpoint (e.g. '/api/chat').
+ * @param {Object} [body] - The JSON body, sent with POST when present.
+ * @param {AbortSignal} [signal] - Cancels the request when aborted.
+ * @returns {Promise<Response>} - The fetch response.
+ */
+async function request(configData, endpoint, body, signal) {
+  const url = `${getBaseURL(configData)}${endpoint}`
+
+  let response
+  try {
+    response = await fetch(url, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...configData.configuration?.headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    })
+  } catch (err) {
+    if (signal?.aborted) throw err
+    throw new Error(
+      `Unable to reach the local AI server at ${url}. Is it running? (${err.cause?.code || err.message})`,
+      { cause: err.cause || err }
+    )
+  }
+
+  if (!response.ok) {
+    const text = await response.text()
+    let message = text
+    try {
+      message = JSON.parse(text).error || text
+    } catch {
+      // Not a JSON error body, keep the raw text
+    }
+    // The status and headers tell whether to retry (see lib/retry.js)
+    throw Object.assign(
+      new Error(`Local AI server error (${response.status}): ${message}`),
+      { status: response.status, headers: response.headers }
+    )
+  }
+
+  return response
+}
+
+/**
+ * Reads a byte stream line by line.
+ * @param {ReadableStream} body - The response body.
+ * @returns {AsyncGenerator<string>} - The non-empty lines.
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    for (const line of lines) {
+      if (line.trim()) yield line
+    }
+  }
+  if (buffer.trim()) yield buffer
+}
@@ -0,0 +1,210 @@
+// mock.js
+import yaml from 'js-yaml'
+import fs from 'fs'
+import { setTimeout } from 'timers/promises'
+import { estimateTokens } from '../lib/tokens.js'
+
+// Number of calls failed so far, for `configuration.failures`
+let failedCalls = 0
+
+// Settings of the mock provider, checked when the configuration is loaded
+export const configSchema = {
+  properties: {
+    apiKey: { type: 'string' },
+    configuration: {
+      type: 'object',
+      properties: {
+        mode: { enum: ['echo', 'fixture', 'error'] },
+        latency: { type: 'number', minimum: 0 },
+        chunkLatency: { type: 'number', minimum: 0 },
+        fixtures: { type: 'string' },
+        responses: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { match: { type: 'string' }, reply: {} },
+            required: ['match']
+          }
+        },
+        default: {},
+        errorMessage: { type: 'string' },
+        failures: { type: 'integer', minimum: 0 },
+        errorStatus: { type: 'integer' },
+        retryAfter: { type: 'number', minimum: 0 },
+        models: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    },
+    defaultRequestOptions: { type: 'object' }
+  }
+}
+
+/**
+ * Function to get a deterministic AI response without calling any API.
+ *
+ * Modes (`configuration.mode`):
+ *   - `echo` (default): replies with the messages it received.
+ *   - `fixture`: replies with the first canned response matching the last user message.
+ *   - `error`: fails with `configuration.errorMessage`.
+ * `configuration.failures` fails the first calls of the process (to test
+ * retries and fallbacks) with the HTTP `configuration.errorStatus` (500 by
+ * default) and the `configuration.retryAfter` header, in seconds.
+ * `configuration.latency` delays the response by the given milliseconds.
+ * The token usage is estimated from the messages and the reply.
+ *
+ * @param {Object} configData - Configuration data containing the mock settings.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {Promise<string>} - AI's reply.
+ */
+export async function getAIResponse(configData, messages, options = {}) {
+  const configuration = configData.configuration || {}
+  await sleep(configuration.latency, options.signal)
+
+  failIfConfigured(configuration)
+  const reply = getReply(configuration, messages)
+  reportUsage(configData, messages, reply, options)
+  return reply
+}
+
+/**
+ * Function to stream a deterministic AI response word by word.
+ * `configuration.chunkLatency` delays each chunk by the given milliseconds.
+ * @param {Object} configData - Configuration data containing the mock settings.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {AsyncGenerator<string>} - The chunks of the AI's reply.
+ */
+export async function* streamAIResponse(configData, messages, options = {}) {
+  const configuration = configData.configuration || {}
+  await sleep(configuration.latency, options.signal)
+
+  failIfConfigured(configuration)
+  const reply = getReply(configuration, messages)
+  for (const chunk of reply.match(/\S+\s*|\s+/g) || []) {
+    await sleep(configuration.chunkLatency, options.signal)
+    yield chunk
+  }
+  reportUsage(configData, messages, reply, options)
+}
+
+/**
+ * Function to list the models of the mock provider.
+ * @param {Object} configData - Configuration data containing the mock settings.
+ * @returns {Promise<string[]>} - The model names.
+ */
+export async function listModels(configData) {
+  return configData.configuration?.models || ['mock']
+}
+
+/**
+ * Fails the call while fewer than `configuration.failures` calls have failed,
+ * as an API would (with the `status` and `headers` of the response).
+ * @param {Object} configuration - The mock configuration.
+ */
+function failIfConfigured(configuration) {
+  if (failedCalls >= (configuration.failures || 0)) return
+
+  failedCalls++
+  const status = configuration.errorStatus || 500
+  const headers =
+    configuration.retryAfter !== undefined
+      ? { 'retry-after': String(configuration.retryAfter) }
+      : {}
+  throw Object.assign(
+    new Error(
+      `Mock provider error (${status}): ${configuration.errorMessage || 'Simulated failure.'}`
+    ),
+    { status, headers }
+  )
+}
+
+/**
+ * Gets the reply for the configured mode.
+ * @param {Object} configuration - The mock configuration.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @returns {string} - The reply.
+ */
+function getReply(configuration, messages) {
+  const mode = configuration.mode || 'echo'
+
+  switch (mode) {
+    case 'echo':
+      return messages
+        .map(({ role, content }) => `[${role}]\n${content}`)
+        .join('\n')
+    case 'fixture':
+      return getFixtureReply(configuration, messages)
+    case 'error':
+      throw new Error(
+        configuration.errorMessage || 'Simulated mock provider error.'
+      )
+    default:
+      throw new Error(
+        `Unsupported mock mode '${mode}'. Supported modes are 'echo', 'fixture' and 'error'.`
+      )
+  }
+}
+
+/**
+ * Gets the first canned response whose `match` is found in the last user message.
+ * Responses come from `configuration.responses` and the `configuration.fixtures` file,
+ * falling back to `configuration.default` (or the file's `default`).
+ * @param {Object} configuration - The mock configuration.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @returns {string} - The reply.
+ */
+function getFixtureReply(configuration, messages) {
+  const fixtures = configuration.fixtures
+    ? yaml.load(fs.readFileSync(configuration.fixtures, 'utf8'))
+    : {}
+  const responses = [
+    ...(configuration.responses || []),
+    ...(fixtures.responses || [])
+  ]
+  const lastUserMessage =
+    messages.findLast((message) => message.role === 'user')?.content || ''
+
+  const response = responses.find(({ match = '' }) =>
+    lastUserMessage.includes(match)
+  )
+  const reply = response
+    ? response.reply
+    : (configuration.default ?? fixtures.default)
+  if (reply === undefined) {
+    throw new Error('No mock fixture matches the prompt.')
+  }
+  return reply
+}
+
+/**
+ * Reports the estimated token usage of a call.
+ * @param {Object} configData - Configuration data containing the request options.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {string} reply - The reply.
+ * @param {Object} options - The options of the call, with `onUsage`.
+ */
+function reportUsage(configData, messages, reply, options) {
+  const model = configData.defaultRequestOptions?.model
+  options.onUsage?.({
+    inputTokens: estimateTokens(
+      messages.map(({ content }) => content).join('\n'),
+      model
+    ),
+    outputTokens: estimateTokens(reply, model)
+  })
+}
+
+/**
+ * Waits for the given number of milliseconds, as a request would.
+ * @param {number} [ms] - The delay.
+ * @param {AbortSignal} [signal] - Cancels the wait when aborted.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return setTimeout(ms > 0 ? ms : 0, undefined, { signal })
+}
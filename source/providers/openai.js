@@ -1,32 +1,163 @@
 // openai.js
 import { OpenAI } from 'openai'
 
+// Settings of the OpenAI provider, checked when the configuration is loaded
+export const configSchema = {
+  properties: {
+    apiKey: { type: 'string' },
+    configuration: {
+      type: 'object',
+      properties: {
+        organization: { type: 'string' },
+        project: { type: 'string' },
+        baseURL: { type: 'string' },
+        timeout: { type: 'integer', minimum: 0 },
+        maxRetries: { type: 'integer', minimum: 0 },
+        defaultHeaders: { type: 'object' },
+        defaultQuery: { type: 'object' }
+      },
+      additionalProperties: false
+    },
+    defaultRequestOptions: {
+      type: 'object',
+      properties: {
+        model: { type: 'string' },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        max_tokens: { type: 'integer', minimum: 1 },
+        max_completion_tokens: { type: 'integer', minimum: 1 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+        frequency_penalty: { type: 'number', minimum: -2, maximum: 2 },
+        presence_penalty: { type: 'number', minimum: -2, maximum: 2 },
+        stop: { type: ['string', 'array'] },
+        seed: { type: 'integer' }
+      }
+    }
+  }
+}
+
 /**
  * Function to get AI response from OpenAI.
  * @param {Object} configData - Configuration data containing API keys and settings.
- * @param {string} inputData - Input data (e.g., system prompt).
- * @param {string} prompt - User prompt.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
  * @returns {Promise<string>} - AI's reply.
  */
-export async function getAIResponse(configData, inputData, prompt) {
+export async function getAIResponse(configData, messages, options = {}) {
   // Create OpenAI client
-  const openai = new OpenAI({
-    apiKey: configData.apiKey,
-    ...configData.configuration
-  })
-
-  // Combine input data and prompt
-  const messages = [
-    { role: 'system', content: inputData },
-    { role: 'user', content: prompt }
-  ]
+  const openai = createClient(configData)
 
   // Call the OpenAI API
-  const response = await openai.chat.completions.create({
-    ...configData.defaultRequestOptions,
-    messages
-  })
+  const response = await openai.chat.completions.create(
+    {
+      ...configData.defaultRequestOptions,
+      ...getResponseFormat(configData),
+      messages
+    },
+    { signal: options.signal }
+  )
+
+  reportUsage(response.usage, options)
 
   // Extract the AI's reply
   return response.choices[0].message.content
 }
+
+/**
+ * Function to stream the AI response from OpenAI as it is generated.
+ * @param {Object} configData - Configuration data containing API keys and settings.
+ * @param {Object[]} messages - Conversation history as `{ role, content }` objects.
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the `{ inputTokens, outputTokens }` of the call.
+ * @param {boolean} [options.streamUsage=true] - Whether to ask for the usage with `stream_options`.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {AsyncGenerator<string>} - The text deltas of the AI's reply.
+ */
+export async function* streamAIResponse(configData, messages, options = {}) {
+  // Create OpenAI client
+  const openai = createClient(configData)
+
+  // Call the OpenAI API in streaming mode
+  const stream = await openai.chat.completions.create(
+    {
+      ...configData.defaultRequestOptions,
+      messages,
+      stream: true,
+      // Usage comes with the last chunk
+      ...(options.streamUsage !== false && {
+        stream_options: { include_usage: true }
+      })
+    },
+    { signal: options.signal }
+  )
+
+  // Yield the text of each chunk as it arrives
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content
+    if (delta) yield delta
+    if (chunk.usage) reportUsage(chunk.usage, options)
+  }
+}
+
+/**
+ * Function to list the models available with the OpenAI API.
+ * @param {Object} configData - Configuration data containing API keys and settings.
+ * @returns {Promise<string[]>} - The model IDs.
+ */
+export async function listModels(configData) {
+  const openai = createClient(configData)
+
+  const models = []
+  for await (const model of openai.models.list()) {
+    models.push(model.id)
+  }
+  return models.sort()
+}
+
+/**
+ * Gets the native JSON mode options when a JSON reply is expected
+ * (`configData.responseFormat`), with the JSON Schema if there is one.
+ * @param {Object} configData - Configuration data containing the response format.
+ * @returns {Object} - The `response_format` request option, if any.
+ */
+function getResponseFormat({ responseFormat }) {
+  if (responseFormat?.type !== 'json') {
+    return {}
+  }
+  if (!responseFormat.schema) {
+    return { response_format: { type: 'json_object' } }
+  }
+  return {
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: responseFormat.schema }
+    }
+  }
+}
+
+/**
+ * Creates an OpenAI client from the configuration data.
+ * @param {Object} configData - Configuration data containing API keys and settings.
+ * @returns {OpenAI} - The OpenAI client.
+ */
+function createClient(configData) {
+  return new OpenAI({
+    apiKey: configData.apiKey,
+    maxRetries: 0, // Failed calls are retried by pipe-ai (see `retry`)
+    ...configData.configuration
+  })
+}
+
+/**
+ * Reports the token usage of a call, if the server sent it.
+ * @param {Object} [usage] - The `usage` of the response.
+ * @param {Object} options - The options of the call, with `onUsage`.
+ */
+function reportUsage(usage, options) {
+  if (!usage) return
+  options.onUsage?.({
+    inputTokens: usage.prompt_tokens,
+    outputTokens: usage.completion_tokens
+  })
+}
@@ -0,0 +1,118 @@
+// chunking.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { splitIntoChunks } from '../source/lib/chunking.js'
+import {
+  estimateTokens,
+  getInputBudget,
+  getModelProfile,
+  getOutputLimit
+} from '../source/lib/tokens.js'
+import { ConfigurationError } from '../source/lib/config.js'
+import {
+  mapWithConcurrency,
+  parsePositiveInteger
+} from '../source/lib/utils.js'
+
+describe('tokens', () => {
+  it('estimates tokens from the characters per token of the model', () => {
+    assert.equal(estimateTokens('a'.repeat(40), 'gpt-4o'), 10)
+    assert.equal(estimateTokens('a'.repeat(35), 'claude-3-5-sonnet-latest'), 10)
+    assert.equal(estimateTokens(''), 0)
+  })
+
+  it('gets the input budget from the configuration or the model', () => {
+    assert.equal(getInputBudget({ chunking: { maxInputTokens: 500 } }), 500)
+    assert.equal(
+      getInputBudget({
+        defaultRequestOptions: { model: 'gpt-4', max_tokens: 1192 }
+      }),
+      getModelProfile('gpt-4').contextWindow - 1192 - 1000
+    )
+  })
+
+  it('rejects a max_tokens which leaves no room for the input', () => {
+    assert.throws(
+      () =>
+        getInputBudget({
+          defaultRequestOptions: { model: 'gpt-4', max_tokens: 8000 }
+        }),
+      ConfigurationError
+    )
+  })
+
+  it('gets the output limit from max_tokens or the model', () => {
+    const options = { model: 'gpt-4o', max_tokens: 100 }
+    assert.equal(getOutputLimit({ defaultRequestOptions: options }), 100)
+    assert.equal(
+      getOutputLimit({ defaultRequestOptions: { model: 'gpt-4o' } }),
+      getModelProfile('gpt-4o').maxOutputTokens
+    )
+    assert.equal(getOutputLimit({}), getModelProfile().maxOutputTokens)
+  })
+})
+
+describe('splitIntoChunks', () => {
+  const text = 'one one\n\ntwo two\n\nthree three three three\nfour\n'
+
+  it('splits on paragraphs and keeps all the text', () => {
+    const chunks = splitIntoChunks(text, 6)
+
+    assert.deepEqual(chunks, [
+      'one one\n\ntwo two\n\n',
+      'three three three three\n',
+      'four\n'
+    ])
+    assert.equal(chunks.join(''), text)
+  })
+
+  it('splits on lines', () => {
+    const chunks = splitIntoChunks('a\nb\nc\nd\n', 1, { strategy: 'lines' })
+
+    assert.deepEqual(chunks, ['a\nb\n', 'c\nd\n'])
+  })
+
+  it('cuts lines longer than the budget', () => {
+    const chunks = splitIntoChunks('x'.repeat(10), 1)
+
+    assert.deepEqual(chunks, ['xxxx', 'xxxx', 'xx'])
+  })
+})
+
+describe('mapWithConcurrency', () => {
+  it('keeps the order and limits the concurrency', async () => {
+    let running = 0
+    let maxRunning = 0
+
+    const results = await mapWithConcurrency(
+      [30, 10, 20, 5],
+      2,
+      async (delay, index) => {
+        maxRunning = Math.max(maxRunning, ++running)
+        await new Promise((resolve) => setTimeout(resolve, delay))
+        running--
+        return index
+      }
+    )
+
+    assert.deepEqual(results, [0, 1, 2, 3])
+    assert.equal(maxRunning, 2)
+  })
+
+  it('rejects a concurrency that is not a positive integer', async () => {
+    for (const concurrency of [NaN, undefined, 0, -2, 1.5]) {
+      await assert.rejects(
+        mapWithConcurrency([1, 2], concurrency, async (item) => item),
+        /Invalid concurrency .*, expected a positive integer/
+      )
+    }
+  })
+
+  it('parses a --concurrency which is a positive integer', () => {
+    assert.equal(parsePositiveInteger('4'), 4)
+    for (const value of ['0', 'abc', '-2', '1.5', '']) {
+      assert.throws(() => parsePositiveInteger(value), /positive integer/)
+    }
+  })
+})
@@ -0,0 +1,1673 @@
+// cli.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import Database from 'better-sqlite3'
+import {
+  createSandbox,
+  runCLI,
+  runInterruptedCLI,
+  fixturesDir
+} from './helpers.js'
+
+describe('pipe-ai', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = createSandbox()
+  })
+
+  afterEach(() => {
+    sandbox.cleanup()
+  })
+
+  /**
+   * Runs the CLI with the sandbox HOME and database.
+   */
+  function run(args, options = {}) {
+    return runCLI(['-d', sandbox.dbPath, ...args], {
+      home: sandbox.dir,
+      ...options
+    })
+  }
+
+  describe('default action', () => {
+    it('sends the piped input and the prompt to the provider', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const result = run(['-c', config, '-m', 'Summarize this.'], {
+        input: 'some piped input'
+      })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(
+        result.stdout,
+        '[system]\nsome piped input\n[user]\n\nSummarize this.\n'
+      )
+    })
+
+    it('reads the input from a file', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const inputFile = path.join(sandbox.dir, 'input.txt')
+      fs.writeFileSync(inputFile, 'file input')
+
+      const result = run([inputFile, '-c', config, '-m', 'Hi'])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /\[system\]\nfile input\n/)
+    })
+
+    it('labels several inputs and honors .gitignore in directories', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const srcDir = path.join(sandbox.dir, 'src')
+      fs.mkdirSync(path.join(srcDir, 'build'), { recursive: true })
+      fs.writeFileSync(path.join(srcDir, '.gitignore'), 'build/\n')
+      fs.writeFileSync(path.join(srcDir, 'a.js'), 'const a = 1')
+      fs.writeFileSync(path.join(srcDir, 'b.md'), '# B')
+      fs.writeFileSync(path.join(srcDir, 'build', 'c.js'), 'ignored')
+
+      const result = run(
+        ['-', 'src', '--ext', 'js', '-c', config, '-m', 'Hi'],
+        {
+          input: 'piped',
+          cwd: sandbox.dir
+        }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stdout,
+        /<input source="stdin">\npiped\n<\/input>\n\n<input source="src\/a.js">\nconst a = 1\n<\/input>\n\[user\]/
+      )
+    })
+
+    it('lists the inputs and their estimated tokens with --list-inputs', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const docsDir = path.join(sandbox.dir, 'docs')
+      fs.mkdirSync(docsDir)
+      fs.writeFileSync(path.join(docsDir, 'a.txt'), 'a'.repeat(400))
+      fs.writeFileSync(path.join(docsDir, 'b.bin'), 'b\0')
+
+      const result = run(['docs', '-c', config, '--list-inputs'], {
+        cwd: sandbox.dir
+      })
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /~100 tokens\s+400 B  docs\/a.txt/)
+      assert.match(result.stdout, /skipped\s+binary  docs\/b.bin/)
+      assert.match(result.stdout, /^1 input\(s\)/m)
+      assert.equal(fs.existsSync(sandbox.dbPath), false)
+    })
+
+    it('combines a pre-defined prompt with the message', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const result = run(['-c', config, '-p', 'summarize', '-m', 'Be brief.'], {
+        input: 'input'
+      })
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stdout,
+        /\[user\]\nPlease provide a concise summary.*\nBe brief\.\n$/
+      )
+    })
+
+    it('renders pre-prompt templates and applies their front matter', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const promptFile = path.join(sandbox.dir, 'release.txt')
+      fs.writeFileSync(
+        promptFile,
+        '---\ntemperature: 0.1\nvariables:\n  version:\n---\nNotes for {{version}}: {{message}}\n{{input}}'
+      )
+
+      const missing = run(['-c', config, '-p', promptFile, '-m', 'Be brief'], {
+        input: 'input'
+      })
+      const result = run(
+        [
+          '-c',
+          config,
+          '-p',
+          promptFile,
+          '-m',
+          'Be brief',
+          '--var',
+          'version=v2'
+        ],
+        { input: 'input' }
+      )
+
+      assert.equal(missing.status, 1)
+      assert.match(
+        missing.output,
+        /Missing required prompt variables:\n {2}- version/
+      )
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, '[user]\nNotes for v2: Be brief\ninput\n\n')
+      const [message] = sandbox.readMessages()
+      assert.equal(message.content.prePromptName, promptFile)
+      assert.equal(
+        message.content.configData.defaultRequestOptions.temperature,
+        0.1
+      )
+    })
+
+    it('replies with canned responses from a fixture file', () => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        fixtures: path.join(fixturesDir, 'replies.yaml')
+      })
+
+      const matched = run(['-c', config, '-m', 'Please summarize'], {
+        input: 'input'
+      })
+      const unmatched = run(['-c', config, '-m', 'Anything else'], {
+        input: 'input'
+      })
+
+      assert.equal(matched.stdout, 'This is a canned summary.\n')
+      assert.equal(unmatched.stdout, 'This is the default canned reply.\n')
+    })
+
+    it('writes the reply to the output file', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Saved!' })
+      const outputFile = path.join(sandbox.dir, 'output.txt')
+
+      const result = run(['-c', config, '-m', 'Hi', '-o', outputFile], {
+        input: 'input'
+      })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(fs.readFileSync(outputFile, 'utf8'), 'Saved!')
+      assert.doesNotMatch(result.stdout, /Saved!/)
+    })
+
+    it('streams the reply with --stream', () => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        default: 'A streamed reply.'
+      })
+      const outputFile = path.join(sandbox.dir, 'output.txt')
+
+      const toStdout = run(['-c', config, '-m', 'Hi', '--stream'], {
+        input: 'input'
+      })
+      const toFile = run(
+        ['-c', config, '-m', 'Hi', '--stream', '-o', outputFile],
+        { input: 'input' }
+      )
+
+      assert.equal(toStdout.status, 0, toStdout.output)
+      assert.equal(toStdout.stdout, 'A streamed reply.\n')
+      assert.equal(toFile.status, 0, toFile.output)
+      assert.equal(fs.readFileSync(outputFile, 'utf8'), 'A streamed reply.')
+      assert.equal(
+        sandbox.readMessages()[1].content.aiReply,
+        'A streamed reply.'
+      )
+    })
+
+    it('exits with an error when the provider fails', () => {
+      const config = sandbox.writeConfig({
+        mode: 'error',
+        errorMessage: 'Simulated outage'
+      })
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /Simulated outage/)
+      assert.deepEqual(sandbox.readMessages(), [])
+    })
+
+    it('exits with an error when the configuration is missing', () => {
+      const result = run(['-c', 'does-not-exist', '-m', 'Hi'], {
+        input: 'input'
+      })
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /Unable to find the configuration file/)
+    })
+  })
+
+  describe('database', () => {
+    it('saves the interaction', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      run(['-c', config, '-p', 'summarize', '-m', 'Hi'], { input: 'input' })
+
+      const [message] = sandbox.readMessages()
+      assert.equal(message.content.aiReply, 'Reply')
+      assert.equal(message.content.inputData, 'input')
+      assert.equal(message.content.prompt, 'Hi')
+      assert.match(message.content.prePrompt, /concise summary/)
+      assert.equal(message.content.configData.provider, 'mock')
+    })
+
+    it("doesn't save the interaction with --no-logs", () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const first = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+      const second = run(['-c', config, '-m', 'Hi', '--no-logs'], {
+        input: 'input'
+      })
+
+      assert.equal(first.status, 0, first.output)
+      assert.equal(second.status, 0, second.output)
+      assert.equal(sandbox.readMessages().length, 1)
+    })
+
+    it('continues the last conversation with --continue', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      run(['-c', config, '-m', 'First'], { input: 'input' })
+      const result = run(['-c', config, '-m', 'Second', '--continue'])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stdout,
+        /^\[system\]\ninput\n\[user\]\n\nFirst\n\[assistant\]\n.*\n\[user\]\n\nSecond\n$/s
+      )
+      const messages = sandbox.readMessages()
+      assert.equal(messages.length, 2)
+      assert.equal(messages[0].conversationId, messages[1].conversationId)
+    })
+
+    it('continues a conversation by ID prefix', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      run(['-c', config, '-m', 'First'], { input: 'one' })
+      run(['-c', config, '-m', 'Other'], { input: 'two' })
+      const [first] = sandbox.readMessages()
+
+      const result = run([
+        '-c',
+        config,
+        '-m',
+        'Follow up',
+        '--continue',
+        first.conversationId.slice(0, 8)
+      ])
+
+      assert.equal(result.status, 0, result.output)
+      const messages = sandbox.readMessages()
+      assert.equal(messages[2].conversationId, first.conversationId)
+    })
+
+    it('fails to continue an unknown conversation', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const result = run(['-c', config, '-m', 'Hi', '--continue', 'unknown'])
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /Conversation 'unknown' not found/)
+    })
+  })
+
+  describe('json', () => {
+    const schema = {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    }
+
+    it('repairs the reply until it matches the schema', () => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        responses: [
+          { match: 'Reply again', reply: '```json\n{"name": "pipe-ai"}\n```' }
+        ],
+        default: '{"name": 1}'
+      })
+      const schemaFile = path.join(sandbox.dir, 'schema.json')
+      fs.writeFileSync(schemaFile, JSON.stringify(schema))
+
+      const result = run(
+        ['-c', config, '-m', 'Name?', '--schema', schemaFile],
+        {
+          input: 'input'
+        }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, '{\n  "name": "pipe-ai"\n}\n')
+      const [message] = sandbox.readMessages()
+      assert.equal(message.content.json, true)
+    })
+
+    it('reads the schema of a pre-prompt relative to its file', () => {
+      const promptsDir = path.join(sandbox.dir, '.config', 'pipe-ai', 'prompts')
+      fs.mkdirSync(path.join(promptsDir, 'schemas'), { recursive: true })
+      fs.writeFileSync(
+        path.join(promptsDir, 'schemas', 'name.json'),
+        JSON.stringify(schema)
+      )
+      fs.writeFileSync(
+        path.join(promptsDir, 'name.txt'),
+        '---\nschema: schemas/name.json\n---\nGive the name.'
+      )
+      const config = sandbox.writeConfig(
+        {
+          mode: 'fixture',
+          default: '{"name": 1}'
+        },
+        { json: { maxRepairs: 0 } }
+      )
+
+      const result = run(['-c', config, '-p', 'name'], { input: 'input' })
+
+      assert.equal(result.status, 65, result.output)
+      assert.match(result.output, /must be string/)
+    })
+
+    it('exits with a distinct code when the reply never validates', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Not JSON' },
+        { json: { schema, maxRepairs: 1 } }
+      )
+      const result = run(['-c', config, '-m', 'Name?'], { input: 'input' })
+
+      assert.equal(result.status, 65)
+      assert.match(result.output, /still not valid after 1 repair/)
+    })
+  })
+
+  describe('cache', () => {
+    it('reuses the cached reply to the same request with --cache', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      run(['-c', config, '-m', 'Hi', '--cache'], { input: 'input' })
+      const failing = sandbox.writeConfig({ mode: 'error' })
+
+      const cached = run(['-c', failing, '-m', 'Hi', '--cache'], {
+        input: 'input'
+      })
+      const otherInput = run(['-c', failing, '-m', 'Hi', '--cache'], {
+        input: 'other input'
+      })
+      const refreshed = run(['-c', failing, '-m', 'Hi', '--refresh'], {
+        input: 'input'
+      })
+
+      assert.equal(cached.status, 0, cached.output)
+      assert.equal(cached.stdout, 'Reply\n')
+      assert.equal(otherInput.status, 1)
+      assert.equal(refreshed.status, 1)
+      const messages = sandbox.readMessages()
+      assert.equal(messages.length, 2)
+      assert.equal(messages[1].content.cached, true)
+    })
+
+    it('uses the cache when enabled in the configuration', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply' },
+        { cache: { enabled: true, ttl: '1h' } }
+      )
+      run(['-c', config, '-m', 'Hi'], { input: 'input' })
+      run(['-c', config, '-m', 'Hi'], { input: 'input' })
+      run(['-c', config, '-m', 'Hi', '--no-cache'], { input: 'input' })
+
+      const cached = sandbox.readMessages().map(({ content }) => content.cached)
+      assert.deepEqual(cached, [undefined, true, undefined])
+    })
+
+    it('prints only the cached reply, without the spinner', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      const first = run(['-c', config, '-m', 'Hi', '--cache'], {
+        input: 'input'
+      })
+
+      for (const stream of ['--no-stream', '--stream']) {
+        const cached = run(['-c', config, '-m', 'Hi', '--cache', stream], {
+          input: 'input'
+        })
+
+        assert.equal(cached.status, 0, cached.output)
+        assert.equal(cached.output, 'Reply\n')
+      }
+      assert.match(first.stderr, /Operation completed successfully/)
+    })
+
+    it('shows statistics and clears the cache', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      run(['-c', config, '-m', 'Hi', '--cache'], { input: 'input' })
+      run(['-c', config, '-m', 'Hi', '--cache'], { input: 'input' })
+
+      const stats = run(['cache', 'stats', '-c', config])
+      const clear = run(['cache', 'clear'])
+
+      assert.equal(stats.status, 0, stats.output)
+      assert.match(stats.stdout, /Entries: 1 \(0 expired\)\nHits: +1\n/)
+      assert.equal(clear.stdout, 'Deleted 1 cached reply.\n')
+    })
+  })
+
+  describe('redaction', () => {
+    const input = 'Contact bob@example.com'
+
+    it('sends and saves the redacted input, restoring the printed reply', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'echo' },
+        { redaction: { reversible: true } }
+      )
+      const result = run(['-c', config, '-m', 'Hi', '--redact'], { input })
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /Contact bob@example.com/)
+      const [message] = sandbox.readMessages()
+      assert.equal(message.content.inputData, 'Contact [REDACTED_EMAIL_1]')
+      assert.match(message.content.aiReply, /Contact \[REDACTED_EMAIL_1\]/)
+    })
+
+    it('lists the redactions without sending anything', () => {
+      const config = sandbox.writeConfig({ mode: 'error' })
+      const result = run(['-c', config, '--show-redactions'], { input })
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stdout,
+        /email +\[REDACTED_EMAIL\] +bob@… \(15 chars\)/
+      )
+    })
+
+    it('redacts the variables and environment values of the pre-prompt', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const promptFile = path.join(sandbox.dir, 'deploy.txt')
+      fs.writeFileSync(
+        promptFile,
+        'Deploy to {{host}} with {{env.DEPLOY_TOKEN}}:\n{{input}}'
+      )
+      const args = ['-c', config, '-p', promptFile, '--var', 'host=10.0.0.12']
+      const env = { DEPLOY_TOKEN: 'sk-abcdefghijklmnopqrstuvwxyz' }
+
+      const shown = run([...args, '--show-redactions'], { input, env })
+      const result = run([...args, '--redact'], { input, env })
+
+      assert.equal(shown.status, 0, shown.output)
+      assert.match(shown.stdout, /^api-key +\[REDACTED_API_KEY\] +sk-a…/m)
+      assert.match(shown.stdout, /^ip +\[REDACTED_IP\] +10\.0…/m)
+      assert.match(shown.stdout, /^3 value\(s\) redacted\.$/m)
+      assert.equal(result.status, 0, result.output)
+      assert.equal(
+        result.stdout,
+        '[user]\nDeploy to [REDACTED_IP] with [REDACTED_API_KEY]:\nContact [REDACTED_EMAIL]\n\n'
+      )
+    })
+  })
+
+  describe('chunking', () => {
+    const input = 'aaaa aaaa aaaa aaaa\n\nbbbb bbbb bbbb bbbb\n\ncccc\n'
+
+    it('fails when the input is over the budget without --chunk', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'echo' },
+        { chunking: { maxInputTokens: 10 } }
+      )
+      const result = run(['-c', config, '-m', 'Sum up'], { input })
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /over the budget of 10 tokens.*--chunk/)
+    })
+
+    it('maps the prompt over the chunks and reduces the answers', () => {
+      const config = sandbox.writeConfig(
+        {
+          mode: 'fixture',
+          responses: [
+            { match: 'part 1 of 2', reply: 'A' },
+            { match: 'part 2 of 2', reply: 'B' },
+            { match: 'Combine', reply: 'Both halves' }
+          ]
+        },
+        { chunking: { maxInputTokens: 10 } }
+      )
+      const result = run(['-c', config, '-m', 'Sum up', '--chunk'], { input })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'Both halves\n')
+
+      const messages = sandbox.readMessages()
+      assert.equal(messages.length, 3)
+      assert.equal(new Set(messages.map((m) => m.conversationId)).size, 1)
+      assert.deepEqual(messages[0].content.chunk, {
+        round: 1,
+        index: 1,
+        count: 2
+      })
+      assert.equal(
+        messages[2].content.inputData,
+        '## Part 1\n\nA\n\n## Part 2\n\nB'
+      )
+      assert.equal(messages[2].content.chunked, true)
+    })
+  })
+
+  describe('configuration', () => {
+    /**
+     * Writes a YAML file, creating its directory.
+     */
+    function writeYaml(filePath, content) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, content)
+    }
+
+    beforeEach(() => {
+      writeYaml(
+        path.join(sandbox.dir, '.config', 'pipe-ai', 'config.yaml'),
+        [
+          'provider: mock',
+          'apiKey: ${MOCK_API_KEY}',
+          'configuration:',
+          '  mode: fixture',
+          '  default: ${MOCK_REPLY:-User reply}',
+          'profiles:',
+          '  echo:',
+          '    configuration:',
+          '      mode: echo'
+        ].join('\n')
+      )
+    })
+
+    it('layers the user and project configurations with a profile', () => {
+      const project = path.join(sandbox.dir, 'project')
+      writeYaml(
+        path.join(project, '.pipe-ai.yaml'),
+        'defaultRequestOptions:\n  model: project-model\n'
+      )
+      fs.mkdirSync(path.join(project, 'src'))
+      const env = { MOCK_API_KEY: 'sk-secret' }
+
+      const reply = run(['-m', 'Hi', '--no-logs'], {
+        input: 'input',
+        env,
+        cwd: path.join(project, 'src')
+      })
+      assert.equal(reply.status, 0, reply.output)
+      assert.equal(reply.stdout, 'User reply\n')
+
+      const show = run(['config', 'show', '--profile', 'echo'], {
+        env,
+        cwd: path.join(project, 'src')
+      })
+      assert.equal(show.status, 0, show.output)
+      assert.match(show.stdout, /\.pipe-ai\.yaml\n#   - profile 'echo'\n/)
+      assert.match(show.stdout, /apiKey: '\*+'/)
+      assert.match(show.stdout, /mode: echo/)
+      assert.match(show.stdout, /model: project-model/)
+      assert.doesNotMatch(show.stdout, /sk-secret|profiles/)
+    })
+
+    it('interpolates environment variables', () => {
+      const env = { MOCK_API_KEY: 'key', MOCK_REPLY: 'Env reply' }
+      const result = run(['-m', 'Hi', '--no-logs'], { input: 'input', env })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'Env reply\n')
+    })
+
+    it('does not save the secrets of the configuration', () => {
+      const env = { MOCK_API_KEY: 'sk-secret' }
+      const result = run(['-m', 'Hi'], { input: 'input', env })
+      assert.equal(result.status, 0, result.output)
+
+      const [message] = sandbox.readMessages()
+      assert.equal(message.content.configData.apiKey, '********')
+      assert.doesNotMatch(JSON.stringify(message), /sk-secret/)
+    })
+
+    it('reports the environment variables which are not set', () => {
+      const result = run(['config', 'show'])
+
+      assert.equal(result.status, 1)
+      assert.match(
+        result.output,
+        /Environment variable 'MOCK_API_KEY' is not set, used by 'apiKey' \(in .*config\.yaml\)/
+      )
+    })
+
+    it('reports unknown and mistyped keys with their file', () => {
+      const config = sandbox.writeConfig({ mode: 'loud', delay: 10 })
+      const result = run(['-c', config, '-m', 'Hi'], {
+        input: 'input',
+        env: { MOCK_API_KEY: 'key' }
+      })
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /Invalid configuration for provider 'mock'/)
+      assert.match(
+        result.output,
+        new RegExp(`Unknown key 'configuration.delay' \\(in ${config}\\)`)
+      )
+      assert.match(
+        result.output,
+        /'configuration.mode' must be equal to one of the allowed values \(echo, fixture, error\)/
+      )
+    })
+
+    it('overrides the request options for a single call and saves them', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const result = run(
+        [
+          '-c',
+          config,
+          '-m',
+          'Hi',
+          '--model',
+          'mock-large',
+          '--temperature',
+          '0.2',
+          '--max-tokens',
+          '100',
+          '--set',
+          'options.seed=42',
+          '--system',
+          'Be brief.'
+        ],
+        { input: 'input', env: { MOCK_API_KEY: 'key' } }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stdout,
+        /^\[system\]\nBe brief\.\n\[system\]\ninput\n/
+      )
+      const [message] = sandbox.readMessages()
+      assert.deepEqual(message.content.configData.defaultRequestOptions, {
+        model: 'mock-large',
+        temperature: 0.2,
+        max_tokens: 100,
+        options: { seed: 42 }
+      })
+      assert.equal(message.content.configData.system, 'Be brief.')
+    })
+
+    it('validates the overrides against the provider', () => {
+      const config = sandbox.writeConfig(
+        {},
+        { provider: 'openai', apiKey: 'key' }
+      )
+      const result = run(['-c', config, '-m', 'Hi', '--temperature', 'hot'], {
+        input: 'input'
+      })
+
+      assert.equal(result.status, 1)
+      assert.match(
+        result.output,
+        /'defaultRequestOptions\.temperature' must be number \(in command line\)/
+      )
+    })
+
+    it('exits with an error for an unknown profile', () => {
+      const result = run(['--profile', 'work', '-m', 'Hi'], {
+        input: 'input',
+        env: { MOCK_API_KEY: 'key' }
+      })
+
+      assert.equal(result.status, 1)
+      assert.match(
+        result.output,
+        /Profile 'work' not found\. Available profiles: echo\./
+      )
+    })
+  })
+
+  describe('usage', () => {
+    const pricing = { mock: { input: 1000, output: 2000 } }
+
+    it('records the usage and cost of the calls, and reports them', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply' },
+        { pricing }
+      )
+      run(['-c', config, '-p', 'summarize', '-m', 'Hi'], { input: 'input' })
+      run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      const result = run(['usage', '-c', config, '--by', 'prompt', '--json'])
+
+      assert.equal(result.status, 0, result.output)
+      const { rows } = JSON.parse(result.stdout)
+      assert.deepEqual(
+        rows.map(({ key, calls, outputTokens }) => ({
+          key,
+          calls,
+          outputTokens
+        })),
+        [
+          { key: 'summarize', calls: 1, outputTokens: 2 },
+          { key: '-', calls: 1, outputTokens: 2 }
+        ]
+      )
+      assert.ok(
+        rows.every(
+          ({ cost, inputTokens }) =>
+            cost === (inputTokens * 1000 + 2 * 2000) / 1e6
+        )
+      )
+    })
+
+    it('refuses to send a request over --max-cost', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply' },
+        { pricing }
+      )
+      const result = run(['-c', config, '-m', 'Hi', '--max-cost', '0.001'], {
+        input: 'input'
+      })
+
+      assert.equal(result.status, 75)
+      assert.match(result.output, /over --max-cost \$0\.0010/)
+      assert.deepEqual(sandbox.readMessages(), [])
+    })
+
+    it('refuses to send a request over the daily budget', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply' },
+        { pricing, budget: { daily: 0.005 } }
+      )
+      // The estimate counts the most the call may reply
+      const args = ['-c', config, '-m', 'Hi', '--max-tokens', '1']
+      const first = run(args, { input: 'input' })
+      const second = run(args, { input: 'input' })
+
+      assert.equal(first.status, 0, first.output)
+      assert.equal(second.status, 75)
+      assert.match(
+        second.output,
+        /over the daily budget: \$0\.0070 of \$0\.0050 spent/
+      )
+    })
+
+    it('refuses to send a request with a budget but no rates', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply' },
+        { budget: { monthly: 1 } }
+      )
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 1)
+      assert.match(
+        result.output,
+        /No rates for model 'mock' in the 'pricing' section of the configuration, unable to check the budget\./
+      )
+      assert.deepEqual(sandbox.readMessages(), [])
+    })
+  })
+
+  describe('retries and fallbacks', () => {
+    it('retries a call failing with a retryable error', () => {
+      const config = sandbox.writeConfig(
+        {
+          mode: 'fixture',
+          default: 'Reply',
+          failures: 2,
+          errorStatus: 429,
+          retryAfter: 0
+        },
+        { retry: { maxRetries: 2 } }
+      )
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'Reply\n')
+      assert.match(
+        result.stderr,
+        /mock\/mock failed \(Mock provider error \(429\).*\), retrying in 0\.0s\./
+      )
+    })
+
+    it('does not retry a call failing with a client error', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply', failures: 1, errorStatus: 400 },
+        { retry: { delay: 0 } }
+      )
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /Mock provider error \(400\)/)
+    })
+
+    it('fails a call taking longer than the timeout', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply', latency: 1000 },
+        { timeout: 0.1, retry: { maxRetries: 0 } }
+      )
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /did not respond within 0.1 seconds/)
+    })
+
+    it('falls back to the next provider, saving the one which answered', () => {
+      const fallback = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Fallback reply' },
+        { defaultRequestOptions: { model: 'backup' } }
+      )
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply', failures: 1, errorStatus: 503 },
+        { retry: { maxRetries: 0 }, fallback: [fallback] }
+      )
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'Fallback reply\n')
+      const [message] = sandbox.readMessages()
+      assert.equal(
+        message.content.configData.defaultRequestOptions.model,
+        'backup'
+      )
+    })
+
+    it('retries the fallbacks with their own settings', () => {
+      const fallback = sandbox.writeConfig(
+        // The failures are counted over both providers
+        { mode: 'fixture', default: 'Fallback reply', failures: 2 },
+        {
+          defaultRequestOptions: { model: 'backup' },
+          retry: { maxRetries: 1, delay: 0 }
+        }
+      )
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply', failures: 1, errorStatus: 503 },
+        { retry: { maxRetries: 0 }, fallback: [fallback] }
+      )
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'Fallback reply\n')
+      assert.match(
+        result.stderr,
+        /mock\/mock failed \(.*\), falling back to '.*config-1\.yaml'\./
+      )
+      assert.match(result.stderr, /config-1\.yaml failed \(.*\), retrying in/)
+    })
+
+    it('cancels the call which timed out, exiting once the fallback answers', () => {
+      const fallback = sandbox.writeConfig({
+        mode: 'fixture',
+        default: 'Fallback reply'
+      })
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply', latency: 8000 },
+        { timeout: 1, retry: { maxRetries: 0 }, fallback: [fallback] }
+      )
+
+      for (const stream of ['--no-stream', '--stream']) {
+        const start = Date.now()
+        const result = run(['-c', config, '-m', 'Hi', stream], {
+          input: 'input'
+        })
+
+        assert.equal(result.status, 0, result.output)
+        assert.equal(result.stdout, 'Fallback reply\n')
+        // Not waiting for the reply of the call which timed out
+        assert.ok(Date.now() - start < 6000, `${stream} took too long`)
+      }
+    })
+  })
+
+  describe('batch', () => {
+    it('rejects a --concurrency which is not a positive integer', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const result = run(
+        ['-c', config, '--batch', 'lines', '--concurrency', '0'],
+        {
+          input: 'one\n'
+        }
+      )
+
+      assert.equal(result.status, 1)
+      assert.match(
+        result.output,
+        /'--concurrency <number>' argument '0' is invalid/
+      )
+      assert.equal(fs.existsSync(sandbox.dbPath), false)
+    })
+
+    it('outputs a JSON line per record, in the order of the records', () => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        responses: [{ match: 'dark', reply: 'feature' }],
+        default: 'fix'
+      })
+      const result = run(
+        ['-c', config, '--batch', 'csv', '-m', 'Classify: {{record.title}}'],
+        { input: 'title,id\nfix login,1\n"add dark mode, at last",2\n' }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.deepEqual(result.stdout.trim().split('\n').map(JSON.parse), [
+        { record: { title: 'fix login', id: '1' }, reply: 'fix', error: null },
+        {
+          record: { title: 'add dark mode, at last', id: '2' },
+          reply: 'feature',
+          error: null
+        }
+      ])
+    })
+
+    it('resumes the records which failed', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'fixture', default: 'Reply', failures: 1, errorStatus: 400 },
+        { retry: { maxRetries: 0 } }
+      )
+      const output = path.join(sandbox.dir, 'results.jsonl')
+      const args = ['-c', config, '--batch', 'lines', '--concurrency', '1']
+      const failed = run([...args, '-o', output], { input: 'one\ntwo\n' })
+
+      assert.equal(failed.status, 1)
+      const batchId = failed.output.match(/--resume ([\w-]+)/)[1]
+      assert.deepEqual(
+        fs.readFileSync(output, 'utf8').trim().split('\n').map(JSON.parse),
+        [
+          {
+            record: 'one',
+            reply: null,
+            error: 'Mock provider error (400): Simulated failure.'
+          },
+          { record: 'two', reply: 'Reply', error: null }
+        ]
+      )
+
+      // The configuration is loaded again when resuming
+      fs.writeFileSync(
+        config,
+        fs.readFileSync(config, 'utf8').replace('failures: 1', 'failures: 0')
+      )
+      const resumed = run(['--resume', batchId.slice(0, 8)])
+
+      assert.equal(resumed.status, 0, resumed.output)
+      assert.deepEqual(resumed.stdout.trim().split('\n').map(JSON.parse), [
+        { record: 'one', reply: 'Reply', error: null },
+        { record: 'two', reply: 'Reply', error: null }
+      ])
+    })
+
+    it('saves the redacted records and replies, restoring the output', () => {
+      const config = sandbox.writeConfig(
+        {
+          mode: 'fixture',
+          default: '{"to": "[REDACTED_EMAIL_1]", "note": "say \\"hi\\" \\\\"}'
+        },
+        { redaction: { reversible: true } }
+      )
+      const message = 'Mail {{record.to}} from alice@example.com'
+      const result = run(
+        ['-c', config, '--batch', 'jsonl', '-m', message, '--json', '--redact'],
+        { input: '{"to": "bob@example.com"}\n' }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.deepEqual(JSON.parse(result.stdout), {
+        record: { to: 'bob@example.com' },
+        reply: { to: 'bob@example.com', note: 'say "hi" \\' },
+        error: null
+      })
+      const db = new Database(sandbox.dbPath, { readonly: true })
+      const batch = db.prepare('SELECT * FROM Batch').get()
+      const record = db.prepare('SELECT * FROM BatchRecord').get()
+      db.close()
+      assert.equal(
+        JSON.parse(batch.settings).message,
+        'Mail {{record.to}} from [REDACTED_EMAIL_1]'
+      )
+      assert.deepEqual(JSON.parse(record.record), {
+        value: { to: '[REDACTED_EMAIL_2]' },
+        text: '{"to": "[REDACTED_EMAIL_2]"}'
+      })
+      assert.deepEqual(JSON.parse(record.reply), {
+        to: '[REDACTED_EMAIL_2]',
+        note: 'say "hi" \\'
+      })
+    })
+  })
+
+  describe('code extraction and diffs', () => {
+    it('writes the code blocks naming their file, outputting the code', () => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        default: [
+          'Two files:',
+          '```js src/a.js',
+          "console.log('a')",
+          '```',
+          '```js ../outside.js',
+          'bad',
+          '```'
+        ].join('\n')
+      })
+      const outDir = path.join(sandbox.dir, 'out')
+      const result = run(
+        ['-c', config, '-m', 'Hi', '--extract', 'code', '--extract-to', outDir],
+        { input: 'input' }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, "console.log('a')\n\nbad\n")
+      assert.equal(
+        fs.readFileSync(path.join(outDir, 'src', 'a.js'), 'utf8'),
+        "console.log('a')\n"
+      )
+      assert.equal(fs.existsSync(path.join(sandbox.dir, 'outside.js')), false)
+      assert.match(result.stderr, /Skipping code block for \.\.\/outside\.js/)
+    })
+
+    it('applies the diff of the reply to the input file', () => {
+      const file = path.join(sandbox.dir, 'math.js')
+      fs.writeFileSync(file, 'function add(a, b) {\n  return a - b\n}\n')
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        default: [
+          '```diff',
+          '--- a/math.js',
+          '+++ b/math.js',
+          '@@ -1,3 +1,3 @@',
+          ' function add(a, b) {',
+          '-  return a - b',
+          '+  return a + b',
+          ' }',
+          '```'
+        ].join('\n')
+      })
+      const result = run(
+        ['-c', config, '-m', 'Fix', file, '--apply', '--yes'],
+        {
+          cwd: sandbox.dir
+        }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /^-  return a - b$/m)
+      assert.match(result.stderr, /Updated math.js/)
+      assert.equal(
+        fs.readFileSync(file, 'utf8'),
+        'function add(a, b) {\n  return a + b\n}\n'
+      )
+
+      // The diff no longer applies, nothing is written
+      const again = run(['-c', config, '-m', 'Fix', file, '--apply', '--yes'], {
+        cwd: sandbox.dir
+      })
+
+      assert.equal(again.status, 1)
+      assert.match(again.output, /Hunk 1 \(@@ -1 @@\) does not apply/)
+    })
+
+    it('applies the successive patches of the same file', () => {
+      const file = path.join(sandbox.dir, 'letters.txt')
+      fs.writeFileSync(file, 'a\nb\nc\nd\ne\nf\ng\nh\n')
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        default: [
+          'First:',
+          '```diff',
+          '--- a/letters.txt',
+          '+++ b/letters.txt',
+          '@@ -1,2 +1,2 @@',
+          '-a',
+          '+A',
+          ' b',
+          '```',
+          'Then:',
+          '```diff',
+          '--- a/letters.txt',
+          '+++ b/letters.txt',
+          '@@ -7,2 +7,2 @@',
+          ' g',
+          '-h',
+          '+H',
+          '```'
+        ].join('\n')
+      })
+      const result = run(
+        ['-c', config, '-m', 'Fix', file, '--apply', '--yes'],
+        { cwd: sandbox.dir }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stderr.match(/Updated letters.txt/g).length, 1)
+      assert.equal(fs.readFileSync(file, 'utf8'), 'A\nb\nc\nd\ne\nf\ng\nH\n')
+    })
+  })
+
+  describe('output formats', () => {
+    const reply = '# Notes\n\nSome **bold** text.'
+
+    it('outputs the raw reply when piped', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: reply })
+      const result = run(['-c', config, '-m', 'Hi'], { input: 'input' })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, `${reply}\n`)
+    })
+
+    it('renders the reply as plain text or HTML', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: reply })
+      const text = run(['-c', config, '-m', 'Hi', '--format', 'text'], {
+        input: 'input'
+      })
+
+      assert.equal(text.status, 0, text.output)
+      assert.equal(text.stdout, 'Notes\n\nSome bold text.\n')
+
+      const htmlFile = path.join(sandbox.dir, 'notes.html')
+      const html = run(
+        ['-c', config, '-m', 'Hi', '--format', 'html', '-o', htmlFile],
+        { input: 'input' }
+      )
+
+      assert.equal(html.status, 0, html.output)
+      assert.match(
+        fs.readFileSync(htmlFile, 'utf8'),
+        /<title>Notes<\/title>[\s\S]*<strong>bold<\/strong>/
+      )
+    })
+  })
+
+  describe('pipelines', () => {
+    /**
+     * Writes a pipeline file chaining three steps, and its configuration.
+     */
+    function writePipeline() {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        responses: [
+          { match: 'Summarize', reply: 'SUMMARY' },
+          { match: 'Notes from SUMMARY', reply: 'NOTES' },
+          { match: 'Announce NOTES', reply: 'TWEET' }
+        ],
+        default: 'Unexpected'
+      })
+      const pipeline = path.join(sandbox.dir, 'release.yaml')
+      fs.writeFileSync(
+        pipeline,
+        [
+          'steps:',
+          '  - { name: summary, message: Summarize }',
+          "  - { name: notes, message: 'Notes from {{steps.summary}}' }",
+          "  - { name: tweet, message: 'Announce {{input}}', input: notes }"
+        ].join('\n')
+      )
+      return { config, pipeline }
+    }
+
+    it('runs the steps in order, saved in one conversation', () => {
+      const { config, pipeline } = writePipeline()
+      const result = run(['run', pipeline, '-c', config], {
+        input: 'git log'
+      })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'TWEET\n')
+      const messages = sandbox.readMessages()
+      assert.deepEqual(
+        messages.map(({ content }) => [content.step, content.aiReply]),
+        [
+          ['summary', 'SUMMARY'],
+          ['notes', 'NOTES'],
+          ['tweet', 'TWEET']
+        ]
+      )
+      assert.equal(new Set(messages.map((m) => m.conversationId)).size, 1)
+      assert.equal(messages[0].content.inputData, 'git log')
+      assert.equal(messages[2].content.inputData, '')
+    })
+
+    it('runs a range of steps, reusing the outputs of the last run', () => {
+      const { config, pipeline } = writePipeline()
+      const first = run(
+        ['run', pipeline, '-c', config, '--until-step', 'notes'],
+        {
+          input: 'git log'
+        }
+      )
+
+      assert.equal(first.status, 0, first.output)
+      assert.equal(first.stdout, 'NOTES\n')
+
+      const rest = run(['run', pipeline, '-c', config, '--from-step', 'tweet'])
+
+      assert.equal(rest.status, 0, rest.output)
+      assert.equal(rest.stdout, 'TWEET\n')
+      const messages = sandbox.readMessages()
+      assert.deepEqual(
+        messages.map(({ content }) => content.step),
+        ['summary', 'notes', 'tweet']
+      )
+      assert.equal(new Set(messages.map((m) => m.conversationId)).size, 1)
+    })
+
+    it('redacts the input of the steps', () => {
+      const config = sandbox.writeConfig(
+        { mode: 'echo' },
+        { redaction: { enabled: true } }
+      )
+      const pipeline = path.join(sandbox.dir, 'check.yaml')
+      fs.writeFileSync(
+        pipeline,
+        'steps:\n  - { name: check, message: Check }\n'
+      )
+      const result = run(['run', pipeline, '-c', config], {
+        input: 'Contact bob@example.com'
+      })
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(
+        result.stdout,
+        '[system]\nContact [REDACTED_EMAIL]\n[user]\n\nCheck\n'
+      )
+      assert.doesNotMatch(JSON.stringify(sandbox.readMessages()), /bob@/)
+    })
+
+    it('reports the steps fed with an unknown output', () => {
+      const pipeline = path.join(sandbox.dir, 'broken.yaml')
+      fs.writeFileSync(
+        pipeline,
+        'steps:\n  - { name: notes, message: Notes, input: summary }\n'
+      )
+      const result = run(['run', pipeline])
+
+      assert.equal(result.status, 1)
+      assert.match(
+        result.output,
+        /step 'notes' gets the output of 'summary', which is not an earlier step/
+      )
+    })
+  })
+
+  describe('search', () => {
+    it('finds past interactions, with filters and snippets', () => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        responses: [
+          { match: 'release', reply: 'The release branch is ready.' },
+          { match: 'weather', reply: 'Sunny.' }
+        ]
+      })
+      run(['-c', config, '-m', 'Summarize the release notes'], {
+        input: 'input'
+      })
+      run(['-c', config, '-p', 'summarize', '-m', 'About the weather'], {
+        input: 'The release is late'
+      })
+
+      const all = run(['search', 'release'])
+      assert.equal(all.status, 0, all.output)
+      assert.match(all.stdout, /Summarize the \*\*release\*\* notes/)
+
+      const filtered = run([
+        'search',
+        'release',
+        '--prompt',
+        'summarize',
+        '--json'
+      ])
+      assert.equal(filtered.status, 0, filtered.output)
+      const { results } = JSON.parse(filtered.stdout)
+      assert.equal(results.length, 1)
+      assert.equal(results[0].prePromptName, 'summarize')
+      assert.match(results[0].snippet, /The \*\*release\*\* is late/)
+
+      const none = run(['search', 'release', '--provider', 'openai'])
+      assert.equal(none.stdout, 'No matching interactions.\n')
+    })
+
+    it('indexes the interactions of an existing database', () => {
+      const db = new Database(sandbox.dbPath)
+      db.exec(`CREATE TABLE Message (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversationId TEXT NOT NULL,
+        content TEXT NOT NULL,
+        createdAt TEXT NOT NULL
+      )`)
+      db.prepare(
+        'INSERT INTO Message (conversationId, content, createdAt) VALUES (?, ?, ?)'
+      ).run(
+        'old-conversation',
+        JSON.stringify({ aiReply: 'An old reply', prompt: 'Old prompt' }),
+        '2024-01-01T00:00:00.000Z'
+      )
+      db.close()
+
+      const result = run(['search', 'old', '--until', '2025-01-01', '--json'])
+
+      assert.equal(result.status, 0, result.output)
+      const { results } = JSON.parse(result.stdout)
+      assert.deepEqual(
+        results.map(({ conversationId }) => conversationId),
+        ['old-conversation']
+      )
+    })
+  })
+
+  describe('cancellation', () => {
+    it('keeps the partial reply of an interrupted request', async () => {
+      const reply = Array.from({ length: 100 }, (_, i) => `word${i}`).join(' ')
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        default: reply,
+        chunkLatency: 50
+      })
+      const result = await runInterruptedCLI(
+        ['-d', sandbox.dbPath, '-c', config, '-m', 'Hi', '--stream'],
+        { input: 'input', home: sandbox.dir }
+      )
+
+      assert.equal(result.status, 130, result.output)
+      assert.match(result.output, /interrupted by SIGINT/)
+      const partial = result.stdout.split('\n')[0].trim()
+      assert.ok(partial && reply.startsWith(partial), result.stdout)
+      assert.notEqual(partial, reply)
+
+      const [message] = sandbox.readMessages()
+      assert.equal(message.content.cancelled, true)
+      assert.equal(message.content.aiReply.trim(), partial)
+    })
+  })
+
+  describe('history, show and rm', () => {
+    beforeEach(() => {
+      const config = sandbox.writeConfig({
+        mode: 'fixture',
+        responses: [
+          { match: 'First', reply: 'First reply' },
+          { match: 'Second', reply: 'Second reply' }
+        ]
+      })
+      run(['-c', config, '-m', 'First'], { input: 'input' })
+      run(['-c', config, '-m', 'Second'], { input: 'input' })
+    })
+
+    it('lists conversations newest first', () => {
+      const result = run(['history'])
+
+      assert.equal(result.status, 0, result.output)
+      const lines = result.stdout.trim().split('\n')
+      assert.equal(lines.length, 2)
+      assert.match(lines[0], /"Second reply"$/)
+      assert.match(lines[1], /"First reply"$/)
+    })
+
+    it('shows a conversation as JSON', () => {
+      const [message] = sandbox.readMessages()
+      const result = run(['show', message.conversationId, '--json'])
+
+      assert.equal(result.status, 0, result.output)
+      const conversation = JSON.parse(result.stdout)
+      assert.equal(conversation.conversationId, message.conversationId)
+      assert.equal(conversation.messages[0].aiReply, 'First reply')
+    })
+
+    it('shows a conversation transcript', () => {
+      const [message] = sandbox.readMessages()
+      const result = run(['show', message.conversationId.slice(0, 8)])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stdout,
+        /### Prompt\n\nFirst\n\n### Reply\n\nFirst reply/
+      )
+    })
+
+    it('deletes a conversation', () => {
+      const [message] = sandbox.readMessages()
+      const result = run(['rm', message.conversationId])
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(sandbox.readMessages().length, 1)
+    })
+
+    it('deletes a conversation by prefix only when it is unique and confirmed', () => {
+      const [first, second] = sandbox.readMessages()
+      // Two conversations sharing a prefix
+      const db = new Database(sandbox.dbPath)
+      db.prepare('UPDATE Message SET conversationId = ? WHERE id = ?').run(
+        `abc-${first.conversationId}`,
+        first.id
+      )
+      db.prepare('UPDATE Message SET conversationId = ? WHERE id = ?').run(
+        `abc-${second.conversationId}`,
+        second.id
+      )
+      db.close()
+
+      const ambiguous = run(['rm', 'abc', '--yes'])
+      assert.equal(ambiguous.status, 1)
+      assert.match(ambiguous.output, /is ambiguous/)
+      assert.equal(sandbox.readMessages().length, 2)
+
+      const prefix = `abc-${first.conversationId.slice(0, 8)}`
+      const unconfirmed = run(['rm', prefix])
+      assert.equal(unconfirmed.status, 1)
+      assert.match(unconfirmed.output, /use its full ID or --yes/)
+      assert.equal(sandbox.readMessages().length, 2)
+
+      const confirmed = run(['rm', prefix, '--yes'])
+      assert.equal(confirmed.status, 0, confirmed.output)
+      assert.deepEqual(
+        sandbox.readMessages().map(({ id }) => id),
+        [second.id]
+      )
+    })
+
+    it('prunes conversations older than a date', () => {
+      const kept = run(['rm', '--before', '2000-01-01'])
+      assert.equal(kept.status, 0, kept.output)
+      assert.equal(sandbox.readMessages().length, 2)
+
+      const pruned = run(['rm', '--before', '2999-01-01'])
+      assert.equal(pruned.status, 0, pruned.output)
+    })
+  })
+
+  describe('repl', () => {
+    /**
+     * Runs a session about an input file with the lines piped to stdin.
+     */
+    function runRepl(config, lines, args = []) {
+      const inputFile = path.join(sandbox.dir, 'input.txt')
+      fs.writeFileSync(inputFile, 'file input')
+      return run(['repl', inputFile, '-c', config, ...args], {
+        input: lines.map((line) => `${line}\n`).join(''),
+        cwd: sandbox.dir
+      })
+    }
+
+    it('continues the conversation with each piped prompt', () => {
+      const config = sandbox.writeConfig({ mode: 'echo' })
+      const result = runRepl(config, ['First', '', 'Second'])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        result.stderr,
+        /^Conversation [0-9a-f]{8} \(with input data\)/
+      )
+      const firstReply = '[system]\nfile input\n[user]\n\nFirst'
+      assert.equal(
+        result.stdout,
+        `${firstReply}\n[system]\nfile input\n[user]\n\nFirst\n[assistant]\n${firstReply}\n[user]\n\nSecond\n`
+      )
+
+      const messages = sandbox.readMessages()
+      assert.equal(messages.length, 2)
+      assert.equal(messages[0].conversationId, messages[1].conversationId)
+      assert.equal(messages[0].content.inputData, 'file input')
+      assert.equal(messages[1].content.inputData, '')
+      assert.equal(messages[1].content.prompt, 'Second')
+      assert.equal(messages[1].content.repl, true)
+    })
+
+    it('runs the slash commands until /exit', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      const result = runRepl(config, [
+        '/help',
+        '/history',
+        'First',
+        '/history',
+        '/model other',
+        '/unknown',
+        '/reset',
+        'Second',
+        '/exit',
+        'Ignored'
+      ])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stderr, /\/save <file> +Save the conversation/)
+      assert.match(result.stderr, /The conversation is empty\.\n/)
+      assert.match(result.stderr, /\[1\] > First\n {4}Reply\n/)
+      assert.match(result.stderr, /Model: other\n/)
+      assert.match(result.stderr, /New conversation [0-9a-f]{8} \(input kept\)/)
+      assert.match(result.stdout, /Unknown command '\/unknown'/)
+      assert.equal(result.stdout.match(/^Reply$/gm).length, 2)
+
+      // The reset conversation starts again with the input, with the new model
+      const messages = sandbox.readMessages()
+      assert.equal(messages.length, 2)
+      assert.notEqual(messages[0].conversationId, messages[1].conversationId)
+      assert.equal(messages[1].content.inputData, 'file input')
+      assert.equal(
+        messages[1].content.configData.defaultRequestOptions.model,
+        'other'
+      )
+    })
+
+    it('applies the options of the pre-prompt in use only', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      fs.writeFileSync(
+        path.join(sandbox.dir, 'a.txt'),
+        '---\ntemperature: 0.1\n---\nA: {{message}}'
+      )
+      fs.writeFileSync(
+        path.join(sandbox.dir, 'b.txt'),
+        '---\ntop_p: 0.5\n---\nB: {{message}}'
+      )
+      const result = runRepl(
+        config,
+        [
+          '/prompt a.txt',
+          'First',
+          '/prompt b.txt',
+          'Second',
+          '/prompt',
+          'Third'
+        ],
+        ['--max-tokens', '100']
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.deepEqual(
+        sandbox
+          .readMessages()
+          .map(({ content }) => content.configData.defaultRequestOptions),
+        [
+          { model: 'mock', temperature: 0.1, max_tokens: 100 },
+          { model: 'mock', top_p: 0.5, max_tokens: 100 },
+          { model: 'mock', max_tokens: 100 }
+        ]
+      )
+    })
+
+    it('sends the prompts like the other commands, with the cache', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      fs.writeFileSync(
+        path.join(sandbox.dir, 'other.txt'),
+        '---\nprovider: openai\ntemperature: 0.1\n---\nOther: {{message}}'
+      )
+      const result = runRepl(
+        config,
+        ['/prompt other.txt', 'First', '/reset', 'First'],
+        ['--cache']
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, 'Reply\nReply\n')
+      const messages = sandbox.readMessages()
+      assert.equal(messages.length, 2)
+      assert.equal(messages[0].content.prePrompt, 'Other: First')
+      assert.deepEqual(messages[0].content.configData.defaultRequestOptions, {
+        model: 'mock'
+      })
+      assert.equal(messages[1].content.cached, true)
+    })
+
+    it('saves the transcript of the conversation with /save', () => {
+      const config = sandbox.writeConfig({ mode: 'fixture', default: 'Reply' })
+      const result = runRepl(config, ['First', '/save', '/save notes.md'])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /Usage: \/save <file>/)
+      assert.match(result.stderr, /Conversation saved to notes\.md/)
+      const transcript = fs.readFileSync(
+        path.join(sandbox.dir, 'notes.md'),
+        'utf8'
+      )
+      assert.match(transcript, /^# Conversation [0-9a-f-]{36}\n/)
+      assert.match(
+        transcript,
+        /### Input\n\nfile input\n\n### Prompt\n\nFirst\n\n### Reply\n\nReply\n$/
+      )
+    })
+  })
+
+  describe('prompts', () => {
+    const promptsDir = () =>
+      path.join(sandbox.dir, '.config', 'pipe-ai', 'prompts')
+    const editor = (command) => ({
+      env: { GIT_EDITOR: '', VISUAL: '', EDITOR: command }
+    })
+
+    it('lists built-in and user prompts', () => {
+      fs.mkdirSync(promptsDir(), { recursive: true })
+      fs.writeFileSync(path.join(promptsDir(), 'summarize.txt'), 'Mine.')
+      fs.writeFileSync(
+        path.join(promptsDir(), 'french.txt'),
+        '---\ndescription: Translate to French\n---\nTranslate.'
+      )
+
+      const result = run(['prompts', 'list'])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /^french +user +Translate to French$/m)
+      assert.match(result.stdout, /^git-summary +built-in +Change log/m)
+      assert.match(
+        result.stdout,
+        /^summarize +user \(shadows built-in\) +Mine\.$/m
+      )
+    })
+
+    it('shows a prompt', () => {
+      const result = run(['prompts', 'show', 'summarize'])
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(result.stdout, /^Please provide a concise summary/)
+    })
+
+    it('creates a prompt with the editor', () => {
+      const result = run(
+        ['prompts', 'new', 'french'],
+        editor("printf 'Translate to French.' >>")
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(
+        fs.readFileSync(path.join(promptsDir(), 'french.txt'), 'utf8'),
+        '---\ndescription:\n---\nTranslate to French.\n'
+      )
+    })
+
+    it("doesn't save an empty prompt", () => {
+      const result = run(['prompts', 'new', 'empty'], editor('true'))
+
+      assert.equal(result.status, 1)
+      assert.match(result.output, /The prompt is empty/)
+      assert.equal(fs.existsSync(path.join(promptsDir(), 'empty.txt')), false)
+    })
+
+    it('copies a built-in prompt to the user directory before editing it', () => {
+      const result = run(
+        ['prompts', 'edit', 'summarize'],
+        editor("sed -i.bak 's/concise/short/'")
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.match(
+        fs.readFileSync(path.join(promptsDir(), 'summarize.txt'), 'utf8'),
+        /^Please provide a short summary/
+      )
+    })
+  })
+})
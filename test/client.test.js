@@ -0,0 +1,125 @@
+// client.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSandbox } from './helpers.js'
+import {
+  ConfigurationError,
+  InputTooLargeError,
+  ProviderError,
+  createPipeAI
+} from '../source/client.js'
+
+describe('createPipeAI', () => {
+  let sandbox
+  let home
+  let pipeAI
+
+  beforeEach(() => {
+    sandbox = createSandbox()
+    // No user configuration but the sandbox one
+    home = process.env.HOME
+    process.env.HOME = sandbox.dir
+  })
+
+  afterEach(() => {
+    pipeAI?.close()
+    pipeAI = undefined
+    process.env.HOME = home
+    sandbox.cleanup()
+  })
+
+  it('returns the reply with its conversation and usage', async () => {
+    pipeAI = createPipeAI({
+      config: sandbox.writeConfig({ mode: 'echo' }),
+      db: sandbox.dbPath
+    })
+    const result = await pipeAI.ask({ input: 'some input', prompt: 'Hi' })
+
+    assert.equal(result.text, '[system]\nsome input\n[user]\n\nHi')
+    assert.equal(result.cached, false)
+    assert.equal(result.provider, 'mock')
+    assert.equal(result.model, 'mock')
+    assert.equal(result.usage.calls, 1)
+    assert.ok(result.usage.outputTokens > 0)
+
+    const [message] = await pipeAI.getConversation(result.conversationId)
+    assert.equal(message.aiReply, result.text)
+  })
+
+  it('continues a conversation with follow-up prompts', async () => {
+    pipeAI = createPipeAI({
+      config: { provider: 'mock', configuration: { mode: 'echo' } },
+      db: sandbox.dbPath
+    })
+    const conversation = pipeAI.conversation()
+    const first = await conversation.ask({ input: 'input', prompt: 'First' })
+    const second = await conversation.ask({ prompt: 'Second' })
+
+    assert.equal(second.conversationId, first.conversationId)
+    assert.equal(conversation.id, first.conversationId)
+    assert.match(second.text, /First[\s\S]*\[assistant\][\s\S]*Second/)
+    assert.equal((await conversation.getMessages()).length, 2)
+  })
+
+  it('streams the reply, then gives the result', async () => {
+    pipeAI = createPipeAI({
+      config: sandbox.writeConfig({
+        mode: 'fixture',
+        default: 'one two three'
+      }),
+      logs: false
+    })
+    const reply = pipeAI.stream({ input: 'input', prompt: 'Count' })
+    const chunks = []
+    for await (const chunk of reply) chunks.push(chunk)
+    const result = await reply.result
+
+    assert.ok(chunks.length > 1)
+    assert.equal(chunks.join(''), 'one two three')
+    assert.equal(result.text, 'one two three')
+    // The interactions are not saved
+    assert.equal(result.conversationId, undefined)
+  })
+
+  it('parses JSON replies', async () => {
+    pipeAI = createPipeAI({
+      config: sandbox.writeConfig({ mode: 'fixture', default: '{"a": 1}' }),
+      logs: false
+    })
+    const result = await pipeAI.ask({
+      input: 'input',
+      prompt: 'Reply in JSON',
+      options: { json: true }
+    })
+
+    assert.deepEqual(result.value, { a: 1 })
+    assert.equal(result.text, '{\n  "a": 1\n}')
+  })
+
+  it('throws typed errors', async () => {
+    pipeAI = createPipeAI({ config: 'missing', logs: false })
+    await assert.rejects(pipeAI.ask({ prompt: 'Hi' }), ConfigurationError)
+
+    pipeAI = createPipeAI({
+      config: sandbox.writeConfig(
+        { mode: 'echo' },
+        { chunking: { maxInputTokens: 10 } }
+      ),
+      logs: false
+    })
+    await assert.rejects(
+      pipeAI.ask({ input: 'word '.repeat(100), prompt: 'Hi' }),
+      (err) => err instanceof InputTooLargeError && err.budget === 10
+    )
+
+    pipeAI = createPipeAI({
+      config: sandbox.writeConfig({ failures: 1, errorStatus: 400 }),
+      logs: false
+    })
+    await assert.rejects(
+      pipeAI.ask({ prompt: 'Hi' }),
+      (err) => err instanceof ProviderError && err.status === 400
+    )
+  })
+})
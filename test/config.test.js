@@ -0,0 +1,137 @@
+// config.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  collectRequestOption,
+  interpolateEnv,
+  mergeConfigLayers,
+  validateConfiguration
+} from '../source/lib/config.js'
+
+describe('config', () => {
+  describe('mergeConfigLayers', () => {
+    it('merges mappings and replaces other values', () => {
+      const { configData, origins } = mergeConfigLayers([
+        { source: 'a', data: { provider: 'mock', cache: { ttl: '1d' } } },
+        { source: 'b', data: { cache: { enabled: true }, stop: ['x'] } },
+        { source: 'c', data: { stop: ['y'] } }
+      ])
+
+      assert.deepEqual(configData, {
+        provider: 'mock',
+        cache: { ttl: '1d', enabled: true },
+        stop: ['y']
+      })
+      assert.equal(origins.get('cache'), 'a')
+      assert.equal(origins.get('cache.enabled'), 'b')
+    })
+
+    it('drops the provider specific keys when the provider changes', () => {
+      const { configData } = mergeConfigLayers([
+        {
+          source: 'a',
+          data: {
+            provider: 'openai',
+            apiKey: 'key',
+            defaultRequestOptions: { model: 'gpt-4o' },
+            cache: { enabled: true }
+          }
+        },
+        { source: 'b', data: { provider: 'mock' } }
+      ])
+
+      assert.deepEqual(configData, {
+        provider: 'mock',
+        cache: { enabled: true }
+      })
+    })
+  })
+
+  describe('interpolateEnv', () => {
+    it('replaces variables, with their default when not set', () => {
+      const configData = { apiKey: '${KEY}', list: ['${A:-a}-${B:-b}'] }
+
+      assert.deepEqual(
+        interpolateEnv(configData, new Map(), { KEY: 'k', B: 'x' }),
+        {
+          apiKey: 'k',
+          list: ['a-x']
+        }
+      )
+    })
+
+    it('tells where an unset variable is used', () => {
+      const origins = new Map([['configuration', 'file.yaml']])
+
+      assert.throws(
+        () => interpolateEnv({ configuration: { url: '${URL}' } }, origins, {}),
+        /Environment variable 'URL' is not set, used by 'configuration.url' \(in file.yaml\)/
+      )
+    })
+  })
+
+  describe('validateConfiguration', () => {
+    const providerSchema = {
+      properties: {
+        configuration: {
+          type: 'object',
+          properties: { mode: { type: 'string' } },
+          additionalProperties: false
+        }
+      }
+    }
+
+    it('accepts the shared and provider keys', () => {
+      validateConfiguration(
+        {
+          provider: 'mock',
+          cache: { ttl: '1h' },
+          configuration: { mode: 'echo' }
+        },
+        providerSchema
+      )
+    })
+
+    it('reports all the errors', () => {
+      assert.throws(
+        () =>
+          validateConfiguration(
+            { provider: 'mock', apiKey: 'key', cache: { enabled: 'yes' } },
+            providerSchema,
+            new Map([
+              ['apiKey', 'a.yaml'],
+              ['cache.enabled', 'b.yaml']
+            ])
+          ),
+        {
+          message: [
+            "Invalid configuration for provider 'mock':",
+            "- Unknown key 'apiKey' (in a.yaml)",
+            "- 'cache.enabled' must be boolean (in b.yaml)"
+          ].join('\n')
+        }
+      )
+    })
+  })
+
+  describe('collectRequestOption', () => {
+    it('parses the values and sets nested options', () => {
+      const requestOptions = [
+        'top_p=0.9',
+        'stop=[a, b]',
+        'options.num_ctx=8192'
+      ].reduce((previous, value) => collectRequestOption(value, previous), {})
+
+      assert.deepEqual(requestOptions, {
+        top_p: 0.9,
+        stop: ['a', 'b'],
+        options: { num_ctx: 8192 }
+      })
+    })
+
+    it('rejects values without a key', () => {
+      assert.throws(() => collectRequestOption('=1', {}), /expected key=value/)
+    })
+  })
+})
@@ -0,0 +1,128 @@
+// extract.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  extractCode,
+  filterCodeBlocks,
+  parseCodeBlocks,
+  parseExtractOption
+} from '../source/lib/extract.js'
+import { applyPatch, formatDiff, parseUnifiedDiff } from '../source/lib/diff.js'
+
+describe('parseCodeBlocks', () => {
+  const reply = [
+    'Here is the fix:',
+    '',
+    '**src/app.js**',
+    '```javascript',
+    'const a = 1',
+    '```',
+    '',
+    '```py title="tools/run.py"',
+    'print(1)',
+    '```',
+    '',
+    '````sh',
+    'echo "```"',
+    '````'
+  ].join('\n')
+
+  it('gets the blocks with their language and file name', () => {
+    assert.deepEqual(parseCodeBlocks(reply), [
+      { lang: 'javascript', filename: 'src/app.js', code: 'const a = 1\n' },
+      { lang: 'py', filename: 'tools/run.py', code: 'print(1)\n' },
+      { lang: 'sh', code: 'echo "```"\n' }
+    ])
+  })
+
+  it('filters the blocks by language, under any of its names', () => {
+    const blocks = parseCodeBlocks(reply)
+
+    assert.deepEqual(
+      filterCodeBlocks(blocks, 'js').map(({ code }) => code),
+      ['const a = 1\n']
+    )
+    assert.equal(extractCode(reply, 'python'), 'print(1)')
+    assert.throws(() => extractCode(reply, 'go'), /no go code blocks/)
+  })
+
+  it('parses the --extract option', () => {
+    assert.deepEqual(parseExtractOption('code'), {})
+    assert.deepEqual(parseExtractOption('code:ts'), { lang: 'ts' })
+    assert.throws(() => parseExtractOption('text'), /Invalid extract option/)
+  })
+})
+
+describe('unified diffs', () => {
+  const file = 'a\nb\nc\nd\ne\nf\ng\n'
+  const diff = [
+    '--- a/letters.txt',
+    '+++ b/letters.txt',
+    '@@ -1,3 +1,3 @@',
+    ' a',
+    '-b',
+    '+B',
+    ' c',
+    '@@ -20,2 +20,3 @@',
+    ' e',
+    '+E',
+    ' f',
+    ''
+  ].join('\n')
+
+  it('applies the hunks, even when their line numbers are off', () => {
+    const [patch] = parseUnifiedDiff(diff)
+
+    assert.equal(patch.newPath, 'letters.txt')
+    assert.equal(applyPatch(file, patch), 'a\nB\nc\nd\ne\nE\nf\ng\n')
+  })
+
+  it("refuses hunks whose lines aren't in the file", () => {
+    const [patch] = parseUnifiedDiff(diff)
+
+    assert.throws(
+      () => applyPatch('a\nx\nc\n', patch),
+      /Hunk 1 \(@@ -1 @@\) does not apply to letters.txt/
+    )
+  })
+
+  it('ends the hunks after the line counts of their headers', () => {
+    const reply = [
+      '--- a/notes.md',
+      '+++ b/notes.md',
+      '@@ -1,3 +1,3 @@',
+      ' # Notes',
+      '--- old rule',
+      '+++ new rule',
+      ' end',
+      'The changes:',
+      '- rename the rule',
+      '+ nothing else'
+    ].join('\n')
+
+    const [patch] = parseUnifiedDiff(reply)
+
+    assert.equal(patch.newPath, 'notes.md')
+    assert.deepEqual(patch.hunks, [
+      {
+        oldStart: 1,
+        lines: [' # Notes', '--- old rule', '+++ new rule', ' end']
+      }
+    ])
+    assert.equal(
+      applyPatch('# Notes\n-- old rule\nend\n', patch),
+      '# Notes\n++ new rule\nend\n'
+    )
+  })
+
+  it('formats the changes with their line counts', () => {
+    const miscounted = diff.replace('@@ -20,2 +20,3 @@', '@@ -20 +20 @@')
+
+    assert.equal(formatDiff(parseUnifiedDiff(miscounted)), diff.trimEnd())
+    assert.match(
+      formatDiff(parseUnifiedDiff(diff), { color: true }),
+      /\x1b\[31m-b\x1b\[39m/
+    )
+  })
+})
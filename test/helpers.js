@@ -0,0 +1,185 @@
+// helpers.js
+
+import { spawn, spawnSync } from 'child_process'
+import Database from 'better-sqlite3'
+import yaml from 'js-yaml'
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+export const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..'
+)
+export const fixturesDir = path.join(rootDir, 'test', 'fixtures')
+
+/**
+ * Creates a temporary directory used as HOME, with helpers to write configs.
+ * @returns {Object} - The sandbox.
+ */
+export function createSandbox() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipe-ai-test-'))
+  let configCount = 0
+
+  return {
+    dir,
+    dbPath: path.join(dir, 'test.sqlite'),
+
+    /**
+     * Writes a mock provider configuration file.
+     * @param {Object} [configuration] - The mock configuration.
+     * @param {Object} [extra] - Extra top-level configuration keys.
+     * @returns {string} - The configuration file path.
+     */
+    writeConfig(configuration = {}, extra = {}) {
+      const configPath = path.join(dir, `config-${++configCount}.yaml`)
+      const config = {
+        provider: 'mock',
+        configuration,
+        defaultRequestOptions: { model: 'mock' },
+        ...extra
+      }
+      fs.writeFileSync(configPath, yaml.dump(config))
+      return configPath
+    },
+
+    /**
+     * Reads the messages saved in the sandbox database.
+     * @returns {Object[]} - The rows with their content parsed.
+     */
+    readMessages() {
+      const db = new Database(this.dbPath, { readonly: true })
+      try {
+        return db
+          .prepare('SELECT * FROM Message ORDER BY id')
+          .all()
+          .map((row) => ({ ...row, content: JSON.parse(row.content) }))
+      } finally {
+        db.close()
+      }
+    },
+
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  }
+}
+
+/**
+ * Starts a local HTTP server standing in for the API of a provider.
+ * The JSON body of each request is parsed and recorded before the handler is called.
+ * @param {Function} handler - Called with the request (with its parsed `body`) and the response.
+ * @returns {Promise<Object>} - The `url` of the server, its recorded `requests` and `close`.
+ */
+export async function startServer(handler) {
+  const requests = []
+  const server = http.createServer(async (req, res) => {
+    let body = ''
+    for await (const chunk of req) body += chunk
+    req.body = body ? JSON.parse(body) : undefined
+    requests.push(req)
+    handler(req, res)
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(resolve))
+    }
+  }
+}
+
+/**
+ * Runs the pipe-ai CLI.
+ * @param {string[]} args - The command-line arguments.
+ * @param {Object} [options]
+ * @param {string} [options.input] - Data piped to stdin.
+ * @param {Object} [options.env] - Extra environment variables.
+ * @param {string} [options.home] - The HOME directory.
+ * @param {string} [options.cwd] - The working directory.
+ * @returns {Object} - The `status`, `stdout` and `stderr` of the process.
+ */
+export function runCLI(args, { input = '', env = {}, home, cwd } = {}) {
+  const result = spawnSync(
+    process.execPath,
+    [path.join(rootDir, 'pipe-ai.js'), ...args],
+    {
+      input,
+      cwd,
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...process.env, HOME: home || os.tmpdir(), ...env }
+    }
+  )
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    output: result.stdout + result.stderr
+  }
+}
+
+/**
+ * Runs the pipe-ai CLI without blocking, so that the test process can serve
+ * its requests (see `startServer`).
+ * @param {string[]} args - The command-line arguments.
+ * @param {Object} [options] - As for `runCLI`.
+ * @returns {Promise<Object>} - The `status`, `stdout` and `stderr` of the process.
+ */
+export function runCLIAsync(args, options) {
+  return spawnCLI(args, options)
+}
+
+/**
+ * Runs the pipe-ai CLI and interrupts it with SIGINT (as with Ctrl+C) as soon
+ * as it outputs something.
+ * @param {string[]} args - The command-line arguments.
+ * @param {Object} [options] - As for `runCLI`.
+ * @returns {Promise<Object>} - The `status`, `stdout` and `stderr` of the process.
+ */
+export function runInterruptedCLI(args, options) {
+  return spawnCLI(args, options, (child) => child.kill('SIGINT'))
+}
+
+/**
+ * Spawns the pipe-ai CLI and collects its output.
+ * @param {string[]} args - The command-line arguments.
+ * @param {Object} [options] - As for `runCLI`.
+ * @param {Function} [onFirstOutput] - Called with the process when it first writes to stdout.
+ * @returns {Promise<Object>} - The `status`, `stdout` and `stderr` of the process.
+ */
+function spawnCLI(
+  args,
+  { input = '', env = {}, home, cwd } = {},
+  onFirstOutput = () => {}
+) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(
+      process.execPath,
+      [path.join(rootDir, 'pipe-ai.js'), ...args],
+      { cwd, env: { ...process.env, HOME: home || os.tmpdir(), ...env } }
+    )
+    const timer = setTimeout(() => child.kill(), 30000)
+
+    let stdout = ''
+    let stderr = ''
+    child.stdout.setEncoding('utf8').on('data', (data) => {
+      if (!stdout) onFirstOutput(child)
+      stdout += data
+    })
+    child.stderr.setEncoding('utf8').on('data', (data) => {
+      stderr += data
+    })
+    child.on('error', reject)
+    child.on('close', (status) => {
+      clearTimeout(timer)
+      resolve({ status, stdout, stderr, output: stdout + stderr })
+    })
+    child.stdin.end(input)
+  })
+}
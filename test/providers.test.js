@@ -0,0 +1,416 @@
+// providers.test.js
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSandbox, runCLIAsync, startServer } from './helpers.js'
+import { log } from '../source/lib/output.js'
+import * as claudeai from '../source/providers/claudeai.js'
+import * as local from '../source/providers/local.js'
+
+/**
+ * Writes Server-Sent Events to a response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Object[]} events - The events, with their `type`.
+ */
+function sendEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+  for (const event of events) {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+  }
+  res.end()
+}
+
+const messages = [
+  { role: 'system', content: 'Some input' },
+  { role: 'system', content: 'More input' },
+  { role: 'user', content: 'Hi' }
+]
+
+describe('claudeai provider', () => {
+  let server
+  let reply
+  let configData
+
+  before(async () => {
+    server = await startServer((req, res) => reply(req, res))
+  })
+
+  after(() => server.close())
+
+  beforeEach(() => {
+    server.requests.length = 0
+    configData = {
+      provider: 'claudeai',
+      apiKey: 'test-key',
+      configuration: { baseURL: server.url },
+      defaultRequestOptions: { model: 'claude-test', temperature: 0.5 }
+    }
+  })
+
+  it('maps the messages to the Messages API and the reply back', async () => {
+    reply = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(
+        JSON.stringify({
+          id: 'msg_1',
+          type: 'message',
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Hello' },
+            { type: 'tool_use', id: 'tool_1', name: 'tool', input: {} },
+            { type: 'text', text: ' there' }
+          ],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 12, output_tokens: 3 }
+        })
+      )
+    }
+    const usages = []
+    const text = await claudeai.getAIResponse(configData, messages, {
+      onUsage: (usage) => usages.push(usage)
+    })
+
+    assert.equal(text, 'Hello there')
+    assert.deepEqual(usages, [{ inputTokens: 12, outputTokens: 3 }])
+
+    const [request] = server.requests
+    assert.equal(request.method, 'POST')
+    assert.equal(request.url, '/v1/messages')
+    assert.equal(request.headers['x-api-key'], 'test-key')
+    assert.deepEqual(request.body, {
+      max_tokens: 1024,
+      model: 'claude-test',
+      temperature: 0.5,
+      system: 'Some input\n\nMore input',
+      messages: [{ role: 'user', content: 'Hi' }]
+    })
+  })
+
+  it('streams the text deltas and the usage', async () => {
+    reply = (req, res) =>
+      sendEvents(res, [
+        {
+          type: 'message_start',
+          message: {
+            id: 'msg_1',
+            type: 'message',
+            role: 'assistant',
+            content: [],
+            usage: { input_tokens: 12, output_tokens: 1 }
+          }
+        },
+        {
+          type: 'content_block_start',
+          index: 0,
+          content_block: { type: 'text', text: '' }
+        },
+        {
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text: 'Hello' }
+        },
+        {
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text: ' there' }
+        },
+        { type: 'content_block_stop', index: 0 },
+        {
+          type: 'message_delta',
+          delta: { stop_reason: 'end_turn' },
+          usage: { output_tokens: 3 }
+        },
+        { type: 'message_stop' }
+      ])
+    const usages = []
+    const chunks = []
+    for await (const chunk of claudeai.streamAIResponse(configData, messages, {
+      onUsage: (usage) => usages.push(usage)
+    })) {
+      chunks.push(chunk)
+    }
+
+    assert.deepEqual(chunks, ['Hello', ' there'])
+    assert.deepEqual(usages, [{ inputTokens: 12, outputTokens: 3 }])
+    assert.equal(server.requests[0].body.stream, true)
+  })
+
+  it('warns when the reply reached max_tokens', async (t) => {
+    const warn = t.mock.method(log, 'warn', () => {})
+    reply = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(
+        JSON.stringify({
+          content: [{ type: 'text', text: 'Truncat' }],
+          stop_reason: 'max_tokens',
+          usage: { input_tokens: 12, output_tokens: 5 }
+        })
+      )
+    }
+    configData.defaultRequestOptions.max_tokens = 5
+    const text = await claudeai.getAIResponse(configData, messages)
+
+    assert.equal(text, 'Truncat')
+    assert.equal(server.requests[0].body.max_tokens, 5)
+    assert.equal(warn.mock.callCount(), 1)
+    assert.match(warn.mock.calls[0].arguments[0], /truncated.*max_tokens/)
+  })
+
+  it('turns API errors into readable errors with their status', async () => {
+    reply = (req, res) => {
+      res.writeHead(429, {
+        'Content-Type': 'application/json',
+        'Retry-After': '2'
+      })
+      res.end(
+        JSON.stringify({
+          type: 'error',
+          error: { type: 'rate_limit_error', message: 'Slow down' }
+        })
+      )
+    }
+
+    await assert.rejects(
+      claudeai.getAIResponse(configData, messages),
+      (err) =>
+        err.message ===
+          'Claude AI API error (429 rate_limit_error): Slow down' &&
+        err.cause.status === 429 &&
+        err.cause.headers['retry-after'] === '2'
+    )
+  })
+})
+
+describe('local provider', () => {
+  let server
+  let reply
+  let sandbox
+
+  before(async () => {
+    server = await startServer((req, res) => reply(req, res))
+  })
+
+  after(() => server.close())
+
+  beforeEach(() => {
+    server.requests.length = 0
+  })
+
+  /**
+   * Makes the configuration data of a local server.
+   * @param {string} api - The API of the server ('ollama' or 'openai').
+   * @param {Object} [configuration] - Extra server settings.
+   * @returns {Object} - The configuration data.
+   */
+  function localConfig(api, configuration = {}) {
+    return {
+      provider: 'local',
+      configuration: {
+        api,
+        baseURL: api === 'openai' ? `${server.url}/v1` : server.url,
+        ...configuration
+      },
+      defaultRequestOptions: { model: 'local-model', temperature: 0.2 }
+    }
+  }
+
+  /**
+   * Writes a JSON response.
+   * @param {http.ServerResponse} res - The response.
+   * @param {Object} data - The response body.
+   */
+  function sendJSON(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(data))
+  }
+
+  describe('with the Ollama API', () => {
+    it('maps the messages to the chat API and the reply back', async () => {
+      reply = (req, res) =>
+        sendJSON(res, {
+          message: { role: 'assistant', content: 'Hello' },
+          done: true,
+          prompt_eval_count: 12,
+          eval_count: 3
+        })
+      const usages = []
+      const text = await local.getAIResponse(localConfig('ollama'), messages, {
+        onUsage: (usage) => usages.push(usage)
+      })
+
+      assert.equal(text, 'Hello')
+      assert.deepEqual(usages, [{ inputTokens: 12, outputTokens: 3 }])
+      const [request] = server.requests
+      assert.equal(request.url, '/api/chat')
+      assert.deepEqual(request.body, {
+        model: 'local-model',
+        options: { temperature: 0.2 },
+        messages,
+        stream: false
+      })
+    })
+
+    it('streams the reply line by line', async () => {
+      reply = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' })
+        res.write('{"message":{"content":"Hel"},"done":false}\n')
+        res.write('{"message":{"content":"lo"},"done":false}\n{"message":')
+        res.end(
+          '{"content":""},"done":true,"prompt_eval_count":12,"eval_count":2}'
+        )
+      }
+      const usages = []
+      const chunks = []
+      for await (const chunk of local.streamAIResponse(
+        localConfig('ollama'),
+        messages,
+        { onUsage: (usage) => usages.push(usage) }
+      )) {
+        chunks.push(chunk)
+      }
+
+      assert.deepEqual(chunks, ['Hel', 'lo'])
+      assert.deepEqual(usages, [{ inputTokens: 12, outputTokens: 2 }])
+      assert.equal(server.requests[0].body.stream, true)
+    })
+
+    it('reports the errors of the server with their status', async () => {
+      reply = (req, res) => {
+        res.writeHead(404, { 'Content-Type': 'application/json' })
+        res.end('{"error":"model \'local-model\' not found"}')
+      }
+
+      await assert.rejects(
+        local.getAIResponse(localConfig('ollama'), messages),
+        (err) =>
+          err.message ===
+            "Local AI server error (404): model 'local-model' not found" &&
+          err.status === 404
+      )
+    })
+  })
+
+  describe('with an OpenAI-compatible API', () => {
+    it('maps the messages to the chat completions API', async () => {
+      reply = (req, res) =>
+        sendJSON(res, {
+          choices: [{ message: { role: 'assistant', content: 'Hello' } }],
+          usage: { prompt_tokens: 12, completion_tokens: 3 }
+        })
+      const usages = []
+      const text = await local.getAIResponse(
+        localConfig('openai', { headers: { 'X-Auth': 'secret' } }),
+        messages,
+        { onUsage: (usage) => usages.push(usage) }
+      )
+
+      assert.equal(text, 'Hello')
+      assert.deepEqual(usages, [{ inputTokens: 12, outputTokens: 3 }])
+      const [request] = server.requests
+      assert.equal(request.url, '/v1/chat/completions')
+      assert.equal(request.headers.authorization, 'Bearer no-api-key')
+      assert.equal(request.headers['x-auth'], 'secret')
+      assert.deepEqual(request.body, {
+        model: 'local-model',
+        temperature: 0.2,
+        messages
+      })
+    })
+
+    it('streams the reply, asking for the usage unless disabled', async () => {
+      reply = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        for (const content of ['Hel', 'lo']) {
+          const chunk = { choices: [{ index: 0, delta: { content } }] }
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`)
+        }
+        if (req.body.stream_options?.include_usage) {
+          const chunk = {
+            choices: [],
+            usage: { prompt_tokens: 12, completion_tokens: 2 }
+          }
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`)
+        }
+        res.end('data: [DONE]\n\n')
+      }
+
+      for (const streamUsage of [undefined, false]) {
+        server.requests.length = 0
+        const usages = []
+        const chunks = []
+        for await (const chunk of local.streamAIResponse(
+          localConfig('openai', { streamUsage }),
+          messages,
+          { onUsage: (usage) => usages.push(usage) }
+        )) {
+          chunks.push(chunk)
+        }
+
+        assert.deepEqual(chunks, ['Hel', 'lo'])
+        const [request] = server.requests
+        assert.equal(request.body.stream, true)
+        if (streamUsage === false) {
+          assert.equal(request.body.stream_options, undefined)
+          assert.deepEqual(usages, [])
+        } else {
+          assert.deepEqual(request.body.stream_options, {
+            include_usage: true
+          })
+          assert.deepEqual(usages, [{ inputTokens: 12, outputTokens: 2 }])
+        }
+      }
+    })
+  })
+
+  describe('pipe-ai models', () => {
+    beforeEach(() => {
+      sandbox = createSandbox()
+    })
+
+    afterEach(() => sandbox.cleanup())
+
+    /**
+     * Writes the configuration file of a local server.
+     * @param {string} api - The API of the server ('ollama' or 'openai').
+     * @returns {string} - The configuration file path.
+     */
+    function writeLocalConfig(api) {
+      const { configuration, defaultRequestOptions } = localConfig(api)
+      return sandbox.writeConfig(configuration, {
+        provider: 'local',
+        defaultRequestOptions
+      })
+    }
+
+    it('lists the models of an Ollama server', async () => {
+      reply = (req, res) =>
+        sendJSON(res, {
+          models: [{ name: 'llama3.2' }, { name: 'local-model' }]
+        })
+      const result = await runCLIAsync(
+        ['models', '-c', writeLocalConfig('ollama')],
+        { home: sandbox.dir }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, '  llama3.2\n* local-model\n')
+      assert.equal(server.requests[0].url, '/api/tags')
+    })
+
+    it('lists the models of an OpenAI-compatible server', async () => {
+      reply = (req, res) =>
+        sendJSON(res, {
+          object: 'list',
+          data: [{ id: 'local-model' }, { id: 'another-model' }]
+        })
+      const result = await runCLIAsync(
+        ['models', '-c', writeLocalConfig('openai')],
+        { home: sandbox.dir }
+      )
+
+      assert.equal(result.status, 0, result.output)
+      assert.equal(result.stdout, '  another-model\n* local-model\n')
+      assert.equal(server.requests[0].url, '/v1/models')
+    })
+  })
+})
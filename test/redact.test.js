@@ -0,0 +1,104 @@
+// redact.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRedactor, formatRedactions } from '../source/lib/redact.js'
+
+describe('redact', () => {
+  const text = [
+    'user=bob@example.com from 10.0.0.12',
+    'OPENAI_API_KEY=sk-proj-abcdefghijklmnopqrstuvwxyz',
+    'password: "hunter22"',
+    'at 12:30:45'
+  ].join('\n')
+
+  it('masks secrets and personal data', () => {
+    const redactor = createRedactor({})
+
+    assert.equal(
+      redactor.redact(text),
+      [
+        'user=[REDACTED_EMAIL] from [REDACTED_IP]',
+        'OPENAI_API_KEY=[REDACTED_API_KEY]',
+        'password: "[REDACTED_TOKEN]"',
+        'at 12:30:45'
+      ].join('\n')
+    )
+    assert.deepEqual(
+      redactor.redactions.map(({ rule }) => rule),
+      ['api-key', 'token', 'email', 'ip']
+    )
+  })
+
+  it('masks IPv6 addresses but not the paths of code', () => {
+    const redactor = createRedactor({})
+    const code = 'ab::cd, f32::EPSILON and std::min(a, b)'
+
+    assert.equal(
+      redactor.redact('From fe80::1 and 2001:db8::ff00:42:8329'),
+      'From [REDACTED_IP] and [REDACTED_IP]'
+    )
+    assert.equal(redactor.redact(code), code)
+  })
+
+  it('applies the patterns and disabled rules of the configuration', () => {
+    const redactor = createRedactor({
+      redaction: { disable: ['ip'], patterns: { 'employee-id': 'EMP-\\d{6}' } }
+    })
+
+    assert.equal(
+      redactor.redact('EMP-123456 on 10.0.0.12'),
+      '[REDACTED_EMPLOYEE_ID] on 10.0.0.12'
+    )
+  })
+
+  it('restores reversible placeholders, also across streamed chunks', async () => {
+    const redactor = createRedactor({}, { reversible: true })
+    const redacted = redactor.redact(
+      'a@example.com, b@example.com, a@example.com'
+    )
+
+    assert.equal(
+      redacted,
+      '[REDACTED_EMAIL_1], [REDACTED_EMAIL_2], [REDACTED_EMAIL_1]'
+    )
+    assert.equal(
+      redactor.restore('Write to [REDACTED_EMAIL_2].'),
+      'Write to b@example.com.'
+    )
+
+    async function* chunks() {
+      yield 'Write to [REDAC'
+      yield 'TED_EMAIL_1] and'
+      yield ' [x]'
+    }
+    let restored = ''
+    for await (const chunk of redactor.restoreStream(chunks())) {
+      restored += chunk
+    }
+    assert.equal(restored, 'Write to a@example.com and [x]')
+  })
+
+  it('redacts and restores the strings of JSON values', () => {
+    const redactor = createRedactor({}, { reversible: true })
+    const value = { to: ['a@example.com'], note: 'say "hi" \\', count: 2 }
+    const redacted = redactor.redactValue(value)
+
+    assert.deepEqual(redacted, {
+      to: ['[REDACTED_EMAIL_1]'],
+      note: 'say "hi" \\',
+      count: 2
+    })
+    assert.deepEqual(
+      redactor.restoreValue({ ...redacted, note: 'to [REDACTED_EMAIL_1] "\\' }),
+      { ...value, note: 'to a@example.com "\\' }
+    )
+  })
+
+  it('leaves texts as they are when disabled', () => {
+    const redactor = createRedactor({}, { enabled: false })
+
+    assert.equal(redactor.redact(text), text)
+    assert.equal(formatRedactions(redactor.redactions), 'Nothing to redact.')
+  })
+})
@@ -0,0 +1,84 @@
+// render.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { stripVTControlCharacters } from 'util'
+import { countRows, renderReply } from '../source/lib/render.js'
+
+const reply = [
+  '# Release <notes>',
+  '',
+  'Some **bold** text with `code` and a [link](https://example.com).',
+  '',
+  '- one',
+  '  - nested',
+  '- two',
+  '',
+  '| Name | Value |',
+  '| ---- | ----- |',
+  '| a    | 1     |',
+  '',
+  '```js',
+  'const a = 1',
+  '```'
+].join('\n')
+
+describe('renderReply', () => {
+  it('keeps the raw reply', () => {
+    assert.equal(renderReply(reply, 'raw'), reply)
+  })
+
+  it('strips the Markdown syntax from plain text', () => {
+    assert.equal(
+      renderReply(reply, 'text'),
+      [
+        'Release',
+        '',
+        'Some bold text with code and a link (https://example.com).',
+        '',
+        '- one',
+        '  - nested',
+        '- two',
+        '',
+        'Name | Value',
+        'a | 1',
+        '',
+        'const a = 1'
+      ].join('\n')
+    )
+  })
+
+  it('makes an HTML document titled by the first heading', () => {
+    const html = renderReply(reply, 'html')
+
+    assert.match(html, /^<!DOCTYPE html>/)
+    assert.match(html, /<title>Release &lt;notes&gt;<\/title>/)
+    assert.match(html, /<strong>bold<\/strong>/)
+    assert.match(html, /<table>/)
+    assert.match(html, /<\/html>$/)
+  })
+
+  it('renders Markdown for the terminal, wrapped to its width', () => {
+    const text = stripVTControlCharacters(
+      renderReply(`${'word '.repeat(30)}\n\n${reply}`, 'markdown', {
+        width: 40
+      })
+    )
+
+    assert.doesNotMatch(text, /\*\*bold\*\*/)
+    assert.match(text, /const a = 1/)
+    for (const line of text.split('\n')) {
+      assert.ok(line.length <= 40, line)
+    }
+  })
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => renderReply(reply, 'pdf'), /Unsupported format 'pdf'/)
+  })
+})
+
+describe('countRows', () => {
+  it('counts the wrapped lines, without escape codes', () => {
+    assert.equal(countRows('\x1b[1mab\x1b[22m\n\nabcde', 4), 4)
+  })
+})
@@ -0,0 +1,72 @@
+// structured.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  loadSchema,
+  validateJsonReply,
+  getRepairPrompt
+} from '../source/lib/structured.js'
+
+const schema = {
+  type: 'object',
+  properties: { name: { type: 'string' } },
+  required: ['name']
+}
+
+describe('structured', () => {
+  describe('validateJsonReply', () => {
+    it('parses a valid reply, with or without a code fence', () => {
+      assert.deepEqual(validateJsonReply('{"name": "a"}', schema), {
+        value: { name: 'a' },
+        errors: []
+      })
+      assert.deepEqual(
+        validateJsonReply('```json\n{"name": "a"}\n```', schema).value,
+        { name: 'a' }
+      )
+    })
+
+    it('reports invalid JSON', () => {
+      const { errors } = validateJsonReply('Sure! {"name"', schema)
+
+      assert.equal(errors.length, 1)
+      assert.match(errors[0], /not valid JSON/)
+    })
+
+    it('reports all the schema errors with their path', () => {
+      const { errors } = validateJsonReply('{"name": 1}', {
+        ...schema,
+        required: ['name', 'age']
+      })
+
+      assert.deepEqual(errors, [
+        "/ must have required property 'age'",
+        '/name must be string'
+      ])
+    })
+
+    it('accepts any JSON without a schema', () => {
+      assert.deepEqual(validateJsonReply('[1, 2]').value, [1, 2])
+    })
+  })
+
+  describe('loadSchema', () => {
+    it('rejects invalid schemas', () => {
+      assert.throws(
+        () => loadSchema({ type: 'unknown' }),
+        /Invalid JSON Schema/
+      )
+      assert.throws(() => loadSchema('missing.json'), /Unable to read/)
+    })
+  })
+
+  describe('getRepairPrompt', () => {
+    it('lists the errors', () => {
+      assert.match(
+        getRepairPrompt(['/name must be string']),
+        /- \/name must be string\n\nReply again with the corrected JSON only\./
+      )
+    })
+  })
+})
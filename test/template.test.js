@@ -0,0 +1,103 @@
+// template.test.js
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  parsePrompt,
+  getRequestOptions,
+  getPlaceholders,
+  renderTemplate,
+  collectVariable
+} from '../source/lib/template.js'
+
+describe('template', () => {
+  describe('parsePrompt', () => {
+    it('parses the front matter and the body', () => {
+      const prompt = parsePrompt('---\nmodel: gpt-4o\n---\nSummarize {{input}}')
+
+      assert.deepEqual(prompt.attributes, { model: 'gpt-4o' })
+      assert.equal(prompt.body, 'Summarize {{input}}')
+    })
+
+    it('returns the content as body without front matter', () => {
+      const prompt = parsePrompt('Summarize the input.')
+
+      assert.deepEqual(prompt.attributes, {})
+      assert.equal(prompt.body, 'Summarize the input.')
+    })
+
+    it('throws on invalid front matter', () => {
+      assert.throws(
+        () => parsePrompt('---\nmodel: [\n---\nBody'),
+        /Invalid front matter/
+      )
+    })
+  })
+
+  describe('getRequestOptions', () => {
+    it('picks the request options from the attributes', () => {
+      const requestOptions = getRequestOptions({
+        description: 'A prompt',
+        model: 'gpt-4o',
+        temperature: 0,
+        requestOptions: { top_k: 5 }
+      })
+
+      assert.deepEqual(requestOptions, {
+        model: 'gpt-4o',
+        temperature: 0,
+        top_k: 5
+      })
+    })
+  })
+
+  describe('renderTemplate', () => {
+    it('replaces variables, environment variables and defaults', () => {
+      const body = 'From {{ from }} to {{to}} by {{env.USER_NAME}}: {{input}}'
+      const text = renderTemplate(
+        body,
+        { from: 'v1', input: 'log', env: { USER_NAME: 'alex' } },
+        { to: 'HEAD' }
+      )
+
+      assert.equal(text, 'From v1 to HEAD by alex: log')
+      assert.deepEqual(getPlaceholders(body), [
+        'from',
+        'to',
+        'env.USER_NAME',
+        'input'
+      ])
+    })
+
+    it('lists all the missing variables', () => {
+      assert.throws(
+        () =>
+          renderTemplate(
+            '{{from}} {{to}} {{env.MISSING}}',
+            { env: {} },
+            { from: { description: 'Start tag' } }
+          ),
+        {
+          message:
+            'Missing required prompt variables:\n' +
+            '  - from: Start tag\n' +
+            '  - to\n' +
+            '  - env.MISSING: environment variable\n' +
+            'Provide them with --var name=value.'
+        }
+      )
+    })
+  })
+
+  describe('collectVariable', () => {
+    it('collects name=value pairs', () => {
+      const variables = collectVariable('b=x=y', collectVariable('a=1', {}))
+
+      assert.deepEqual(variables, { a: '1', b: 'x=y' })
+    })
+
+    it('rejects values without a name', () => {
+      assert.throws(() => collectVariable('=1', {}), /Invalid variable/)
+    })
+  })
+})